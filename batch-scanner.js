@@ -0,0 +1,392 @@
+/**
+ * APEX Batch Scanner Module
+ * Version: 1.0.0
+ *
+ * Scans a whole logbook's worth of photos through LogbookScanner a few
+ * pages at a time. Each page is retried on its own when the failure looks
+ * temporary, waits for signal when the device goes offline, and carries the
+ * tokens (and cost) its extraction used - failed attempts included. Pages,
+ * photos and results are kept in IndexedDB through OfflineQueue, so a batch
+ * interrupted by a reload or a closed tab picks up where it stopped.
+ *
+ * Page status: pending -> scanning (-> retrying) -> done | error | queued (no signal) | cancelled
+ *
+ * Usage:
+ *   const batch = new BatchScanner({ scanner, store: new OfflineQueue(), batchKey: `student:${id}`, onUpdate: render });
+ *   await batch.restore();           // pages left from a previous visit
+ *   await batch.add(fileInput.files);
+ *   const summary = await batch.run();
+ *   console.log(summary.done, summary.tokens.input, BatchScanner.formatCost(summary.cost));
+ *
+ *   batch.pause();  // finish the pages in flight, start no more - run() again to resume
+ *   batch.cancel(); // stop now; unfinished pages are marked cancelled
+ */
+
+class BatchScanner {
+    constructor(options = {}) {
+        this.scanner = options.scanner || null;
+        this.store = options.store || null;       // OfflineQueue, or anything with saveBatchPage/listBatchPages/removeBatchPage
+        this.batchKey = options.batchKey || 'default'; // Batches for different students are kept apart
+        this.concurrency = options.concurrency || 3;
+        this.maxAttempts = options.maxAttempts || 3;
+        this.retryDelayMs = options.retryDelayMs ?? 2000;
+        this.maxAgeMs = options.maxAgeMs || 14 * 86400000; // Pages older than this are dropped on restore
+        this.pricing = options.pricing || BatchScanner.PRICING;
+        this.isOnline = options.isOnline || (() => typeof navigator === 'undefined' || navigator.onLine !== false);
+        this.needsNetwork = options.needsNetwork || (() => true); // False for on-device extraction
+        this.onUpdate = options.onUpdate || (() => {});
+        this.now = options.now || (() => new Date());
+
+        this.pages = [];
+        this.state = 'idle'; // idle | running | paused | cancelled
+        this.running = null;
+        this.controllers = new Map();
+    }
+
+    // =============================================
+    // PAGES
+    // =============================================
+
+    /**
+     * Load this batch's pages from the store. Pages that were being scanned
+     * when the page closed go back to pending.
+     * @returns {Promise<Object[]>}
+     */
+    async restore() {
+        if (!this.store) return this.pages;
+
+        const saved = await this.store.listBatchPages();
+        const cutoff = this.now().getTime() - this.maxAgeMs;
+        const pages = [];
+
+        for (const page of saved) {
+            if (new Date(page.addedAt).getTime() < cutoff) {
+                await this.store.removeBatchPage(page.id);
+            } else if (page.batch === this.batchKey && !this.pages.some(p => p.id === page.id)) {
+                if (['scanning', 'retrying'].includes(page.status)) page.status = 'pending';
+                pages.push(page);
+            }
+        }
+
+        this.pages = [...this.pages, ...pages].sort((a, b) => a.order - b.order);
+        this.onUpdate(null);
+        return this.pages;
+    }
+
+    /**
+     * Add photos to the batch
+     * @param {Iterable<File|Blob>} files
+     * @returns {Promise<Object[]>} The new pages
+     */
+    async add(files) {
+        let order = this.pages.reduce((max, p) => Math.max(max, p.order), -1);
+        const added = Array.from(files, file => ({
+            id: BatchScanner.newId(),
+            batch: this.batchKey,
+            order: ++order,
+            name: file.name || 'page.jpg',
+            type: file.type || 'image/jpeg',
+            file,
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            result: null,
+            usage: BatchScanner.resolveScanner().emptyUsage(),
+            addedAt: this.now().toISOString(),
+            finishedAt: null
+        }));
+
+        this.pages.push(...added);
+        for (const page of added) await this.save(page);
+        this.onUpdate(null);
+        return added;
+    }
+
+    async remove(id) {
+        const controller = this.controllers.get(id);
+        if (controller) controller.abort();
+        this.pages = this.pages.filter(p => p.id !== id);
+        if (this.store) await this.store.removeBatchPage(id);
+        this.onUpdate(null);
+    }
+
+    /**
+     * Remove pages - all of them, or those with one of the given statuses
+     */
+    async clear(statuses = null) {
+        const removing = this.pages.filter(p => !statuses || statuses.includes(p.status));
+        for (const page of removing) await this.remove(page.id);
+    }
+
+    /**
+     * Put pages back in line to scan - by id, or every page with one of the given statuses
+     */
+    async requeue({ ids = null, statuses = ['error', 'cancelled', 'queued'] } = {}) {
+        const pages = this.pages.filter(p => (ids ? ids.includes(p.id) : statuses.includes(p.status)));
+        for (const page of pages) {
+            page.status = 'pending';
+            page.attempts = 0;
+            page.error = null;
+            await this.save(page);
+        }
+        if (pages.length > 0) this.onUpdate(null);
+        return pages;
+    }
+
+    /**
+     * Keep a corrected result (after review edits) with its page
+     */
+    async updateResult(id, result) {
+        const page = this.pages.find(p => p.id === id);
+        if (!page) return;
+        page.result = result;
+        await this.save(page);
+    }
+
+    /**
+     * Scanned pages in the order they were added
+     */
+    donePages() {
+        return this.pages.filter(p => p.status === 'done');
+    }
+
+    // =============================================
+    // RUNNING
+    // =============================================
+
+    /**
+     * Scan every pending page, this.concurrency at a time
+     * @returns {Promise<BatchSummary>} once the batch finishes, pauses or is cancelled
+     */
+    run() {
+        if (this.running) return this.running;
+        if (!this.scanner) return Promise.reject(new Error('BatchScanner needs a LogbookScanner'));
+
+        this.state = 'running';
+        this.onUpdate(null);
+        const workers = Array.from({ length: this.concurrency }, () => this.work());
+
+        this.running = Promise.all(workers).then(() => {
+            this.running = null;
+            if (this.state === 'running') this.state = 'idle';
+            this.onUpdate(null);
+            return this.summary();
+        });
+        return this.running;
+    }
+
+    /**
+     * Finish the pages in flight and start no more
+     */
+    pause() {
+        if (this.state === 'running') {
+            this.state = 'paused';
+            this.onUpdate(null);
+        }
+    }
+
+    /**
+     * Stop now - requests in flight are aborted and unfinished pages marked cancelled
+     */
+    async cancel() {
+        if (!this.running && this.state !== 'paused') return;
+        this.state = 'cancelled';
+        this.controllers.forEach(controller => controller.abort());
+
+        for (const page of this.pages.filter(p => ['pending', 'scanning', 'retrying'].includes(p.status))) {
+            await this.setStatus(page, 'cancelled');
+        }
+        this.onUpdate(null);
+    }
+
+    async work() {
+        while (this.state === 'running') {
+            const page = this.pages.find(p => p.status === 'pending');
+            if (!page) return;
+
+            if (this.needsNetwork() && !this.isOnline()) {
+                await this.setStatus(page, 'queued');
+                continue;
+            }
+            await this.scanWithRetry(page);
+        }
+    }
+
+    async scanWithRetry(page) {
+        await this.setStatus(page, 'scanning');
+
+        while (true) {
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            this.controllers.set(page.id, controller);
+            page.attempts++;
+
+            try {
+                const result = await this.scanner.scanPage(page.file, { signal: controller ? controller.signal : undefined });
+                BatchScanner.resolveScanner().addUsage(page.usage, result.usage);
+                if (!this.isCurrent(page)) return;
+                page.result = result;
+                page.error = null;
+                page.finishedAt = this.now().toISOString();
+                await this.setStatus(page, 'done');
+                return;
+            } catch (error) {
+                BatchScanner.resolveScanner().addUsage(page.usage, error.usage);
+                if (!this.isCurrent(page)) return;
+                if (error.name === 'AbortError' || this.state === 'cancelled') {
+                    await this.setStatus(page, 'cancelled');
+                    return;
+                }
+
+                page.error = error.message;
+                if (this.isNetworkError(error) || (this.needsNetwork() && !this.isOnline())) {
+                    await this.setStatus(page, 'queued');
+                    return;
+                }
+                if (!this.isRetryable(error) || page.attempts >= this.maxAttempts) {
+                    page.finishedAt = this.now().toISOString();
+                    await this.setStatus(page, 'error');
+                    return;
+                }
+
+                if (this.state === 'running') {
+                    await this.setStatus(page, 'retrying');
+                    await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * page.attempts));
+                }
+                if (!this.isCurrent(page)) return;
+                if (this.state !== 'running') {
+                    // Paused - try again when the batch is resumed
+                    await this.setStatus(page, 'pending');
+                    return;
+                }
+            } finally {
+                this.controllers.delete(page.id);
+            }
+        }
+    }
+
+    /**
+     * Worth another attempt - not a bad photo, a rejected request or a setup problem
+     */
+    isRetryable(error) {
+        if (BatchScanner.FINAL_ERRORS.includes(error.name)) return false;
+        if (error.status) return error.status === 408 || error.status === 429 || error.status >= 500;
+        return !/not supported|key required|No extractor/i.test(error.message || '');
+    }
+
+    isNetworkError(error) {
+        return /^Network error/.test(error.message || '');
+    }
+
+    // Removed or cancelled while its request was in flight
+    isCurrent(page) {
+        return this.pages.includes(page) && page.status !== 'cancelled';
+    }
+
+    async setStatus(page, status) {
+        page.status = status;
+        await this.save(page);
+        this.onUpdate(page);
+    }
+
+    async save(page) {
+        if (!this.store) return;
+        try {
+            await this.store.saveBatchPage(page);
+        } catch (error) {
+            // Storage full or unavailable - the batch still runs, it just won't survive a reload
+            console.warn('Could not save scan batch page:', error);
+        }
+    }
+
+    // =============================================
+    // ACCOUNTING
+    // =============================================
+
+    /**
+     * Cost in US dollars of a page's (or batch's) usage, or null if the model's price isn't known
+     */
+    costOf(usage) {
+        if (!usage || usage.requests === 0) return 0;
+        const price = this.pricing[usage.model];
+        if (!price) return null;
+
+        const perToken = rate => (rate || 0) / 1000000;
+        return usage.inputTokens * perToken(price.input) +
+            usage.outputTokens * perToken(price.output) +
+            usage.cacheReadTokens * perToken(price.cacheRead) +
+            usage.cacheWriteTokens * perToken(price.cacheWrite);
+    }
+
+    /**
+     * @typedef {Object} BatchSummary
+     * @property {string} state
+     * @property {number} total - pages in the batch
+     * @property {number} pending, scanning, done, error, queued, cancelled - pages by status (retrying counts as scanning)
+     * @property {number} finished - done + error
+     * @property {{ requests: number, input: number, output: number }} tokens
+     * @property {number|null} cost - US dollars, null when a page used a model without a known price
+     */
+    summary() {
+        const count = (...statuses) => this.pages.filter(p => statuses.includes(p.status)).length;
+        const Scanner = BatchScanner.resolveScanner();
+        const usage = this.pages.reduce((total, p) => Scanner.addUsage(total, p.usage), Scanner.emptyUsage());
+        const costs = this.pages.map(p => this.costOf(p.usage));
+
+        return {
+            state: this.state,
+            total: this.pages.length,
+            pending: count('pending'),
+            scanning: count('scanning', 'retrying'),
+            done: count('done'),
+            error: count('error'),
+            queued: count('queued'),
+            cancelled: count('cancelled'),
+            finished: count('done', 'error'),
+            tokens: {
+                requests: usage.requests,
+                input: usage.inputTokens + usage.cacheReadTokens + usage.cacheWriteTokens,
+                output: usage.outputTokens
+            },
+            cost: costs.includes(null) ? null : costs.reduce((sum, c) => sum + c, 0)
+        };
+    }
+
+    // ---------- helpers ----------
+
+    static formatCost(cost) {
+        if (cost === null || cost === undefined) return 'cost unknown';
+        if (cost > 0 && cost < 0.01) return '< US$0.01';
+        return `US$${cost.toFixed(2)}`;
+    }
+
+    static formatTokens(count) {
+        return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+    }
+
+    static resolveScanner() {
+        if (typeof globalThis !== 'undefined' && globalThis.LogbookScanner) return globalThis.LogbookScanner;
+        if (typeof require !== 'undefined') return require('./logbook-scanner.js');
+        throw new Error('logbook-scanner.js must be loaded before batch-scanner.js');
+    }
+
+    static newId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+// US dollars per million tokens
+BatchScanner.PRICING = {
+    'claude-sonnet-4-20250514': { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 }
+};
+
+// Errors a second attempt won't fix
+BatchScanner.FINAL_ERRORS = ['ImageQualityError'];
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchScanner;
+}
+if (typeof window !== 'undefined') {
+    window.BatchScanner = BatchScanner;
+}
@@ -0,0 +1,179 @@
+/**
+ * APEX CBT&A Tracker Module
+ * Version: 1.0.0
+ *
+ * Competency Based Training & Assessment progress for one learner, built
+ * from their cbta_task_attempts rows. Each of the 22 tasks is assessed by an
+ * ADI, often over several lessons; a task is signed off by its first
+ * competent attempt, and Assessment 1-22 is complete only when every task is
+ * signed off (calculate_eligibility() applies the same rule in the database).
+ *
+ * Usage:
+ *   const tracker = new CbtaTracker({ attempts: rows, supervisorRegistry: registry });
+ *   tracker.summary();        // { total: 22, signedOff: 19, remaining: [7, 15, 22], complete: false, ... }
+ *   tracker.task(7);          // { number, status: 'attempted', attempts, signedOff: null, lastAttempt }
+ *   tracker.checkAttempt({ task_number: 7, outcome: 'COMPETENT', assessed_on: '2026-03-02', adi_number: 'ADI1234' }, { student });
+ *   rules.evaluate({ ...facts, ...tracker.toFacts() });
+ */
+
+class CbtaTracker {
+    constructor(options = {}) {
+        this.taskCount = options.taskCount || CbtaTracker.TASK_COUNT;
+        this.taskNames = options.taskNames || {};              // Optional task titles by number
+        this.registry = options.supervisorRegistry || null;    // Checks ADI numbers when given
+        this.now = options.now || (() => new Date());
+
+        // Oldest first, so the first competent attempt is the sign-off
+        this.attempts = (options.attempts || []).slice().sort((a, b) =>
+            (a.assessed_on || '').localeCompare(b.assessed_on || '') ||
+            (a.created_at || '').localeCompare(b.created_at || ''));
+    }
+
+    /**
+     * Every task with its attempts and status
+     * @returns {Array<{ number: number, name: string, status: string, attempts: Object[], signedOff: Object|null, lastAttempt: Object|null }>}
+     *          status is 'signed_off', 'attempted' or 'not_started'
+     */
+    tasks() {
+        return Array.from({ length: this.taskCount }, (_, i) => this.task(i + 1));
+    }
+
+    task(number) {
+        const attempts = this.attempts.filter(a => Number(a.task_number) === number);
+        const signedOff = attempts.find(a => a.outcome === 'COMPETENT') || null;
+        return {
+            number,
+            name: this.taskNames[number] || `Task ${number}`,
+            status: signedOff ? 'signed_off' : attempts.length ? 'attempted' : 'not_started',
+            attempts,
+            signedOff,
+            lastAttempt: attempts[attempts.length - 1] || null
+        };
+    }
+
+    /**
+     * Numbers of the tasks not yet signed off
+     */
+    remaining() {
+        return this.tasks().filter(t => t.status !== 'signed_off').map(t => t.number);
+    }
+
+    /**
+     * Progress towards Assessment 1-22
+     * @returns {{ total: number, signedOff: number, attempted: number, remaining: number[], complete: boolean, completedOn: string|null }}
+     */
+    summary() {
+        const tasks = this.tasks();
+        const signedOff = tasks.filter(t => t.status === 'signed_off');
+        const complete = signedOff.length === this.taskCount;
+
+        return {
+            total: this.taskCount,
+            signedOff: signedOff.length,
+            attempted: tasks.filter(t => t.status === 'attempted').length,
+            remaining: tasks.filter(t => t.status !== 'signed_off').map(t => t.number),
+            complete,
+            // The day the last task was signed off
+            completedOn: complete
+                ? signedOff.map(t => t.signedOff.assessed_on).sort().pop()
+                : null
+        };
+    }
+
+    /**
+     * EligibilityRules facts for Assessment 1-22
+     */
+    toFacts() {
+        return { cbtaTasksRemaining: this.remaining().length };
+    }
+
+    /**
+     * Check an attempt before it is recorded
+     * @param {Object} attempt - cbta_task_attempts row (task_number, outcome, assessed_on, adi_name, adi_number)
+     * @param {{ student?: Object }} context - student row, for the licence issue date
+     * @returns {{ errors: Array<{ field, message }>, warnings: Array<{ field, message }> }}
+     */
+    checkAttempt(attempt, context = {}) {
+        const errors = [];
+        const warnings = [];
+        const number = Number(attempt.task_number);
+        const student = context.student || {};
+
+        if (!Number.isInteger(number) || number < 1 || number > this.taskCount) {
+            errors.push({ field: 'task_number', message: `Choose a task from 1 to ${this.taskCount}` });
+        }
+        if (!CbtaTracker.OUTCOMES[attempt.outcome]) {
+            errors.push({ field: 'outcome', message: 'Record whether the learner was competent' });
+        }
+
+        const date = attempt.assessed_on;
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            errors.push({ field: 'assessed_on', message: 'Assessment date is required' });
+        } else if (date > this.isoDate(this.now())) {
+            errors.push({ field: 'assessed_on', message: `Assessment date ${date} is in the future` });
+        } else if (student.licence_issue_date && date < student.licence_issue_date) {
+            errors.push({ field: 'assessed_on', message: `Assessed before the learner licence was issued (${student.licence_issue_date})` });
+        }
+
+        const adiNumber = (attempt.adi_number || '').trim();
+        if (attempt.outcome === 'COMPETENT' && !adiNumber) {
+            errors.push({ field: 'adi_number', message: 'Only an ADI can sign a task off - enter their ADI number' });
+        }
+        if (adiNumber && this.registry) {
+            const adi = this.registry.checkAdiNumber(adiNumber);
+            if (adi.message) warnings.push({ field: 'adi_number', message: adi.message });
+        }
+
+        if (errors.length === 0) {
+            const task = this.task(number);
+            if (task.signedOff && attempt.outcome === 'COMPETENT') {
+                warnings.push({ field: 'task_number', message: `Task ${number} was already signed off on ${task.signedOff.assessed_on}` });
+            }
+
+            // Tasks build on each other - signing one off ahead of earlier ones is unusual, not wrong
+            const earlier = this.remaining().filter(n => n < number);
+            if (attempt.outcome === 'COMPETENT' && earlier.length > 0) {
+                warnings.push({ field: 'task_number', message: `Earlier tasks not signed off yet: ${CbtaTracker.formatTaskList(earlier)}` });
+            }
+        }
+
+        return { errors, warnings };
+    }
+
+    isoDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Task numbers as ranges - [1, 2, 3, 7, 9, 10] becomes '1-3, 7, 9-10'
+     */
+    static formatTaskList(numbers) {
+        const sorted = [...numbers].sort((a, b) => a - b);
+        const ranges = [];
+        for (const n of sorted) {
+            const last = ranges[ranges.length - 1];
+            if (last && n === last[1] + 1) {
+                last[1] = n;
+            } else {
+                ranges.push([n, n]);
+            }
+        }
+        return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+    }
+}
+
+// Tasks in the ACT learner CBT&A program (Assessment 1-22)
+CbtaTracker.TASK_COUNT = 22;
+
+CbtaTracker.OUTCOMES = {
+    COMPETENT: 'Competent',
+    NOT_YET_COMPETENT: 'Not yet competent'
+};
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CbtaTracker;
+}
+if (typeof window !== 'undefined') {
+    window.CbtaTracker = CbtaTracker;
+}
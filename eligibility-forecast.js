@@ -0,0 +1,276 @@
+/**
+ * APEX Eligibility Forecast Module
+ * Version: 1.0.0
+ *
+ * Projects when a learner will be eligible from their driving pace. The
+ * pace comes from recent logbook sessions; the hour and night totals are
+ * stepped forward a day at a time through EligibilityRules, so credits
+ * (ADI 3x, courses) count exactly as they do in the calculator. The
+ * projected hour dates are compared with the tenure and age-17 dates to
+ * find the realistic eligible date and the requirement holding it back.
+ *
+ * Usage:
+ *   const forecast = new EligibilityForecast();
+ *   const result = forecast.forecast(facts, sessions);
+ *   console.log(result.eligibleDate, result.bottleneck.label);
+ *
+ *   // What if they book 5 more ADI lessons and do the Safer Driver Course?
+ *   const whatIf = forecast.forecast(facts, sessions, { adiLessons: 5, saferDriverCourse: true });
+ */
+
+class EligibilityForecast {
+    constructor(options = {}) {
+        this.rules = options.rules || new (EligibilityForecast.resolveRules())();
+        this.now = options.now || (() => new Date());
+        this.paceWeeks = options.paceWeeks || 8;          // Recent window the pace is measured over
+        this.horizonDays = options.horizonDays || 3 * 365; // Give up projecting after this
+
+        this.pageTypes = {
+            BLUE_DAY: 'day',
+            RED_NIGHT: 'night',
+            GREEN_ADI: 'adi',
+            ADI_STAMP: 'adi'
+        };
+    }
+
+    /**
+     * Average hours per week over the recent window
+     * Only valid sessions count - the same rule refresh_student_hours() uses.
+     * A learner who started inside the window is measured from their first session.
+     * @param {Array} sessions - logbook_sessions rows
+     * @returns {{ dayHours: number, nightHours: number, adiHours: number, weeks: number, sessionCount: number, reason: string }}
+     */
+    pace(sessions = [], asOf = this.now()) {
+        const today = this.rules.startOfDay(asOf);
+        const windowStart = this.addDays(today, -this.paceWeeks * 7);
+
+        const dated = sessions
+            .filter(s => s.is_valid !== false && this.pageTypes[s.page_type] && s.session_date)
+            .map(s => ({ ...s, date: this.rules.toDate(s.session_date) }))
+            .filter(s => s.date && s.date <= today);
+
+        const first = dated.reduce((earliest, s) => (!earliest || s.date < earliest ? s.date : earliest), null);
+        if (!first) {
+            return { dayHours: 0, nightHours: 0, adiHours: 0, weeks: 0, sessionCount: 0, reason: 'No sessions logged yet' };
+        }
+
+        const from = first > windowStart ? first : windowStart;
+        const weeks = Math.max(1, (today - from) / (7 * 86400000));
+        const minutes = { day: 0, night: 0, adi: 0 };
+        const recent = dated.filter(s => s.date >= from);
+        recent.forEach(s => {
+            minutes[this.pageTypes[s.page_type]] += s.duration_minutes || 0;
+        });
+
+        const perWeek = m => Math.round((m / 60 / weeks) * 100) / 100;
+        const result = {
+            dayHours: perWeek(minutes.day),
+            nightHours: perWeek(minutes.night),
+            adiHours: perWeek(minutes.adi),
+            weeks: Math.round(weeks * 10) / 10,
+            sessionCount: recent.length
+        };
+        const total = result.dayHours + result.nightHours + result.adiHours;
+
+        return {
+            ...result,
+            reason: `${this.rules.formatHours(total)} hrs/week (${this.rules.formatHours(result.nightHours)} at night) ` +
+                `over the last ${first > windowStart ? this.formatWeeks(weeks) : `${this.paceWeeks} weeks`}`
+        };
+    }
+
+    /**
+     * Project the eligible date
+     * @param {Object} facts - EligibilityRules facts as of today
+     * @param {Array} sessions - logbook_sessions rows, for the pace
+     * @param {ForecastScenario} scenario - what-if changes, all optional:
+     *        adiLessons, adiLessonHours (1), adiLessonsPerWeek (1) - extra lessons from next week
+     *        bookedLessons - lessons rows already booked, counted as ADI hours on their day
+     *        saferDriverCourse, vruCourse, firstAidCourse - course completed now
+     *        weeklyDayHours, weeklyNightHours, weeklyAdiHours - replace the measured pace
+     * @returns {EligibilityForecastResult}
+     */
+    forecast(facts = {}, sessions = [], scenario = {}) {
+        const today = this.rules.startOfDay(facts.asOf ? this.rules.toDate(facts.asOf) : this.now());
+        const measured = this.pace(sessions, today);
+        const pace = {
+            ...measured,
+            dayHours: scenario.weeklyDayHours ?? measured.dayHours,
+            nightHours: scenario.weeklyNightHours ?? measured.nightHours,
+            adiHours: scenario.weeklyAdiHours ?? measured.adiHours
+        };
+
+        // Courses the scenario adds are credited straight away
+        const startFacts = {
+            ...facts,
+            asOf: today,
+            saferDriverCourse: facts.saferDriverCourse || !!scenario.saferDriverCourse,
+            vruCourse: facts.vruCourse || !!scenario.vruCourse,
+            firstAidCourse: facts.firstAidCourse || !!scenario.firstAidCourse
+        };
+        const verdict = this.rules.evaluate(startFacts);
+        const extraAdi = this.scheduleAdiHours(scenario, today);
+
+        const hours = this.projectHours(startFacts, verdict, pace, extraAdi, today);
+        const requirements = [
+            {
+                key: 'hours',
+                label: 'Total hours',
+                met: verdict.hours.met,
+                date: hours.hoursDate,
+                reason: this.projectionReason(verdict.hours, hours.hoursDate, today)
+            },
+            {
+                key: 'night',
+                label: 'Night hours',
+                met: verdict.night.met,
+                date: hours.nightDate,
+                reason: this.projectionReason(verdict.night, hours.nightDate, today)
+            },
+            {
+                key: 'tenure',
+                label: `${verdict.tenure.monthsRequired} month tenure`,
+                met: verdict.tenure.met,
+                date: verdict.tenure.completeDate,
+                reason: verdict.tenure.reason
+            },
+            {
+                key: 'age',
+                label: `Age ${verdict.age.minimumAge}`,
+                met: verdict.age.met,
+                date: verdict.age.minimumAgeDate,
+                reason: verdict.age.reason
+            }
+        ];
+
+        // The latest requirement sets the date; one that can't be dated blocks it
+        const undated = requirements.find(r => !r.met && !r.date);
+        const bottleneck = undated || requirements
+            .filter(r => !r.met)
+            .reduce((latest, r) => (!latest || new Date(r.date) > new Date(latest.date) ? r : latest), null);
+
+        const eligibleDate = undated ? null : (bottleneck ? bottleneck.date : today.toISOString());
+        const daysRemaining = eligibleDate
+            ? Math.max(0, Math.ceil((new Date(eligibleDate) - today) / 86400000))
+            : null;
+
+        return {
+            eligibleDate,
+            daysRemaining,
+            bottleneck,
+            requirements,
+            assessments: verdict.assessments,
+            pace,
+            scenario: { ...scenario, extraAdiHours: extraAdi.reduce((sum, e) => sum + e.hours, 0) },
+            verdict,
+            reason: this.summary(eligibleDate, bottleneck, verdict.assessments),
+            evaluatedAt: today.toISOString()
+        };
+    }
+
+    /**
+     * Step the hour totals forward a day at a time until hours and night hours are both met
+     */
+    projectHours(facts, verdict, pace, extraAdi, today) {
+        const requirements = verdict.requirements;
+        let hoursDate = verdict.hours.met ? today.toISOString() : null;
+        let nightDate = verdict.night.met ? today.toISOString() : null;
+
+        const totals = {
+            dayHours: this.rules.toHours(facts.dayHours),
+            nightHours: this.rules.toHours(facts.nightHours),
+            adiHours: this.rules.toHours(facts.adiHours)
+        };
+        const lastExtra = extraAdi.reduce((max, e) => Math.max(max, e.day), 0);
+        const moving = pace.dayHours > 0 || pace.nightHours > 0 || pace.adiHours > 0;
+
+        for (let day = 1; day <= this.horizonDays && (!hoursDate || !nightDate); day++) {
+            if (!moving && day > lastExtra) break;
+
+            totals.dayHours += pace.dayHours / 7;
+            totals.nightHours += pace.nightHours / 7;
+            totals.adiHours += pace.adiHours / 7;
+            extraAdi.filter(e => e.day === day).forEach(e => { totals.adiHours += e.hours; });
+
+            const dayFacts = { ...facts, ...totals };
+            const date = this.addDays(today, day).toISOString();
+            if (!hoursDate && this.rules.evaluateHours(dayFacts, requirements).met) hoursDate = date;
+            if (!nightDate && this.rules.evaluateNight(dayFacts, requirements).met) nightDate = date;
+        }
+
+        return { hoursDate, nightDate };
+    }
+
+    /**
+     * Extra ADI hours by day offset - booked lessons on their day, what-if lessons weekly from next week
+     */
+    scheduleAdiHours(scenario, today) {
+        const extra = [];
+
+        (scenario.bookedLessons || []).forEach(lesson => {
+            if (lesson.status && lesson.status !== 'booked') return;
+            const start = new Date(lesson.starts_at);
+            const day = Math.round((this.rules.startOfDay(start) - today) / 86400000);
+            if (day < 1) return;
+            extra.push({ day, hours: (new Date(lesson.ends_at) - start) / 3600000 });
+        });
+
+        const count = Math.max(0, parseInt(scenario.adiLessons, 10) || 0);
+        const perWeek = Math.max(0.25, parseFloat(scenario.adiLessonsPerWeek) || 1);
+        const hours = parseFloat(scenario.adiLessonHours) || 1;
+        for (let i = 0; i < count; i++) {
+            extra.push({ day: Math.ceil(((i + 1) * 7) / perWeek), hours });
+        }
+
+        return extra;
+    }
+
+    projectionReason(check, date, today) {
+        if (check.met) return check.reason;
+        if (!date) return `${check.reason} - not reached at the current pace`;
+        return `${check.reason} - on track for ${this.rules.formatDate(new Date(date))}` +
+            ` (${this.formatWeeks((new Date(date) - today) / (7 * 86400000))})`;
+    }
+
+    summary(eligibleDate, bottleneck, assessments) {
+        const also = assessments.met ? '' : `. Also needs: ${assessments.reason}`;
+        if (!bottleneck) return `Hours, tenure and age requirements met${also}`;
+        if (!eligibleDate) {
+            const blocker = ['hours', 'night'].includes(bottleneck.key)
+                ? `${bottleneck.label} won't be reached without more driving`
+                : bottleneck.reason;
+            return `${blocker}${also}`;
+        }
+        return `${this.rules.formatDate(new Date(eligibleDate))} - ${bottleneck.label.toLowerCase()} is the last requirement met${also}`;
+    }
+
+    // ---------- helpers ----------
+
+    addDays(date, days) {
+        const d = new Date(date);
+        d.setDate(d.getDate() + days);
+        return d;
+    }
+
+    formatWeeks(weeks) {
+        if (weeks < 1.5) {
+            const days = Math.max(1, Math.round(weeks * 7));
+            return `${days} day${days === 1 ? '' : 's'}`;
+        }
+        return `${Math.round(weeks)} weeks`;
+    }
+
+    static resolveRules() {
+        if (typeof globalThis !== 'undefined' && globalThis.EligibilityRules) return globalThis.EligibilityRules;
+        if (typeof require !== 'undefined') return require('./eligibility-rules.js');
+        throw new Error('eligibility-rules.js must be loaded before eligibility-forecast.js');
+    }
+}
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EligibilityForecast;
+}
+if (typeof window !== 'undefined') {
+    window.EligibilityForecast = EligibilityForecast;
+}
@@ -0,0 +1,414 @@
+/**
+ * APEX Eligibility Report Module
+ * Version: 1.0.0
+ *
+ * Builds a printable eligibility summary and logbook audit report for one
+ * student, entirely in the browser. The report is a standalone HTML
+ * document with print styles - print it, or choose "Save as PDF" in the
+ * print dialog. The verdict comes from EligibilityRules, so it matches
+ * the calculator.
+ *
+ * Usage:
+ *   const report = new EligibilityReport({ instructorName: 'Jane Smith' });
+ *   report.open(student, sessions);          // New window + print dialog
+ *   new EligibilityReport({ cbtaTracker: new CbtaTracker({ attempts }) });  // Lists CBT&A tasks still to sign off
+ *   const html = report.render(student, sessions);
+ */
+
+class EligibilityReport {
+    constructor(options = {}) {
+        this.rules = options.rules || new (EligibilityReport.resolveRules())();
+        this.instructorName = options.instructorName || null;
+        this.cbtaTracker = options.cbtaTracker || null;   // The student's CBT&A task sign-offs, when loaded
+        this.organisation = options.organisation || 'APEX Driving';
+        this.now = options.now || (() => new Date());
+
+        this.pageTypes = {
+            BLUE_DAY: 'Supervised day',
+            RED_NIGHT: 'Supervised night',
+            GREEN_ADI: 'ADI lesson',
+            ADI_STAMP: 'ADI stamp'
+        };
+    }
+
+    /**
+     * Map a students row to EligibilityRules facts
+     * @param {Object} student - Row from the students table
+     */
+    static studentFacts(student) {
+        return {
+            dateOfBirth: student.date_of_birth,
+            licenceIssueDate: student.licence_issue_date,
+            licenceExpiryDate: student.licence_expiry_date,
+            tenureStartDate: student.tenure_start_date,
+            dayHours: student.supervised_hours,
+            nightHours: student.night_hours,
+            adiHours: student.professional_hours,
+            saferDriverCourse: student.safer_driver_credit,
+            vruCourse: student.vru_credit,
+            firstAidCourse: student.first_aid_credit,
+            hptCompleted: student.hpt_completed,
+            hptCertificateNumber: student.hpt_certificate_number,
+            hptDate: student.hpt_date,
+            finalDriveDate: student.final_drive_date,
+            cbtaCompleted: student.cbta_completed,
+            assessment122Completed: student.assessment_1_22_completed
+        };
+    }
+
+    /**
+     * Evaluate the student and collect everything the report shows
+     * @param {Object} student - Row from the students table
+     * @param {Array} sessions - Rows from logbook_sessions for the student
+     */
+    build(student, sessions = []) {
+        const facts = EligibilityReport.studentFacts(student);
+        const verdict = this.rules.evaluate(this.cbtaTracker ? { ...facts, ...this.cbtaTracker.toFacts() } : facts);
+        const ordered = [...sessions].sort((a, b) =>
+            (a.session_date || '').localeCompare(b.session_date || '') ||
+            (a.start_time || '').localeCompare(b.start_time || '')
+        );
+
+        // Logged minutes by page type, valid sessions only - the same rule refresh_student_hours() uses
+        const totals = { BLUE_DAY: 0, RED_NIGHT: 0, GREEN_ADI: 0, ADI_STAMP: 0 };
+        let invalidCount = 0;
+        let flaggedCount = 0;
+        ordered.forEach(session => {
+            if (session.is_valid === false) {
+                invalidCount++;
+            } else if (totals[session.page_type] !== undefined) {
+                totals[session.page_type] += session.duration_minutes || 0;
+            }
+            if ((session.validation_errors || []).length || (session.validation_warnings || []).length) {
+                flaggedCount++;
+            }
+        });
+
+        return {
+            student,
+            verdict,
+            sessions: ordered,
+            sessionSummary: { totals, count: ordered.length, invalidCount, flaggedCount },
+            generatedAt: this.now()
+        };
+    }
+
+    /**
+     * Full HTML document for the report
+     */
+    render(student, sessions = []) {
+        const data = this.build(student, sessions);
+        const name = `${student.first_name || ''} ${student.last_name || ''}`.trim() || 'Student';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Eligibility report - ${this.escape(name)}</title>
+<style>${EligibilityReport.STYLES}</style>
+</head>
+<body>
+${this.renderHeader(data, name)}
+${this.renderVerdict(data)}
+${this.renderHours(data)}
+${this.renderDates(data)}
+${this.renderAssessments(data)}
+${this.renderAppendix(data)}
+<footer>
+    Generated ${this.escape(this.formatDateTime(data.generatedAt))} by ${this.escape(this.organisation)}.
+    Hours and dates are calculated from the records held at that time against the ${this.escape(data.verdict.ruleSet.jurisdiction)} ${this.escape(data.verdict.pathway.name)} requirements
+    (${this.escape(data.verdict.ruleSet.name)}, for licences issued from ${this.escape(this.formatDate(data.verdict.ruleSet.effectiveFrom))}).
+</footer>
+</body>
+</html>`;
+    }
+
+    /**
+     * Open the report in a new window and show the print dialog
+     * @param {Window} [win] - Window opened earlier, e.g. in the click handler before sessions loaded
+     * @returns {Window|null} null if a popup blocker stopped the window
+     */
+    open(student, sessions = [], win = window.open('', '_blank')) {
+        if (!win) return null;
+
+        win.document.open();
+        win.document.write(this.render(student, sessions));
+        win.document.close();
+
+        // Written documents may already be complete by now
+        const print = () => {
+            win.focus();
+            win.print();
+        };
+        if (win.document.readyState === 'complete') {
+            setTimeout(print, 0);
+        } else {
+            win.addEventListener('load', print);
+        }
+        return win;
+    }
+
+    renderHeader({ student }, name) {
+        const details = [
+            ['Licence number', student.licence_number || 'Not recorded'],
+            ['Date of birth', this.formatDate(student.date_of_birth)],
+            ['Instructor', this.instructorName || '-'],
+            ['Report date', this.formatDate(this.now())]
+        ];
+
+        return `
+<header>
+    <div class="org">${this.escape(this.organisation)}</div>
+    <h1>Provisional licence eligibility report</h1>
+    <h2>${this.escape(name)}</h2>
+    <dl class="details">
+        ${details.map(([label, value]) => `<div><dt>${label}</dt><dd>${this.escape(value)}</dd></div>`).join('')}
+    </dl>
+</header>`;
+    }
+
+    renderVerdict({ verdict }) {
+        return `
+<section class="verdict ${verdict.eligible ? 'ok' : 'pending'}">
+    <div class="status">${verdict.eligible ? 'Eligible for the final drive' : 'Not yet eligible'}</div>
+    <div>${this.escape(verdict.pathway.name)} pathway - ${this.escape(verdict.pathway.reason)}</div>
+    ${verdict.missing.length ? `
+    <ul>
+        ${verdict.missing.map(reason => `<li>${this.escape(reason)}</li>`).join('')}
+    </ul>` : ''}
+</section>`;
+    }
+
+    renderHours({ verdict, sessionSummary }) {
+        const { hours, night } = verdict;
+        const b = hours.breakdown;
+        const logged = (type) => this.formatMinutes(sessionSummary.totals[type]);
+
+        const rows = [
+            ['Supervised day hours', this.formatHours(b.dayHours), this.formatHours(b.dayHours), logged('BLUE_DAY')],
+            ['Supervised night hours', this.formatHours(b.nightHours), this.formatHours(b.nightHours), logged('RED_NIGHT')],
+            [`ADI lessons (first ${this.rules.credits.adiBonusCapHours} hours count ${this.rules.credits.adiMultiplier}x)`,
+                this.formatHours(b.adiActualHours), this.formatHours(b.adiCreditHours),
+                this.formatMinutes(sessionSummary.totals.GREEN_ADI + sessionSummary.totals.ADI_STAMP)],
+            ['Safer Driver course', b.courseCredits.saferDriver ? 'Completed' : '-', this.formatHours(b.courseCredits.saferDriver), ''],
+            ['VRU course', b.courseCredits.vru ? 'Completed' : '-', this.formatHours(b.courseCredits.vru), ''],
+            ['First aid course', b.courseCredits.firstAid ? 'Completed' : '-', this.formatHours(b.courseCredits.firstAid), '']
+        ];
+
+        return `
+<section>
+    <h3>Hours</h3>
+    <table>
+        <thead><tr><th>Category</th><th class="num">Actual</th><th class="num">Credited</th><th class="num">In logbook appendix</th></tr></thead>
+        <tbody>
+            ${rows.map(row => `<tr><td>${this.escape(row[0])}</td><td class="num">${row[1]}</td><td class="num">${row[2]}</td><td class="num">${row[3]}</td></tr>`).join('')}
+        </tbody>
+        <tfoot>
+            <tr><td>Total credited</td><td></td><td class="num">${this.formatHours(hours.credited)} / ${hours.required}</td><td></td></tr>
+        </tfoot>
+    </table>
+    <p class="${hours.met ? 'met' : 'unmet'}">${this.escape(hours.reason)}</p>
+    <p class="${night.met ? 'met' : 'unmet'}">${this.escape(night.reason)}</p>
+    ${sessionSummary.invalidCount ? `<p class="note">${sessionSummary.invalidCount} session(s) failed validation and are not counted in the appendix totals.</p>` : ''}
+</section>`;
+    }
+
+    renderDates({ verdict }) {
+        const { tenure, age, earliestEligibleDate } = verdict;
+        const rows = [
+            ['Tenure start', tenure.startDate ? this.formatDate(tenure.startDate) : 'Not recorded'],
+            [`Tenure complete (${tenure.monthsRequired} months)`, tenure.completeDate ? this.formatDate(tenure.completeDate) : '-'],
+            [`Turns ${age.minimumAge}`, age.minimumAgeDate ? this.formatDate(age.minimumAgeDate) : '-'],
+            ['Earliest eligible date', earliestEligibleDate.date ? this.formatDate(earliestEligibleDate.date) : '-']
+        ];
+
+        return `
+<section>
+    <h3>Tenure and dates</h3>
+    <table class="pairs">
+        <tbody>
+            ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${this.escape(value)}</td></tr>`).join('')}
+        </tbody>
+    </table>
+    <p class="${tenure.met ? 'met' : 'unmet'}">${this.escape(tenure.reason)}</p>
+    <p>${this.escape(earliestEligibleDate.reason)}</p>
+</section>`;
+    }
+
+    renderAssessments({ verdict, student }) {
+        const { hpt, cbta, review } = verdict.assessments;
+        const tasks = this.cbtaTracker ? this.cbtaTracker.summary() : null;
+        const rows = [
+            ['Hazard Perception Test', hpt, student.hpt_date, [
+                student.hpt_certificate_number ? `Certificate ${student.hpt_certificate_number}` : 'Certificate number not recorded',
+                hpt.expiryDate ? `expires ${this.formatDate(hpt.expiryDate)}` : ''
+            ].filter(Boolean).join(', ')],
+            ['CBT&A', cbta, student.cbta_date, ''],
+            ['Assessment 1-22', review, tasks ? tasks.completedOn : student.assessment_1_22_date, tasks
+                ? `${tasks.signedOff} of ${tasks.total} tasks signed off${tasks.remaining.length ? ` - remaining ${this.cbtaTracker.constructor.formatTaskList(tasks.remaining)}` : ''}`
+                : '']
+        ];
+
+        return `
+<section>
+    <h3>Assessments</h3>
+    <table>
+        <thead><tr><th>Assessment</th><th>Status</th><th>Date</th><th>Details</th></tr></thead>
+        <tbody>
+            ${rows.map(([label, check, date, detail]) => `
+            <tr>
+                <td>${label}</td>
+                <td class="${check.met ? 'met' : 'unmet'}">${check.met ? 'Completed' : this.escape(check.reason)}</td>
+                <td>${date ? this.formatDate(date) : '-'}</td>
+                <td>${this.escape(detail)}</td>
+            </tr>`).join('')}
+        </tbody>
+    </table>
+</section>`;
+    }
+
+    renderAppendix({ sessions, sessionSummary }) {
+        if (sessions.length === 0) {
+            return `
+<section class="appendix">
+    <h3>Appendix - logbook sessions</h3>
+    <p>No logbook sessions are recorded for this student.</p>
+</section>`;
+        }
+
+        return `
+<section class="appendix">
+    <h3>Appendix - logbook sessions</h3>
+    <p>${sessionSummary.count} session(s), ${sessionSummary.flaggedCount} with validation flags, ${sessionSummary.invalidCount} not counted.</p>
+    <table class="sessions">
+        <thead>
+            <tr>
+                <th>Date</th><th>Type</th><th>Supervisor</th><th>Times</th><th class="num">Duration</th>
+                <th class="num">After dark</th><th>Odometer</th><th>Source</th><th>Flags</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${sessions.map(session => this.renderSessionRow(session)).join('')}
+        </tbody>
+    </table>
+</section>`;
+    }
+
+    renderSessionRow(session) {
+        const errors = session.validation_errors || [];
+        const warnings = session.validation_warnings || [];
+        const corrections = session.corrections || [];
+        const times = session.start_time && session.finish_time
+            ? `${session.start_time.substring(0, 5)}-${session.finish_time.substring(0, 5)}`
+            : '-';
+        const odometer = session.odometer_start !== null && session.odometer_start !== undefined && session.odometer_finish !== null && session.odometer_finish !== undefined
+            ? `${session.odometer_start}-${session.odometer_finish}`
+            : '-';
+        const source = session.source === 'manual'
+            ? 'Manual'
+            : `Scan${session.page_number ? ` p${session.page_number}` : ''}${session.row_number ? ` r${session.row_number}` : ''}${session.confidence ? ` (${session.confidence})` : ''}`;
+
+        const flags = [
+            ...errors.map(e => `<div class="unmet">${this.escape(e.message)}</div>`),
+            ...warnings.map(w => `<div class="warn">${this.escape(w.message)}</div>`),
+            ...(corrections.length ? [`<div>${corrections.length} field(s) corrected at review</div>`] : [])
+        ];
+
+        return `
+            <tr class="${session.is_valid === false ? 'invalid' : ''}">
+                <td>${session.session_date ? this.formatDate(session.session_date) : 'Unknown'}</td>
+                <td>${this.pageTypes[session.page_type] || this.escape(session.page_type)}</td>
+                <td>${this.escape(session.supervisor_name || '-')}</td>
+                <td>${times}</td>
+                <td class="num">${this.formatMinutes(session.duration_minutes)}</td>
+                <td class="num">${session.night_minutes ? this.formatMinutes(session.night_minutes) : '-'}</td>
+                <td>${odometer}</td>
+                <td>${this.escape(source)}</td>
+                <td class="flags">${flags.join('') || '-'}</td>
+            </tr>`;
+    }
+
+    // ---------- helpers ----------
+
+    formatDate(value) {
+        const date = this.rules.toDate(value);
+        return date ? this.rules.formatDate(date) : '-';
+    }
+
+    formatDateTime(date) {
+        return date.toLocaleString('en-AU', { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    formatHours(hours) {
+        return this.rules.formatHours(hours || 0);
+    }
+
+    formatMinutes(minutes) {
+        if (minutes === null || minutes === undefined) return '-';
+        const h = Math.floor(minutes / 60);
+        const m = Math.round(minutes % 60);
+        return `${h}:${m.toString().padStart(2, '0')}`;
+    }
+
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static resolveRules() {
+        if (typeof globalThis !== 'undefined' && globalThis.EligibilityRules) return globalThis.EligibilityRules;
+        if (typeof require !== 'undefined') return require('./eligibility-rules.js');
+        throw new Error('eligibility-rules.js must be loaded before eligibility-report.js');
+    }
+}
+
+// Print-first styles - A4 portrait, the appendix table repeats its header across pages
+EligibilityReport.STYLES = `
+    @page { size: A4; margin: 15mm; }
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; font-size: 10.5pt; color: #111; margin: 0 auto; max-width: 190mm; padding: 8mm 0; }
+    header { border-bottom: 2px solid #111; padding-bottom: 4mm; margin-bottom: 5mm; }
+    .org { font-size: 9pt; text-transform: uppercase; letter-spacing: 0.1em; color: #555; }
+    h1 { font-size: 16pt; margin: 1mm 0; }
+    h2 { font-size: 13pt; margin: 0 0 3mm; font-weight: 600; }
+    h3 { font-size: 11.5pt; margin: 0 0 2mm; border-bottom: 1px solid #ccc; padding-bottom: 1mm; }
+    .details { display: grid; grid-template-columns: repeat(4, 1fr); gap: 2mm; margin: 0; }
+    .details dt { font-size: 8pt; color: #555; }
+    .details dd { margin: 0; font-weight: 600; }
+    section { margin-bottom: 6mm; break-inside: avoid; }
+    section.appendix { break-inside: auto; break-before: page; }
+    .verdict { border: 2px solid; padding: 3mm 4mm; border-radius: 2mm; }
+    .verdict.ok { border-color: #15803d; }
+    .verdict.pending { border-color: #b45309; }
+    .verdict .status { font-size: 13pt; font-weight: 700; }
+    .verdict ul { margin: 2mm 0 0; padding-left: 5mm; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 2mm; }
+    thead { display: table-header-group; }
+    tr { break-inside: avoid; }
+    th, td { text-align: left; padding: 1.2mm 1.5mm; border-bottom: 1px solid #e5e5e5; vertical-align: top; }
+    th { font-size: 8.5pt; color: #444; }
+    tfoot td { font-weight: 700; border-top: 1px solid #111; }
+    table.pairs th { width: 45%; }
+    .num { text-align: right; white-space: nowrap; }
+    .sessions { font-size: 8.5pt; }
+    .sessions .flags div { margin-bottom: 0.5mm; }
+    tr.invalid td { background: #fef2f2; }
+    p { margin: 1mm 0; }
+    .met { color: #15803d; }
+    .unmet { color: #b91c1c; }
+    .warn { color: #b45309; }
+    .note { color: #555; font-style: italic; }
+    footer { margin-top: 8mm; font-size: 8pt; color: #555; border-top: 1px solid #ccc; padding-top: 2mm; }
+    @media screen { body { padding: 10mm; } }
+`;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EligibilityReport;
+}
+if (typeof window !== 'undefined') {
+    window.EligibilityReport = EligibilityReport;
+}
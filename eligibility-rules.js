@@ -0,0 +1,563 @@
+/**
+ * APEX Eligibility Rules Engine
+ * Version: 1.0.0
+ *
+ * Standalone module that evaluates a learner's facts against the
+ * P1/P2 provisional licence requirements and returns a structured verdict.
+ * This is the single source of truth for the calculator, the logbook
+ * scanner and the database trigger (calculate_eligibility() mirrors it).
+ * The numbers come from a rule set - one per jurisdiction and effective
+ * date, stored in rule_sets - defaulting to the current ACT requirements.
+ *
+ * Usage:
+ *   const rules = new EligibilityRules();
+ *   const verdict = rules.evaluate({
+ *       dateOfBirth: '2008-03-14',
+ *       licenceExpiryDate: '2029-04-01',
+ *       dayHours: 60, nightHours: 12, adiHours: 6,
+ *       hptCompleted: true, hptCertificateNumber: 'HPT123456', hptDate: '2026-02-10',
+ *       finalDriveDate: '2026-09-01',   // HPT must still be valid then (today if not booked)
+ *       cbtaCompleted: true, cbtaTasksRemaining: 3   // or assessment122Completed: false
+ *   });
+ *   console.log(verdict.eligible, verdict.hours.reason, verdict.earliestEligibleDate.reason);
+ *
+ *   // Hold a learner to the rule set in force when their licence was issued
+ *   const ruleSet = EligibilityRules.selectRuleSet(ruleSets, { jurisdiction: 'ACT', licenceExpiryDate: '2029-04-01' });
+ *   const theirRules = new EligibilityRules({ ruleSet });
+ */
+
+class EligibilityRules {
+    constructor(options = {}) {
+        // Clock is injectable so verdicts can be evaluated "as of" a date
+        this.now = options.now || (() => new Date());
+
+        // Requirements come from a rule_sets row (see selectRuleSet()); the ACT set by default
+        const ruleSet = options.ruleSet || EligibilityRules.DEFAULT_RULE_SET;
+        const rules = ruleSet.rules;
+        this.ruleSet = {
+            id: ruleSet.id || null,
+            jurisdiction: ruleSet.jurisdiction,
+            effectiveFrom: ruleSet.effective_from,
+            name: ruleSet.name
+        };
+
+        // Requirements per pathway (age at licence issue decides the pathway)
+        this.pathways = {
+            P1_RED: { ...rules.pathways.P1_RED },
+            P2_GREEN: { ...rules.pathways.P2_GREEN }
+        };
+
+        // Hour credits
+        this.credits = { ...rules.credits };
+
+        // General rules
+        this.general = { ...rules.general };
+    }
+
+    /**
+     * Evaluate a learner's facts and return a structured verdict
+     * @param {EligibilityFacts} facts
+     * @returns {EligibilityVerdict}
+     */
+    evaluate(facts = {}) {
+        const today = this.startOfDay(facts.asOf ? this.toDate(facts.asOf) : this.now());
+
+        const dob = this.toDate(facts.dateOfBirth);
+        const issueDate = this.resolveIssueDate(facts);
+        const pathway = this.resolvePathway(dob, issueDate, today);
+        const requirements = this.pathways[pathway.code || 'P1_RED'];
+
+        const hours = this.evaluateHours(facts, requirements);
+        const night = this.evaluateNight(facts, requirements);
+        const tenure = this.evaluateTenure(facts, issueDate, requirements, today);
+        const age = this.evaluateAge(dob, today);
+        const assessments = this.evaluateAssessments(facts, today);
+        const earliestEligibleDate = this.evaluateEarliestDate(tenure, age, today);
+
+        const eligible = hours.met && night.met && tenure.met && age.met && assessments.met;
+
+        const missing = [hours, night, tenure, age, assessments]
+            .filter(check => !check.met)
+            .map(check => check.reason);
+
+        return {
+            eligible,
+            status: this.resolveStatus({ eligible, hours, night, tenure, assessments }),
+            pathway,
+            requirements: { ...requirements },
+            hours,
+            night,
+            tenure,
+            age,
+            assessments,
+            earliestEligibleDate,
+            missing,
+            ruleSet: { ...this.ruleSet },
+            evaluatedAt: today.toISOString()
+        };
+    }
+
+    /**
+     * Licence issue date - explicit, or derived from expiry (the rule set's licence validity)
+     */
+    resolveIssueDate(facts) {
+        const issue = this.toDate(facts.licenceIssueDate);
+        if (issue) return issue;
+
+        const expiry = this.toDate(facts.licenceExpiryDate);
+        if (!expiry) return null;
+
+        const derived = new Date(expiry);
+        derived.setFullYear(derived.getFullYear() - this.general.licenceValidityYears);
+        return derived;
+    }
+
+    /**
+     * Pathway is decided by age at licence issue, falling back to current age
+     */
+    resolvePathway(dob, issueDate, today) {
+        if (!dob) {
+            return {
+                code: null,
+                name: this.pathways.P1_RED.name,
+                ageAtIssue: null,
+                reason: 'Date of birth unknown - assuming P1 Red requirements'
+            };
+        }
+
+        const basis = issueDate || today;
+        const age = this.ageOn(dob, basis);
+        const code = age < this.general.under25Age ? 'P1_RED' : 'P2_GREEN';
+
+        return {
+            code,
+            name: this.pathways[code].name,
+            ageAtIssue: issueDate ? age : null,
+            reason: issueDate
+                ? `Aged ${age} at licence issue (${this.formatDate(issueDate)})`
+                : `Aged ${age} today (licence issue date unknown)`
+        };
+    }
+
+    /**
+     * Total credited hours vs the pathway requirement
+     */
+    evaluateHours(facts, requirements) {
+        const dayHours = this.toHours(facts.dayHours);
+        const nightHours = this.toHours(facts.nightHours);
+        const adi = this.calculateAdiCredit(this.toHours(facts.adiHours));
+        const courseCredits = this.calculateCourseCredits(facts);
+
+        const supervisedHours = dayHours + nightHours;
+        const credited = supervisedHours + adi.creditHours + courseCredits.total;
+        const remaining = Math.max(0, requirements.hoursRequired - credited);
+        const met = credited >= requirements.hoursRequired;
+
+        return {
+            met,
+            required: requirements.hoursRequired,
+            credited,
+            remaining,
+            breakdown: {
+                dayHours,
+                nightHours,
+                supervisedHours,
+                adiActualHours: adi.actualHours,
+                adiCreditHours: adi.creditHours,
+                courseCredits
+            },
+            reason: met
+                ? `${this.formatHours(credited)} of ${requirements.hoursRequired} hours credited`
+                : `Need ${this.formatHours(remaining)} more hours (${this.formatHours(credited)} of ${requirements.hoursRequired} credited)`
+        };
+    }
+
+    /**
+     * Night hours vs the pathway minimum
+     */
+    evaluateNight(facts, requirements) {
+        const logged = this.toHours(facts.nightHours);
+        const remaining = Math.max(0, requirements.nightHoursRequired - logged);
+        const met = logged >= requirements.nightHoursRequired;
+
+        return {
+            met,
+            required: requirements.nightHoursRequired,
+            logged,
+            remaining,
+            reason: met
+                ? `${this.formatHours(logged)} of ${requirements.nightHoursRequired} night hours logged`
+                : `Need ${this.formatHours(remaining)} more night hours`
+        };
+    }
+
+    /**
+     * Learner licence tenure (time held) vs the pathway minimum
+     */
+    evaluateTenure(facts, issueDate, requirements, today) {
+        const startDate = this.toDate(facts.tenureStartDate) || issueDate;
+
+        if (!startDate) {
+            return {
+                met: false,
+                monthsRequired: requirements.tenureMonths,
+                startDate: null,
+                completeDate: null,
+                reason: 'Licence issue or expiry date needed to check tenure'
+            };
+        }
+
+        const completeDate = this.addMonths(startDate, requirements.tenureMonths);
+        const met = today >= completeDate;
+
+        return {
+            met,
+            monthsRequired: requirements.tenureMonths,
+            startDate: startDate.toISOString(),
+            completeDate: completeDate.toISOString(),
+            reason: met
+                ? `${requirements.tenureMonths} month tenure completed ${this.formatDate(completeDate)}`
+                : `${requirements.tenureMonths} month tenure completes ${this.formatDate(completeDate)}`
+        };
+    }
+
+    /**
+     * Minimum age for a provisional licence
+     */
+    evaluateAge(dob, today) {
+        if (!dob) {
+            return {
+                met: false,
+                minimumAge: this.general.minimumAge,
+                minimumAgeDate: null,
+                reason: 'Date of birth needed to check minimum age'
+            };
+        }
+
+        const minimumAgeDate = new Date(dob);
+        minimumAgeDate.setFullYear(minimumAgeDate.getFullYear() + this.general.minimumAge);
+        const met = today >= minimumAgeDate;
+
+        return {
+            met,
+            minimumAge: this.general.minimumAge,
+            minimumAgeDate: minimumAgeDate.toISOString(),
+            reason: met
+                ? `Aged ${this.general.minimumAge} or over`
+                : `Turns ${this.general.minimumAge} on ${this.formatDate(minimumAgeDate)}`
+        };
+    }
+
+    /**
+     * HPT, CBT&A and Assessment 1-22
+     */
+    evaluateAssessments(facts, today = this.startOfDay(this.now())) {
+        const hpt = this.evaluateHpt(facts, today);
+
+        const cbta = facts.cbtaCompleted
+            ? { met: true, reason: 'CBT&A completed' }
+            : { met: false, reason: 'CBT&A required' };
+
+        // 1-22 is every CBT&A task signed off - the count outstanding (CbtaTracker) wins over a stored flag
+        const tasksRemaining = facts.cbtaTasksRemaining;
+        let review;
+        if (typeof tasksRemaining === 'number') {
+            review = tasksRemaining <= 0
+                ? { met: true, reason: 'All CBT&A tasks signed off (1-22)' }
+                : { met: false, reason: `${tasksRemaining} CBT&A task${tasksRemaining === 1 ? '' : 's'} to sign off` };
+        } else {
+            review = facts.assessment122Completed
+                ? { met: true, reason: 'Assessment 1-22 completed' }
+                : { met: false, reason: '1-22 required' };
+        }
+
+        const outstanding = [hpt, cbta, review].filter(a => !a.met);
+
+        return {
+            met: outstanding.length === 0,
+            hpt,
+            cbta,
+            review,
+            reason: outstanding.length === 0
+                ? 'All assessments completed'
+                : outstanding.map(a => a.reason).join(', ')
+        };
+    }
+
+    /**
+     * HPT pass with a well-formed certificate number, still within hptValidityMonths of the
+     * test on the final drive date (today when no drive is booked)
+     */
+    evaluateHpt(facts, today) {
+        const number = EligibilityRules.normaliseHptCertificate(facts.hptCertificateNumber);
+        const fail = reason => ({ met: false, certificateNumber: number || null, expiryDate: null, reason });
+
+        if (!facts.hptCompleted) return fail('HPT required');
+        if (!number) return fail('HPT certificate number required');
+        if (!EligibilityRules.isValidHptCertificate(number)) return fail(`HPT certificate number ${number} is not in the expected format`);
+
+        const testDate = this.toDate(facts.hptDate);
+        if (!testDate) return fail('HPT test date required');
+        if (testDate > today) return fail(`HPT test date ${this.formatDate(testDate)} is in the future`);
+
+        const expiry = this.addMonths(testDate, this.general.hptValidityMonths);
+        const driveDate = this.toDate(facts.finalDriveDate);
+        if ((driveDate || today) >= expiry) {
+            return {
+                ...fail(driveDate && driveDate >= today
+                    ? `HPT expires ${this.formatDate(expiry)}, before the final drive on ${this.formatDate(driveDate)}`
+                    : `HPT expired ${this.formatDate(expiry)} - resit required`),
+                expiryDate: expiry.toISOString()
+            };
+        }
+        return {
+            met: true,
+            certificateNumber: number,
+            expiryDate: expiry.toISOString(),
+            reason: `HPT passed (certificate ${number}), valid until ${this.formatDate(this.addDays(expiry, -1))}`
+        };
+    }
+
+    /**
+     * Earliest date the date-bound requirements (tenure, age) are satisfied
+     */
+    evaluateEarliestDate(tenure, age, today) {
+        const candidates = [];
+        if (tenure.completeDate) {
+            candidates.push({ date: new Date(tenure.completeDate), reason: 'tenure completes' });
+        }
+        if (age.minimumAgeDate) {
+            candidates.push({ date: new Date(age.minimumAgeDate), reason: `turns ${this.general.minimumAge}` });
+        }
+
+        if (candidates.length === 0) {
+            return { date: null, daysRemaining: null, reason: 'Licence and date of birth needed' };
+        }
+
+        const latest = candidates.reduce((a, b) => (b.date > a.date ? b : a));
+        const daysRemaining = Math.max(0, Math.ceil((latest.date - today) / (1000 * 60 * 60 * 24)));
+
+        return {
+            date: latest.date.toISOString(),
+            daysRemaining,
+            reason: daysRemaining > 0
+                ? `${this.formatDate(latest.date)} (${latest.reason})`
+                : `Date requirements met since ${this.formatDate(latest.date)}`
+        };
+    }
+
+    /**
+     * Map a verdict to the eligibility_status enum used by the database
+     */
+    resolveStatus({ eligible, hours, night, tenure, assessments }) {
+        if (eligible) return 'ELIGIBLE';
+        if (!hours.met || !night.met) return 'PENDING_HOURS';
+        if (!tenure.met) return 'PENDING_TENURE';
+        if (!assessments.met) return 'PENDING_ASSESSMENTS';
+        return 'NOT_ELIGIBLE';
+    }
+
+    /**
+     * ADI credit: the first capped actual hours count multiplied (10 at 3x in the ACT), anything beyond counts 1x
+     */
+    calculateAdiCredit(adiActualHours) {
+        const actualHours = Math.max(0, adiActualHours || 0);
+        const bonusHours = Math.min(actualHours, this.credits.adiBonusCapHours);
+        const first10Credit = bonusHours * this.credits.adiMultiplier;
+        const extraCredit = Math.max(0, actualHours - this.credits.adiBonusCapHours);
+
+        return {
+            actualHours,
+            creditHours: first10Credit + extraCredit,
+            first10Credit,
+            extraCredit
+        };
+    }
+
+    /**
+     * Course credits (Safer Driver, VRU, First Aid)
+     */
+    calculateCourseCredits(facts) {
+        const saferDriver = facts.saferDriverCourse ? this.credits.saferDriverCourse : 0;
+        const vru = facts.vruCourse ? this.credits.vruCourse : 0;
+        const firstAid = facts.firstAidCourse ? this.credits.firstAidCourse : 0;
+
+        return { saferDriver, vru, firstAid, total: saferDriver + vru + firstAid };
+    }
+
+    /**
+     * Pick the rule set a learner is held to - mirrors rule_set_for() in the schema
+     * The latest set in force on the licence issue date; without one, each set's own
+     * licence validity derives an issue date from the expiry. Licences older than
+     * every set fall back to the earliest.
+     * @param {Array} ruleSets - rule_sets rows
+     * @param {{ jurisdiction: string, licenceIssueDate, licenceExpiryDate, asOf }} licence
+     * @returns {Object|null} The rule_sets row, or null if the jurisdiction has none
+     */
+    static selectRuleSet(ruleSets = [], licence = {}) {
+        const helper = new EligibilityRules();
+        const jurisdiction = (licence.jurisdiction || 'ACT').toUpperCase();
+        const issueDate = licence.licenceExpiryDate ? null : helper.toDate(licence.licenceIssueDate);
+        const expiryDate = helper.toDate(licence.licenceExpiryDate);
+        const today = helper.startOfDay(licence.asOf ? helper.toDate(licence.asOf) : helper.now());
+
+        const candidates = ruleSets
+            .filter(set => set.jurisdiction === jurisdiction)
+            .sort((a, b) => helper.toDate(a.effective_from) - helper.toDate(b.effective_from));
+
+        const inForce = candidates.filter(set => {
+            let basis = issueDate || today;
+            if (!issueDate && expiryDate) {
+                basis = new Date(expiryDate);
+                basis.setFullYear(basis.getFullYear() - set.rules.general.licenceValidityYears);
+            }
+            return helper.toDate(set.effective_from) <= basis;
+        });
+
+        return inForce[inForce.length - 1] || candidates[0] || null;
+    }
+
+    /**
+     * HPT certificate number as stored - capitals, without the spaces and dashes people type
+     */
+    static normaliseHptCertificate(value) {
+        return (value || '').toString().toUpperCase().replace(/[\s-]/g, '');
+    }
+
+    static isValidHptCertificate(value) {
+        return EligibilityRules.HPT_CERTIFICATE_PATTERN.test(EligibilityRules.normaliseHptCertificate(value));
+    }
+
+    /**
+     * Check a rules object has every requirement - mirrors validate_rule_set() in the schema
+     * @returns {string[]} Paths that are missing or not a non-negative number
+     */
+    static validateRuleSet(rules = {}) {
+        return EligibilityRules.RULE_PATHS
+            .filter(path => {
+                const value = path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), rules);
+                return typeof value !== 'number' || isNaN(value) || value < 0;
+            });
+    }
+
+    // ---------- helpers ----------
+
+    /**
+     * Accept Date, ISO string or YYYY-MM-DD (treated as a local date)
+     */
+    toDate(value) {
+        if (!value) return null;
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : new Date(value);
+
+        const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        const date = dateOnly
+            ? new Date(parseInt(dateOnly[1], 10), parseInt(dateOnly[2], 10) - 1, parseInt(dateOnly[3], 10))
+            : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    toHours(value) {
+        const n = parseFloat(value);
+        return isNaN(n) || n < 0 ? 0 : n;
+    }
+
+    startOfDay(date) {
+        const d = new Date(date);
+        d.setHours(0, 0, 0, 0);
+        return d;
+    }
+
+    addMonths(date, months) {
+        const d = new Date(date);
+        d.setMonth(d.getMonth() + months);
+        return d;
+    }
+
+    addDays(date, days) {
+        const d = new Date(date);
+        d.setDate(d.getDate() + days);
+        return d;
+    }
+
+    ageOn(dob, onDate) {
+        let age = onDate.getFullYear() - dob.getFullYear();
+        const m = onDate.getMonth() - dob.getMonth();
+        if (m < 0 || (m === 0 && onDate.getDate() < dob.getDate())) age--;
+        return age;
+    }
+
+    formatDate(date) {
+        return date.toLocaleDateString('en-AU', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    formatHours(hours) {
+        return `${Math.round(hours * 10) / 10}`;
+    }
+}
+
+// ACT requirements - the seed row in rule_sets
+EligibilityRules.DEFAULT_RULE_SET = {
+    id: null,
+    jurisdiction: 'ACT',
+    effective_from: '2000-01-01',
+    name: 'ACT learner requirements',
+    rules: {
+        pathways: {
+            P1_RED: {
+                name: 'P1 Red',
+                hoursRequired: 100,
+                nightHoursRequired: 10,
+                tenureMonths: 12
+            },
+            P2_GREEN: {
+                name: 'P2 Green',
+                hoursRequired: 50,
+                nightHoursRequired: 5,
+                tenureMonths: 6
+            }
+        },
+        credits: {
+            adiMultiplier: 3,      // Each ADI hour counts 3x...
+            adiBonusCapHours: 10,  // ...for the first 10 actual hours, then 1x
+            saferDriverCourse: 20,
+            vruCourse: 10,
+            firstAidCourse: 5
+        },
+        general: {
+            under25Age: 25,          // Under this age at issue = P1 Red pathway
+            minimumAge: 17,          // Cannot hold a P licence before 17
+            licenceValidityYears: 5, // Learner licence validity (issue = expiry - 5 years)
+            hptValidityMonths: 12    // An HPT pass must be used for the P licence within this long
+        }
+    }
+};
+
+// Requirements every rule set must give a number for
+EligibilityRules.RULE_PATHS = [
+    'pathways.P1_RED.hoursRequired',
+    'pathways.P1_RED.nightHoursRequired',
+    'pathways.P1_RED.tenureMonths',
+    'pathways.P2_GREEN.hoursRequired',
+    'pathways.P2_GREEN.nightHoursRequired',
+    'pathways.P2_GREEN.tenureMonths',
+    'credits.adiMultiplier',
+    'credits.adiBonusCapHours',
+    'credits.saferDriverCourse',
+    'credits.vruCourse',
+    'credits.firstAidCourse',
+    'general.under25Age',
+    'general.minimumAge',
+    'general.licenceValidityYears',
+    'general.hptValidityMonths'
+];
+
+// HPT certificate numbers: 6-12 letters and digits, with at least one digit (calculate_eligibility() mirrors it)
+EligibilityRules.HPT_CERTIFICATE_PATTERN = /^(?=.*\d)[A-Z0-9]{6,12}$/;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EligibilityRules;
+}
+if (typeof window !== 'undefined') {
+    window.EligibilityRules = EligibilityRules;
+}
@@ -0,0 +1,378 @@
+/**
+ * APEX Extraction Schema Module
+ * Version: 1.0.0
+ *
+ * Validates and normalises the raw JSON returned by a logbook extractor
+ * before LogbookScanner.validateEntries() sees it. Fixable problems
+ * (odometers as "12,345", times as "1030", "yes" for a signature) are
+ * coerced and recorded; structural problems are reported by field path.
+ * Licence cards and CBT&A certificates have their own field lists
+ * (DOCUMENT_FIELDS), checked by validateDocument().
+ *
+ * Usage:
+ *   const schema = new ExtractionSchema();
+ *   const checked = schema.validate(rawExtraction);
+ *   if (!checked.valid) throw new ExtractionSchemaError(checked.errors);
+ *   scanner.validateEntries(checked.data);
+ *
+ *   const licence = schema.validateDocument('LICENCE', rawLicence);
+ *   console.log(licence.data.expiryDate); // '2027-03-01'
+ */
+
+class ExtractionSchemaError extends Error {
+    /**
+     * @param {Array<{path: string, message: string}>} errors
+     */
+    constructor(errors) {
+        const summary = errors.slice(0, 3).map(e => `${e.path}: ${e.message}`).join('; ');
+        const more = errors.length > 3 ? ` (+${errors.length - 3} more)` : '';
+        super(`Extraction result is invalid - ${summary}${more}`);
+        this.name = 'ExtractionSchemaError';
+        this.errors = errors;
+    }
+}
+
+class ExtractionSchema {
+    constructor(options = {}) {
+        this.pageTypes = options.pageTypes || ['BLUE_DAY', 'RED_NIGHT', 'GREEN_ADI', 'ADI_STAMP'];
+        this.confidenceLevels = ['high', 'medium', 'low'];
+    }
+
+    /**
+     * Validate and normalise an extraction result
+     * @param {*} raw - Parsed extractor output
+     * @returns {{ valid: boolean, data: Object|null, errors: Array, fixes: Array }}
+     *          errors - { path, message } problems that make the result unusable
+     *          fixes  - { path, message, from, to, dropped } coercions applied to data
+     */
+    validate(raw) {
+        const errors = [];
+        const fixes = [];
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            errors.push({ path: '$', message: `expected an object, got ${this.describe(raw)}` });
+            return { valid: false, data: null, errors, fixes };
+        }
+
+        const data = {
+            pageType: this.normalisePageType(raw.pageType, errors, fixes),
+            pageNumber: this.normaliseInteger(raw.pageNumber, 'pageNumber', fixes),
+            entries: [],
+            subtotal: this.normaliseDuration(raw.subtotal, 'subtotal', fixes, null),
+            pageNotes: this.normaliseText(raw.pageNotes, 'pageNotes', fixes)
+        };
+
+        if (!Array.isArray(raw.entries)) {
+            errors.push({ path: 'entries', message: `expected an array, got ${this.describe(raw.entries)}` });
+        } else {
+            raw.entries.forEach((entry, index) => {
+                const path = `entries[${index}]`;
+                if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                    errors.push({ path, message: `expected an object, got ${this.describe(entry)}` });
+                    return;
+                }
+                data.entries.push(this.normaliseEntry(entry, index, path, fixes));
+            });
+        }
+
+        return { valid: errors.length === 0, data: errors.length === 0 ? data : null, errors, fixes };
+    }
+
+    /**
+     * Validate and normalise a licence card or CBT&A certificate extraction
+     * @param {string} documentType - A key of ExtractionSchema.DOCUMENT_FIELDS
+     * @param {*} raw - Parsed extractor output
+     * @returns {{ valid: boolean, data: Object|null, errors: Array, fixes: Array }}
+     *          data - { documentType, ...fields, confidence: { field: level }, notes }; unreadable fields are null
+     */
+    validateDocument(documentType, raw) {
+        const errors = [];
+        const fixes = [];
+        const fields = ExtractionSchema.DOCUMENT_FIELDS[documentType];
+
+        if (!fields) {
+            errors.push({ path: 'documentType', message: `unknown document type "${documentType}"` });
+            return { valid: false, data: null, errors, fixes };
+        }
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            errors.push({ path: '$', message: `expected an object, got ${this.describe(raw)}` });
+            return { valid: false, data: null, errors, fixes };
+        }
+
+        const data = { documentType };
+        fields.text.forEach(field => {
+            data[field] = raw[field] === 'UNCLEAR' ? null : this.normaliseText(raw[field], field, fixes);
+        });
+        fields.dates.forEach(field => {
+            data[field] = this.normaliseDate(raw[field], field, fixes);
+        });
+
+        // Confidence only means something for the fields that were read
+        const confidence = raw.confidence && typeof raw.confidence === 'object' ? raw.confidence : {};
+        data.confidence = {};
+        [...fields.text, ...fields.dates].forEach(field => {
+            if (data[field] !== null) {
+                data.confidence[field] = this.normaliseConfidence(confidence[field], `confidence.${field}`, fixes);
+            }
+        });
+        data.notes = this.normaliseText(raw.notes, 'notes', fixes);
+
+        if (!data.firstName && !data.lastName) {
+            errors.push({ path: 'lastName', message: 'no name could be read from the document' });
+        }
+        return { valid: errors.length === 0, data: errors.length === 0 ? data : null, errors, fixes };
+    }
+
+    /**
+     * Calendar dates as YYYY-MM-DD - also accepts DD/MM/YYYY, DD-MM-YYYY and DD.MM.YYYY
+     */
+    normaliseDate(value, path, fixes) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'string') {
+            const text = value.trim();
+            let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            let parts = match ? [match[1], match[2], match[3]] : null;
+            if (!parts) {
+                match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+                if (match) parts = [match[3], match[2].padStart(2, '0'), match[1].padStart(2, '0')];
+            }
+
+            if (parts) {
+                const [year, month, day] = parts.map(Number);
+                const date = new Date(Date.UTC(year, month - 1, day));
+                if (date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+                    const normalised = parts.join('-');
+                    if (normalised !== value) fixes.push({ path, message: 'normalised date', from: value, to: normalised });
+                    return normalised;
+                }
+            }
+        }
+        fixes.push({ path, message: `not a date (${this.describe(value)})`, from: value, to: null, dropped: value !== 'UNCLEAR' });
+        return null;
+    }
+
+    /**
+     * Normalise one logbook row
+     */
+    normaliseEntry(entry, index, path, fixes) {
+        const rowNumber = this.normaliseInteger(entry.rowNumber, `${path}.rowNumber`, fixes);
+
+        return {
+            ...entry,
+            rowNumber: rowNumber ?? index + 1,
+            date: this.normaliseRequired(entry.date, `${path}.date`, fixes),
+            weather: this.normaliseText(entry.weather, `${path}.weather`, fixes),
+            supervisorName: this.normaliseRequired(entry.supervisorName, `${path}.supervisorName`, fixes, entry.supervisorName === undefined),
+            licenceNumber: this.normaliseRequired(entry.licenceNumber, `${path}.licenceNumber`, fixes, entry.licenceNumber === undefined),
+            startTime: this.normaliseTime(entry.startTime, `${path}.startTime`, fixes),
+            finishTime: this.normaliseTime(entry.finishTime, `${path}.finishTime`, fixes),
+            totalTime: this.normaliseDuration(entry.totalTime, `${path}.totalTime`, fixes, 'UNCLEAR'),
+            hasSignature: this.normaliseBoolean(entry.hasSignature, `${path}.hasSignature`, fixes),
+            odometerStart: this.normaliseOdometer(entry.odometerStart, `${path}.odometerStart`, fixes),
+            odometerFinish: this.normaliseOdometer(entry.odometerFinish, `${path}.odometerFinish`, fixes),
+            confidence: this.normaliseConfidence(entry.confidence, `${path}.confidence`, fixes),
+            notes: this.normaliseText(entry.notes, `${path}.notes`, fixes),
+            rowBounds: this.normaliseRowBounds(entry.rowBounds, `${path}.rowBounds`, fixes)
+        };
+    }
+
+    /**
+     * Vertical position of a row on the image, as fractions of its height - only used for review crops
+     */
+    normaliseRowBounds(value, path, fixes) {
+        if (value === null || value === undefined) return null;
+
+        const top = Number(value.top);
+        const bottom = Number(value.bottom);
+        if (Number.isFinite(top) && Number.isFinite(bottom) && top >= 0 && bottom <= 1 && top < bottom) {
+            return { top, bottom };
+        }
+        fixes.push({ path, message: 'ignored invalid row position', from: value, to: null });
+        return null;
+    }
+
+    normalisePageType(value, errors, fixes) {
+        if (typeof value !== 'string' || !value.trim()) {
+            errors.push({ path: 'pageType', message: `expected one of ${this.pageTypes.join(', ')}, got ${this.describe(value)}` });
+            return null;
+        }
+
+        const normalised = value.trim().toUpperCase().replace(/[\s-]+/g, '_');
+        if (!this.pageTypes.includes(normalised)) {
+            errors.push({ path: 'pageType', message: `unknown page type "${value}"` });
+            return null;
+        }
+        if (normalised !== value) {
+            fixes.push({ path: 'pageType', message: 'normalised page type', from: value, to: normalised });
+        }
+        return normalised;
+    }
+
+    /**
+     * Strings the validator needs to see - missing or unreadable values become UNCLEAR
+     */
+    normaliseRequired(value, path, fixes, optional = false) {
+        if (typeof value === 'string' && value.trim()) return value.trim();
+        if (typeof value === 'number') {
+            fixes.push({ path, message: 'converted number to text', from: value, to: String(value) });
+            return String(value);
+        }
+        if (optional && value === undefined) return undefined;
+        fixes.push({ path, message: `missing or unreadable (${this.describe(value)})`, from: value, to: 'UNCLEAR', dropped: true });
+        return 'UNCLEAR';
+    }
+
+    normaliseText(value, path, fixes) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'string') return value.trim() || null;
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            fixes.push({ path, message: 'converted to text', from: value, to: String(value) });
+            return String(value);
+        }
+        fixes.push({ path, message: `expected text, got ${this.describe(value)}`, from: value, to: null, dropped: true });
+        return null;
+    }
+
+    /**
+     * Times as HH:MM - also accepts "10.30", "1030" and "4:30pm"
+     * Missing times stay null (ADI stamps have none); only unreadable ones become UNCLEAR
+     */
+    normaliseTime(value, path, fixes) {
+        if (value === null || value === undefined || (typeof value === 'string' && !value.trim())) return null;
+        if (value === 'UNCLEAR') return value;
+        if (typeof value === 'string' || typeof value === 'number') {
+            const text = String(value).trim();
+            if (/^\d{1,2}:\d{2}$/.test(text) && this.isValidTime(...text.split(':').map(Number))) {
+                return text;
+            }
+
+            const match = text.match(/^(\d{1,2})[:.\s]?(\d{2})\s*([ap])?\.?m?\.?$/i);
+            if (match) {
+                let hours = parseInt(match[1], 10);
+                const minutes = parseInt(match[2], 10);
+                const meridiem = match[3] ? match[3].toLowerCase() : null;
+                if (meridiem === 'p' && hours < 12) hours += 12;
+                if (meridiem === 'a' && hours === 12) hours = 0;
+
+                if (this.isValidTime(hours, minutes)) {
+                    const normalised = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+                    fixes.push({ path, message: 'normalised time', from: value, to: normalised });
+                    return normalised;
+                }
+            }
+        }
+        fixes.push({ path, message: `not a time (${this.describe(value)})`, from: value, to: 'UNCLEAR', dropped: true });
+        return 'UNCLEAR';
+    }
+
+    isValidTime(hours, minutes) {
+        return hours >= 0 && hours <= 23 && minutes >= 0 && minutes <= 59;
+    }
+
+    /**
+     * Durations stay as text ("1:30" or decimal hours) - numbers are decimal hours
+     */
+    normaliseDuration(value, path, fixes, fallback) {
+        if (value === null || value === undefined) return fallback;
+        if (typeof value === 'string' && value.trim()) return value.trim();
+        if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+            fixes.push({ path, message: 'read number as decimal hours', from: value, to: String(value) });
+            return String(value);
+        }
+        fixes.push({ path, message: `not a duration (${this.describe(value)})`, from: value, to: fallback, dropped: true });
+        return fallback;
+    }
+
+    normaliseInteger(value, path, fixes) {
+        if (value === null || value === undefined) return null;
+        if (Number.isInteger(value)) return value;
+        if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) {
+            const normalised = parseInt(value, 10);
+            fixes.push({ path, message: 'converted text to number', from: value, to: normalised });
+            return normalised;
+        }
+        fixes.push({ path, message: `expected a whole number, got ${this.describe(value)}`, from: value, to: null, dropped: true });
+        return null;
+    }
+
+    /**
+     * Odometers as whole kilometres - accepts "12,345", "12 345 km"
+     */
+    normaliseOdometer(value, path, fixes) {
+        if (value === null || value === undefined || value === 'UNCLEAR') return null;
+        if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+            if (Number.isInteger(value)) return value;
+            const normalised = Math.round(value);
+            fixes.push({ path, message: 'rounded to whole kilometres', from: value, to: normalised });
+            return normalised;
+        }
+        if (typeof value === 'string') {
+            const digits = value.replace(/[\s,]|km/gi, '');
+            if (/^\d+$/.test(digits)) {
+                const normalised = parseInt(digits, 10);
+                fixes.push({ path, message: 'converted text to number', from: value, to: normalised });
+                return normalised;
+            }
+        }
+        fixes.push({ path, message: `not an odometer reading (${this.describe(value)})`, from: value, to: null, dropped: true });
+        return null;
+    }
+
+    normaliseBoolean(value, path, fixes) {
+        if (typeof value === 'boolean') return value;
+        if (value === null || value === undefined) return null;
+
+        const text = String(value).trim().toLowerCase();
+        if (['yes', 'y', 'true', 'signed', '1'].includes(text)) {
+            fixes.push({ path, message: 'converted to true', from: value, to: true });
+            return true;
+        }
+        if (['no', 'n', 'false', 'unsigned', 'missing', '0'].includes(text)) {
+            fixes.push({ path, message: 'converted to false', from: value, to: false });
+            return false;
+        }
+        fixes.push({ path, message: `expected true/false, got ${this.describe(value)}`, from: value, to: null, dropped: true });
+        return null;
+    }
+
+    normaliseConfidence(value, path, fixes) {
+        const text = typeof value === 'string' ? value.trim().toLowerCase() : null;
+        if (this.confidenceLevels.includes(text)) {
+            if (text !== value) fixes.push({ path, message: 'normalised confidence', from: value, to: text });
+            return text;
+        }
+        fixes.push({ path, message: `unknown confidence (${this.describe(value)}) - treated as low`, from: value, to: 'low', dropped: true });
+        return 'low';
+    }
+
+    describe(value) {
+        if (value === null) return 'null';
+        if (value === undefined) return 'nothing';
+        if (Array.isArray(value)) return 'an array';
+        if (typeof value === 'string') return `"${value.length > 20 ? value.slice(0, 20) + '...' : value}"`;
+        return typeof value === 'object' ? 'an object' : `${typeof value} ${value}`;
+    }
+}
+
+// Fields read from each document type (see LogbookExtractor.DOCUMENT_PROMPTS)
+ExtractionSchema.DOCUMENT_FIELDS = {
+    LICENCE: {
+        text: ['firstName', 'lastName', 'licenceNumber', 'licenceClass', 'address'],
+        dates: ['dateOfBirth', 'issueDate', 'expiryDate']
+    },
+    CBTA: {
+        text: ['firstName', 'lastName', 'licenceNumber', 'phone', 'address', 'adiNumber'],
+        dates: ['dateOfBirth', 'assessmentDate']
+    }
+};
+
+const ExtractionSchemaModule = { ExtractionSchema, ExtractionSchemaError };
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExtractionSchemaModule;
+}
+if (typeof window !== 'undefined') {
+    window.ExtractionSchema = ExtractionSchema;
+    window.ExtractionSchemaError = ExtractionSchemaError;
+}
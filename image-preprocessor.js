@@ -0,0 +1,553 @@
+/**
+ * APEX Image Preprocessor Module
+ * Version: 1.0.0
+ *
+ * Prepares phone photos of logbook pages before extraction: applies EXIF
+ * orientation, downsizes, re-encodes everything (HEIC, PNG, WebP) as JPEG,
+ * optionally crops to the page and corrects perspective, and scores the
+ * photo for blur, darkness and glare. Blurred or dark shots are rejected
+ * before an extraction call is spent on them; bright or glary ones are only
+ * flagged, since a clean scan of white paper reads the same way.
+ *
+ * Browser only (needs canvas). LogbookScanner uses it automatically when
+ * this script is loaded.
+ *
+ * Usage:
+ *   const pre = new ImagePreprocessor({ cropToPage: true });
+ *   const processed = await pre.process(file);
+ *   if (!processed.quality.usable) throw new ImageQualityError(processed.quality);
+ *   console.log(processed.base64, processed.quality.score);
+ */
+
+class ImageQualityError extends Error {
+    constructor(quality) {
+        super(`Photo is not clear enough to scan (${quality.problems.join(', ')}) - please retake it`);
+        this.name = 'ImageQualityError';
+        this.quality = quality;
+    }
+}
+
+class ImagePreprocessor {
+    constructor(options = {}) {
+        this.maxDimension = options.maxDimension || 2000; // Longest edge sent for extraction
+        this.outputType = options.outputType || 'image/jpeg';
+        this.outputQuality = options.outputQuality ?? 0.85;
+        this.cropToPage = options.cropToPage ?? false;
+        this.analysisSize = options.analysisSize || 512; // Longest edge used for quality/page detection
+
+        // Quality limits - measured on the analysis-size greyscale image
+        this.thresholds = {
+            minSharpness: 40,     // Variance of the Laplacian
+            minBrightness: 60,    // Mean grey level (0-255)
+            maxBrightness: 235,   // Above this is a warning, not a rejection
+            maxGlare: 0.08,       // Fraction of blown-out pixels - also a warning only
+            minPageArea: 0.25,    // Detected page must cover this much of the photo to crop
+            ...options.thresholds
+        };
+    }
+
+    /**
+     * Whether this environment can decode and draw images
+     */
+    static isSupported() {
+        return typeof document !== 'undefined' || typeof OffscreenCanvas !== 'undefined';
+    }
+
+    /**
+     * Run the full pipeline
+     * @param {File|Blob|string} image - Image file, blob, data URL or base64 string
+     * @returns {Promise<Object>} { base64, mimeType, width, height, originalWidth, originalHeight,
+     *                              originalType, originalBytes, orientation, cropped, pageCorners, quality }
+     */
+    async process(image) {
+        const blob = this.toBlob(image);
+        const orientation = this.readExifOrientation(await blob.slice(0, 256 * 1024).arrayBuffer());
+
+        const decoded = await this.decode(blob);
+        const scale = Math.min(1, this.maxDimension / Math.max(decoded.width, decoded.height));
+        let canvas = this.drawOriented(decoded.source, decoded.width, decoded.height,
+            decoded.orientationApplied ? 1 : orientation, scale);
+        if (decoded.source.close) decoded.source.close();
+
+        let pageCorners = null;
+        if (this.cropToPage) {
+            pageCorners = this.detectPage(canvas);
+            if (pageCorners) {
+                canvas = this.warpPerspective(canvas, pageCorners);
+            }
+        }
+
+        const quality = this.assessQuality(canvas);
+        const dataUrl = await this.canvasToDataUrl(canvas);
+
+        return {
+            base64: dataUrl.split(',')[1],
+            mimeType: this.outputType,
+            width: canvas.width,
+            height: canvas.height,
+            originalWidth: decoded.width,
+            originalHeight: decoded.height,
+            originalType: blob.type || null,
+            originalBytes: blob.size,
+            orientation,
+            cropped: pageCorners !== null,
+            pageCorners,
+            quality
+        };
+    }
+
+    /**
+     * Normalise input to a Blob
+     */
+    toBlob(image) {
+        if (typeof image !== 'string') return image;
+
+        let type = '';
+        let base64 = image;
+        const match = image.match(/^data:([^;,]*)(?:;[^,]*)?,/);
+        if (match) {
+            type = match[1];
+            base64 = image.slice(match[0].length);
+        }
+
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type });
+    }
+
+    /**
+     * Decode to something drawable. createImageBitmap is asked not to rotate
+     * so EXIF is applied once, by us; the <img> fallback (Safari HEIC) rotates itself.
+     */
+    async decode(blob) {
+        if (typeof createImageBitmap === 'function') {
+            try {
+                const bitmap = await createImageBitmap(blob, { imageOrientation: 'none' });
+                return { source: bitmap, width: bitmap.width, height: bitmap.height, orientationApplied: false };
+            } catch (e) {
+                // Fall through - some browsers only decode HEIC via <img>
+            }
+        }
+
+        if (typeof Image !== 'undefined' && typeof URL !== 'undefined') {
+            const url = URL.createObjectURL(blob);
+            try {
+                const img = await new Promise((resolve, reject) => {
+                    const el = new Image();
+                    el.onload = () => resolve(el);
+                    el.onerror = reject;
+                    el.src = url;
+                });
+                return { source: img, width: img.naturalWidth, height: img.naturalHeight, orientationApplied: true };
+            } catch (e) {
+                // Reported below
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+        }
+
+        if (/hei[cf]/i.test(blob.type) || /hei[cf]/i.test(blob.name || '')) {
+            throw new Error('HEIC photos cannot be read in this browser - set the camera to "Most Compatible" or upload a JPEG');
+        }
+        throw new Error('Could not read image - please upload a JPEG or PNG photo');
+    }
+
+    /**
+     * Read the EXIF orientation tag (1-8) from the start of a JPEG
+     */
+    readExifOrientation(buffer) {
+        const view = new DataView(buffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // Bad marker or start of image data
+
+            const size = view.getUint16(offset + 2);
+            if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+                const tiff = offset + 10;
+                if (tiff + 8 > view.byteLength) return 1;
+
+                const little = view.getUint16(tiff) === 0x4949;
+                const ifd = tiff + view.getUint32(tiff + 4, little);
+                if (ifd + 2 > view.byteLength) return 1;
+
+                const count = view.getUint16(ifd, little);
+                for (let i = 0; i < count; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    if (entry + 12 > view.byteLength) break;
+                    if (view.getUint16(entry, little) === 0x0112) {
+                        const value = view.getUint16(entry + 8, little);
+                        return value >= 1 && value <= 8 ? value : 1;
+                    }
+                }
+                return 1;
+            }
+            offset += 2 + size;
+        }
+        return 1;
+    }
+
+    /**
+     * Draw scaled and rotated/flipped upright for the given EXIF orientation
+     */
+    drawOriented(source, width, height, orientation, scale) {
+        const w = Math.max(1, Math.round(width * scale));
+        const h = Math.max(1, Math.round(height * scale));
+        const swap = orientation >= 5;
+        const canvas = this.createCanvas(swap ? h : w, swap ? w : h);
+        const ctx = canvas.getContext('2d');
+
+        switch (orientation) {
+            case 2: ctx.transform(-1, 0, 0, 1, w, 0); break;
+            case 3: ctx.transform(-1, 0, 0, -1, w, h); break;
+            case 4: ctx.transform(1, 0, 0, -1, 0, h); break;
+            case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+            case 6: ctx.transform(0, 1, -1, 0, h, 0); break;
+            case 7: ctx.transform(0, -1, -1, 0, h, w); break;
+            case 8: ctx.transform(0, -1, 1, 0, 0, w); break;
+        }
+
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, 0, 0, w, h);
+        return canvas;
+    }
+
+    /**
+     * Blur, brightness and glare score for the photo
+     * @returns {{ score: number, sharpness: number, brightness: number, glare: number, usable: boolean, problems: string[], warnings: string[] }}
+     */
+    assessQuality(canvas) {
+        const { gray, width, height } = this.grayscale(canvas);
+        const t = this.thresholds;
+
+        let sum = 0;
+        let blown = 0;
+        for (let i = 0; i < gray.length; i++) {
+            sum += gray[i];
+            if (gray[i] >= 250) blown++;
+        }
+        const brightness = sum / gray.length;
+        const glare = blown / gray.length;
+
+        // Variance of the Laplacian - low when edges (handwriting) are soft
+        let lapSum = 0;
+        let lapSumSq = 0;
+        let n = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const lap = 4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - width] - gray[i + width];
+                lapSum += lap;
+                lapSumSq += lap * lap;
+                n++;
+            }
+        }
+        const sharpness = n ? lapSumSq / n - Math.pow(lapSum / n, 2) : 0;
+
+        const problems = [];
+        if (sharpness < t.minSharpness) problems.push('too blurry');
+        if (brightness < t.minBrightness) problems.push('too dark');
+        const warnings = [];
+        if (brightness > t.maxBrightness) warnings.push('very bright - check it is not overexposed');
+        if (glare > t.maxGlare) warnings.push('possible glare on the page');
+
+        // 0-100, weighted towards sharpness since that is what breaks handwriting reads
+        const sharpScore = Math.min(1, sharpness / (t.minSharpness * 3));
+        const midBrightness = (t.minBrightness + t.maxBrightness) / 2;
+        const brightScore = Math.max(0, 1 - Math.abs(brightness - midBrightness) / (midBrightness - t.minBrightness) / 2);
+        const glareScore = Math.max(0, 1 - glare / (t.maxGlare * 2));
+
+        return {
+            score: Math.round(100 * (0.5 * sharpScore + 0.3 * brightScore + 0.2 * glareScore)),
+            sharpness: Math.round(sharpness),
+            brightness: Math.round(brightness),
+            glare: Math.round(glare * 1000) / 1000,
+            usable: problems.length === 0,
+            problems,
+            warnings
+        };
+    }
+
+    /**
+     * Find the page as the largest bright region and return its corners
+     * (tl, tr, br, bl in canvas pixels), or null if no clear page is found
+     */
+    detectPage(canvas) {
+        const { gray: sharp, width, height, scale } = this.grayscale(canvas);
+        // Blur first so ruled lines and handwriting don't split the page into cells
+        const gray = this.boxBlur(sharp, width, height, 3);
+        const threshold = this.otsuThreshold(gray);
+
+        // Largest connected bright region (4-neighbour flood fill)
+        const labels = new Int32Array(gray.length);
+        const stack = new Int32Array(gray.length);
+        let best = { label: 0, size: 0 };
+        let label = 0;
+
+        for (let start = 0; start < gray.length; start++) {
+            if (labels[start] || gray[start] <= threshold) continue;
+
+            label++;
+            let size = 0;
+            let top = 0;
+            stack[top++] = start;
+            labels[start] = label;
+
+            while (top) {
+                const i = stack[--top];
+                size++;
+                const x = i % width;
+                const neighbours = [
+                    x > 0 ? i - 1 : -1,
+                    x < width - 1 ? i + 1 : -1,
+                    i - width,
+                    i + width
+                ];
+                for (const j of neighbours) {
+                    if (j >= 0 && j < gray.length && !labels[j] && gray[j] > threshold) {
+                        labels[j] = label;
+                        stack[top++] = j;
+                    }
+                }
+            }
+
+            if (size > best.size) best = { label, size };
+        }
+
+        if (best.size < gray.length * this.thresholds.minPageArea) return null;
+
+        // Corners are the region's extremes along the diagonals
+        const corners = { tl: null, tr: null, br: null, bl: null };
+        const extremes = { tl: Infinity, tr: -Infinity, br: -Infinity, bl: -Infinity };
+        for (let i = 0; i < labels.length; i++) {
+            if (labels[i] !== best.label) continue;
+            const x = i % width;
+            const y = (i - x) / width;
+            if (x + y < extremes.tl) { extremes.tl = x + y; corners.tl = { x, y }; }
+            if (x - y > extremes.tr) { extremes.tr = x - y; corners.tr = { x, y }; }
+            if (x + y > extremes.br) { extremes.br = x + y; corners.br = { x, y }; }
+            if (y - x > extremes.bl) { extremes.bl = y - x; corners.bl = { x, y }; }
+        }
+
+        // Page already fills the frame - nothing to crop
+        const quadArea = this.polygonArea([corners.tl, corners.tr, corners.br, corners.bl]);
+        if (quadArea > width * height * 0.95) return null;
+
+        const toCanvas = p => ({ x: (p.x + 0.5) / scale, y: (p.y + 0.5) / scale });
+        return [toCanvas(corners.tl), toCanvas(corners.tr), toCanvas(corners.br), toCanvas(corners.bl)];
+    }
+
+    /**
+     * Map the quadrilateral [tl, tr, br, bl] onto an upright rectangle
+     */
+    warpPerspective(canvas, corners) {
+        const [tl, tr, br, bl] = corners;
+        const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const outWidth = Math.round(Math.max(dist(tl, tr), dist(bl, br)));
+        const outHeight = Math.round(Math.max(dist(tl, bl), dist(tr, br)));
+
+        // Homography from output pixels back to source pixels
+        const h = this.solveHomography(
+            [{ x: 0, y: 0 }, { x: outWidth, y: 0 }, { x: outWidth, y: outHeight }, { x: 0, y: outHeight }],
+            corners
+        );
+
+        const src = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const out = this.createCanvas(outWidth, outHeight);
+        const outCtx = out.getContext('2d');
+        const dst = outCtx.createImageData(outWidth, outHeight);
+        const sw = canvas.width;
+        const sh = canvas.height;
+
+        for (let y = 0; y < outHeight; y++) {
+            for (let x = 0; x < outWidth; x++) {
+                const w = h[6] * x + h[7] * y + 1;
+                const sx = Math.min(sw - 1, Math.max(0, (h[0] * x + h[1] * y + h[2]) / w));
+                const sy = Math.min(sh - 1, Math.max(0, (h[3] * x + h[4] * y + h[5]) / w));
+
+                // Bilinear sample
+                const x0 = Math.floor(sx);
+                const y0 = Math.floor(sy);
+                const x1 = Math.min(sw - 1, x0 + 1);
+                const y1 = Math.min(sh - 1, y0 + 1);
+                const fx = sx - x0;
+                const fy = sy - y0;
+                const o = (y * outWidth + x) * 4;
+
+                for (let c = 0; c < 3; c++) {
+                    const top = src.data[(y0 * sw + x0) * 4 + c] * (1 - fx) + src.data[(y0 * sw + x1) * 4 + c] * fx;
+                    const bottom = src.data[(y1 * sw + x0) * 4 + c] * (1 - fx) + src.data[(y1 * sw + x1) * 4 + c] * fx;
+                    dst.data[o + c] = top * (1 - fy) + bottom * fy;
+                }
+                dst.data[o + 3] = 255;
+            }
+        }
+
+        outCtx.putImageData(dst, 0, 0);
+        return out;
+    }
+
+    /**
+     * 3x3 homography (h33 = 1) mapping four `from` points onto four `to` points
+     * @returns {number[]} [h11, h12, h13, h21, h22, h23, h31, h32]
+     */
+    solveHomography(from, to) {
+        const a = [];
+        for (let i = 0; i < 4; i++) {
+            const { x, y } = from[i];
+            const { x: u, y: v } = to[i];
+            a.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+            a.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+        }
+
+        // Gaussian elimination with partial pivoting
+        for (let col = 0; col < 8; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < 8; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            for (let row = 0; row < 8; row++) {
+                if (row === col) continue;
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k < 9; k++) {
+                    a[row][k] -= factor * a[col][k];
+                }
+            }
+        }
+
+        return a.map((row, i) => row[8] / row[i]);
+    }
+
+    /**
+     * Otsu's method - threshold that best separates paper from background
+     */
+    otsuThreshold(gray) {
+        const histogram = new Array(256).fill(0);
+        for (let i = 0; i < gray.length; i++) histogram[gray[i]]++;
+
+        let total = 0;
+        for (let i = 0; i < 256; i++) total += i * histogram[i];
+
+        let backgroundSum = 0;
+        let backgroundCount = 0;
+        let bestVariance = 0;
+        let threshold = 127;
+
+        for (let t = 0; t < 256; t++) {
+            backgroundCount += histogram[t];
+            if (!backgroundCount) continue;
+            const foregroundCount = gray.length - backgroundCount;
+            if (!foregroundCount) break;
+
+            backgroundSum += t * histogram[t];
+            const meanBackground = backgroundSum / backgroundCount;
+            const meanForeground = (total - backgroundSum) / foregroundCount;
+            const variance = backgroundCount * foregroundCount * Math.pow(meanBackground - meanForeground, 2);
+
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                threshold = t;
+            }
+        }
+        return threshold;
+    }
+
+    /**
+     * Downsampled greyscale copy used for analysis
+     * @returns {{ gray: Uint8Array, width: number, height: number, scale: number }}
+     */
+    grayscale(canvas) {
+        const scale = Math.min(1, this.analysisSize / Math.max(canvas.width, canvas.height));
+        const width = Math.max(1, Math.round(canvas.width * scale));
+        const height = Math.max(1, Math.round(canvas.height * scale));
+
+        const small = this.createCanvas(width, height);
+        const ctx = small.getContext('2d');
+        ctx.drawImage(canvas, 0, 0, width, height);
+        const { data } = ctx.getImageData(0, 0, width, height);
+
+        const gray = new Uint8Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+        }
+        return { gray, width, height, scale: width / canvas.width };
+    }
+
+    /**
+     * Separable box blur of a greyscale image
+     */
+    boxBlur(gray, width, height, radius) {
+        const pass = (input, horizontal) => {
+            const output = new Uint8Array(input.length);
+            const lines = horizontal ? height : width;
+            const length = horizontal ? width : height;
+            const index = horizontal ? (line, i) => line * width + i : (line, i) => i * width + line;
+
+            for (let line = 0; line < lines; line++) {
+                for (let i = 0; i < length; i++) {
+                    let sum = 0;
+                    let count = 0;
+                    for (let k = Math.max(0, i - radius); k <= Math.min(length - 1, i + radius); k++) {
+                        sum += input[index(line, k)];
+                        count++;
+                    }
+                    output[index(line, i)] = Math.round(sum / count);
+                }
+            }
+            return output;
+        };
+        return pass(pass(gray, true), false);
+    }
+
+    polygonArea(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return Math.abs(area) / 2;
+    }
+
+    createCanvas(width, height) {
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        return new OffscreenCanvas(width, height);
+    }
+
+    async canvasToDataUrl(canvas) {
+        if (canvas.toDataURL) {
+            return canvas.toDataURL(this.outputType, this.outputQuality);
+        }
+
+        const blob = await canvas.convertToBlob({ type: this.outputType, quality: this.outputQuality });
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsDataURL(blob);
+        });
+    }
+}
+
+const ImagePreprocessorModule = { ImagePreprocessor, ImageQualityError };
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImagePreprocessorModule;
+}
+if (typeof window !== 'undefined') {
+    window.ImagePreprocessor = ImagePreprocessor;
+    window.ImageQualityError = ImageQualityError;
+}
@@ -0,0 +1,339 @@
+/**
+ * APEX Lesson Schedule Module
+ * Version: 1.0.0
+ *
+ * Booking checks for instructor lessons (clashes, weekly availability, time
+ * off), free-slot suggestions, conversion of a completed lesson into a
+ * GREEN_ADI logbook session, and iCalendar (.ics) export. Lessons are
+ * stored as instants; availability and logbook entries use Canberra
+ * wall-clock time.
+ *
+ * Usage:
+ *   const scheduler = new LessonScheduler();
+ *   const clashes = scheduler.findClashes(candidate, lessons);
+ *   const slots = scheduler.freeSlots('2026-03-02', 60, { availability, lessons, timeOff });
+ *   const ics = LessonCalendar.build(lessons, { name: 'APEX lessons' });
+ */
+
+class LessonScheduler {
+    constructor(options = {}) {
+        // Canberra keeps Sydney time, including daylight saving
+        this.timeZone = options.timeZone || 'Australia/Sydney';
+        // Travel time kept free between two lessons
+        this.bufferMinutes = options.bufferMinutes ?? 0;
+        this.slotStepMinutes = options.slotStepMinutes || 15;
+
+        this.formatter = new Intl.DateTimeFormat('en-AU', {
+            timeZone: this.timeZone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23', weekday: 'short'
+        });
+    }
+
+    /**
+     * Wall-clock date and time of an instant in this.timeZone
+     * @returns {{ date: string, time: string, minutes: number, weekday: number }}
+     *          date YYYY-MM-DD, time HH:MM, weekday 0 = Sunday (as Date#getDay)
+     */
+    localParts(instant) {
+        const parts = {};
+        for (const part of this.formatter.formatToParts(new Date(instant))) {
+            parts[part.type] = part.value;
+        }
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            time: `${parts.hour}:${parts.minute}`,
+            minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+            weekday: weekdays.indexOf(parts.weekday)
+        };
+    }
+
+    /**
+     * The instant a Canberra wall-clock time happens
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} time - HH:MM
+     * @returns {Date}
+     */
+    toInstant(date, time) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = time.split(':').map(Number);
+        const wanted = Date.UTC(year, month - 1, day, hours, minutes);
+
+        // Guess with UTC, then correct by the zone's offset at that moment (twice for DST edges)
+        let instant = wanted;
+        for (let i = 0; i < 2; i++) {
+            const local = this.localParts(instant);
+            const [ly, lm, ld] = local.date.split('-').map(Number);
+            const seen = Date.UTC(ly, lm - 1, ld, Math.floor(local.minutes / 60), local.minutes % 60);
+            instant += wanted - seen;
+        }
+        return new Date(instant);
+    }
+
+    /**
+     * Lessons still taking up time - cancelled ones free their slot
+     */
+    isActive(lesson) {
+        return lesson.status !== 'cancelled';
+    }
+
+    overlaps(startA, endA, startB, endB, bufferMinutes = 0) {
+        const buffer = bufferMinutes * 60000;
+        return new Date(startA).getTime() < new Date(endB).getTime() + buffer
+            && new Date(startB).getTime() < new Date(endA).getTime() + buffer;
+    }
+
+    /**
+     * Other lessons the instructor or the student is already booked into at the same time
+     * @param {Object} candidate - { id?, user_id, student_id, starts_at, ends_at }
+     * @param {Object[]} lessons - Existing lessons rows
+     * @returns {Array<{ kind: 'instructor'|'student', lesson: Object }>}
+     */
+    findClashes(candidate, lessons) {
+        const clashes = [];
+
+        for (const lesson of lessons) {
+            if (lesson.id && lesson.id === candidate.id) continue;
+            if (!this.isActive(lesson)) continue;
+
+            if (lesson.user_id === candidate.user_id
+                && this.overlaps(candidate.starts_at, candidate.ends_at, lesson.starts_at, lesson.ends_at, this.bufferMinutes)) {
+                clashes.push({ kind: 'instructor', lesson });
+            } else if (lesson.student_id === candidate.student_id
+                && this.overlaps(candidate.starts_at, candidate.ends_at, lesson.starts_at, lesson.ends_at)) {
+                clashes.push({ kind: 'student', lesson });
+            }
+        }
+        return clashes;
+    }
+
+    /**
+     * Whether a lesson falls inside the instructor's working hours
+     * @param {Object} candidate - { starts_at, ends_at }
+     * @param {Object[]} availability - instructor_availability rows { weekday, start_time, finish_time }
+     * @param {Object[]} timeOff - instructor_time_off rows { starts_at, ends_at, reason }
+     * @returns {{ available: boolean, reason: string|null }}
+     */
+    checkAvailability(candidate, availability, timeOff = []) {
+        const start = this.localParts(candidate.starts_at);
+        const end = this.localParts(candidate.ends_at);
+
+        const away = timeOff.find(t => this.overlaps(candidate.starts_at, candidate.ends_at, t.starts_at, t.ends_at));
+        if (away) {
+            return { available: false, reason: `Marked unavailable${away.reason ? ` (${away.reason})` : ''}` };
+        }
+
+        if (availability.length === 0) {
+            return { available: true, reason: null };
+        }
+
+        const endMinutes = end.date === start.date ? end.minutes : 24 * 60;
+        const fits = availability.some(window =>
+            window.weekday === start.weekday &&
+            this.timeToMinutes(window.start_time) <= start.minutes &&
+            this.timeToMinutes(window.finish_time) >= endMinutes
+        );
+
+        return fits
+            ? { available: true, reason: null }
+            : { available: false, reason: 'Outside your working hours' };
+    }
+
+    /**
+     * Start times on a day where a lesson of the given length fits
+     * @param {string} date - YYYY-MM-DD
+     * @param {number} durationMinutes
+     * @param {Object} context - { availability, lessons, timeOff, userId, studentId }
+     * @returns {Array<{ starts_at: Date, ends_at: Date, time: string }>}
+     */
+    freeSlots(date, durationMinutes, context = {}) {
+        const { availability = [], lessons = [], timeOff = [], userId = null, studentId = null } = context;
+        const weekday = this.localParts(this.toInstant(date, '12:00')).weekday;
+        const windows = availability.filter(w => w.weekday === weekday);
+        const slots = [];
+
+        for (const window of windows) {
+            const first = this.timeToMinutes(window.start_time);
+            const last = this.timeToMinutes(window.finish_time) - durationMinutes;
+
+            for (let minutes = first; minutes <= last; minutes += this.slotStepMinutes) {
+                const time = this.minutesToTime(minutes);
+                const startsAt = this.toInstant(date, time);
+                const candidate = {
+                    user_id: userId,
+                    student_id: studentId,
+                    starts_at: startsAt,
+                    ends_at: new Date(startsAt.getTime() + durationMinutes * 60000)
+                };
+
+                if (this.findClashes(candidate, lessons).length === 0 && this.checkAvailability(candidate, [], timeOff).available) {
+                    slots.push({ starts_at: candidate.starts_at, ends_at: candidate.ends_at, time });
+                }
+            }
+        }
+        return slots;
+    }
+
+    /**
+     * A completed lesson as a logbook entry, ready for LogbookScanner.validateEntries()
+     * @param {Object} lesson - lessons row
+     * @param {Object} instructor - users row (instructor_name, adi_number)
+     */
+    toLogbookEntry(lesson, instructor) {
+        const start = this.localParts(lesson.starts_at);
+        const end = this.localParts(lesson.ends_at);
+        const [year, month, day] = start.date.split('-');
+
+        return {
+            rowNumber: null,
+            date: `${day}/${month}/${year}`,
+            supervisorName: instructor.instructor_name || null,
+            licenceNumber: instructor.adi_number || null,
+            startTime: start.time,
+            finishTime: end.time,
+            totalTime: null,
+            odometerStart: lesson.odometer_start ?? null,
+            odometerFinish: lesson.odometer_finish ?? null,
+            // The instructor is recording the lesson themselves
+            hasSignature: true,
+            confidence: 'manual',
+            notes: lesson.notes || null
+        };
+    }
+
+    /**
+     * Validate a completed lesson and turn it into a logbook_sessions row
+     * @param {Object} lesson - lessons row
+     * @param {Object} context - { scanner (LogbookScanner), instructor, createdBy }
+     * @returns {{ record: Object, result: Object }} result is the validateEntries() output
+     */
+    toSessionRecord(lesson, context) {
+        const { scanner, instructor, createdBy } = context;
+        const result = scanner.validateEntries({
+            pageType: 'GREEN_ADI',
+            entries: [this.toLogbookEntry(lesson, instructor)]
+        });
+
+        const [record] = scanner.constructor.toSessionRecords([result], {
+            studentId: lesson.student_id,
+            userId: lesson.user_id,
+            createdBy,
+            source: 'lesson'
+        });
+
+        return { record: { ...record, lesson_id: lesson.id }, result };
+    }
+
+    timeToMinutes(time) {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    minutesToTime(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+}
+
+/**
+ * iCalendar (RFC 5545) export of lessons - mirrors lesson_calendar_feed() in supabase-schema.sql
+ */
+class LessonCalendar {
+    /**
+     * @param {Object[]} lessons - lessons rows, with student { first_name, last_name } embedded
+     * @param {Object} options - { name, now }
+     * @returns {string} .ics file contents
+     */
+    static build(lessons, options = {}) {
+        const stamp = LessonCalendar.formatUtc(options.now || new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//APEX//Lesson Schedule//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${LessonCalendar.escape(options.name || 'APEX lessons')}`,
+            ...lessons.flatMap(lesson => LessonCalendar.event(lesson, stamp)),
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(LessonCalendar.fold).join('\r\n') + '\r\n';
+    }
+
+    static event(lesson, stamp) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${lesson.id}@apex-lessons`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${LessonCalendar.formatUtc(lesson.starts_at)}`,
+            `DTEND:${LessonCalendar.formatUtc(lesson.ends_at)}`,
+            `SEQUENCE:${lesson.sequence || 0}`,
+            `SUMMARY:${LessonCalendar.escape(LessonCalendar.summary(lesson))}`,
+            `STATUS:${lesson.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+        ];
+        if (lesson.pickup_location) lines.push(`LOCATION:${LessonCalendar.escape(lesson.pickup_location)}`);
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * First name and initial only - calendars sync to phones and third-party services
+     */
+    static summary(lesson) {
+        const student = lesson.student
+            ? `${lesson.student.first_name} ${(lesson.student.last_name || '').charAt(0)}.`.trim()
+            : 'Student';
+        return `${lesson.lesson_type === 'final_drive' ? 'Final drive' : 'Lesson'} - ${student}`;
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    static formatUtc(instant) {
+        return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Lines longer than 75 octets (UTF-8) continue on the next line after a space,
+     * never splitting a character - ics_fold() in supabase-schema.sql matches this
+     */
+    static fold(line) {
+        const chunks = [];
+        let chunk = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = LessonCalendar.octets(char);
+            if (octets + size > 75) {
+                chunks.push(chunk);
+                chunk = ' ';
+                octets = 1;
+            }
+            chunk += char;
+            octets += size;
+        }
+        chunks.push(chunk);
+        return chunks.join('\r\n');
+    }
+
+    static octets(char) {
+        const code = char.codePointAt(0);
+        return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    }
+}
+
+const LessonScheduleModule = { LessonScheduler, LessonCalendar };
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LessonScheduleModule;
+}
+if (typeof window !== 'undefined') {
+    window.LessonScheduler = LessonScheduler;
+    window.LessonCalendar = LessonCalendar;
+}
@@ -0,0 +1,643 @@
+/**
+ * APEX Logbook Extractors
+ * Version: 1.0.0
+ *
+ * Swappable extraction backends for LogbookScanner. Every extractor exposes
+ * the same interface and returns the raw extraction JSON that
+ * LogbookScanner.validateEntries() expects:
+ *
+ *   extractor.name                                  // Shown in progress messages
+ *   await extractor.extract(base64Image, context)   // -> { pageType, pageNumber, entries, subtotal, pageNotes }
+ *
+ * With context.documentType ('LICENCE' or 'CBTA') the model backends read a
+ * licence card or CBT&A certificate instead (DOCUMENT_PROMPTS), returning the
+ * fields ExtractionSchema.validateDocument() expects.
+ *
+ * Backends:
+ *   ClaudeExtractor    - Claude vision, called directly from the browser with a user key
+ *   ProxyExtractor     - Same request via our own endpoint, so the key stays server-side
+ *   TesseractExtractor - Local OCR with tesseract.js, for offline or no-key use
+ *   FixtureExtractor   - Returns canned extraction results, for tests and demos
+ *
+ * Usage:
+ *   const scanner = new LogbookScanner({ extractor: new TesseractExtractor() });
+ *   const result = await scanner.scanPage(imageFile);
+ *
+ *   // Whatever the user set up in the scanner (service, stored key or offline OCR)
+ *   const extractor = LogbookExtractor.fromSettings({ serviceUrl: SCANNER_SERVICE_URL });
+ */
+
+/**
+ * Base class - shared request, retry and parsing for model-backed extractors
+ */
+class LogbookExtractor {
+    constructor(options = {}) {
+        this.name = options.name || 'Extractor';
+
+        // Retry on rate limits, overload and network failures
+        this.maxRetries = options.maxRetries ?? 3;
+        this.retryBaseDelayMs = options.retryBaseDelayMs ?? 1000;
+        this.maxRetryDelayMs = options.maxRetryDelayMs ?? 20000;
+        this.retryStatuses = [408, 429, 500, 502, 503, 504, 529];
+
+        // Re-prompts when the model returns output that does not parse or validate
+        this.maxRepairAttempts = options.maxRepairAttempts ?? 1;
+    }
+
+    /**
+     * @param {string} base64Image - Image data without the data: prefix
+     * @param {Object} context - { mimeType, validate, onRepair, onUsage, signal }
+     * @returns {Promise<Object>} Raw extraction result
+     */
+    async extract(base64Image, context = {}) {
+        throw new Error(`${this.name} does not implement extract()`);
+    }
+
+    /**
+     * Send the page to the model, re-prompting with the problems found if the
+     * reply is not valid extraction JSON.
+     *
+     * context.validate(parsed) -> { valid, errors: [{ path, message }] } is
+     * supplied by LogbookScanner; without it only JSON parsing is checked.
+     * context.onRepair(problems, attempt) is called before each re-prompt.
+     * context.onUsage(usage) is called with the token usage of every request,
+     * repairs included. context.signal (AbortSignal) cancels the request.
+     */
+    async extractWithModel(base64Image, context = {}) {
+        const messages = [this.buildImageMessage(base64Image, context)];
+
+        for (let attempt = 0; ; attempt++) {
+            const data = await this.sendMessages(this.buildMessagesBody(messages), context.signal);
+            if (context.onUsage) context.onUsage(this.usage(data));
+            const text = this.responseText(data);
+
+            let parsed = null;
+            let problems;
+            try {
+                parsed = this.parseJson(text);
+                const checked = context.validate ? context.validate(parsed) : { valid: true };
+                if (checked.valid) return parsed;
+                problems = checked.errors.map(e => `${e.path}: ${e.message}`);
+            } catch (error) {
+                problems = [error.message];
+            }
+            // Truncated JSON fails to parse - say why, so the repair asks for a shorter reply
+            if (data.stop_reason === 'max_tokens') {
+                problems.unshift('reply was cut off at the token limit - keep notes short');
+            }
+
+            if (attempt >= this.maxRepairAttempts) {
+                // Let the caller report field-level errors on parsed output
+                if (parsed) return parsed;
+                throw new Error(`Could not parse extraction result: ${problems.join('; ')}`);
+            }
+
+            if (context.onRepair) context.onRepair(problems, attempt + 1);
+            messages.push(
+                { role: 'assistant', content: text },
+                { role: 'user', content: LogbookExtractor.repairPrompt(problems) }
+            );
+        }
+    }
+
+    /**
+     * POST an Anthropic messages body and return the parsed response - implemented per backend
+     */
+    async sendMessages(body, signal) {
+        throw new Error(`${this.name} does not implement sendMessages()`);
+    }
+
+    /**
+     * fetch() with exponential backoff on retryable statuses and network errors
+     */
+    async fetchWithRetry(url, init, errorLabel = 'API Error') {
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await fetch(url, init);
+            } catch (error) {
+                // fetch only rejects on network failure (offline, DNS, CORS) or when cancelled
+                if (error.name === 'AbortError') throw error;
+                if (attempt >= this.maxRetries) {
+                    throw new Error(`Network error after ${attempt + 1} attempts: ${error.message}`);
+                }
+                await this.sleep(this.retryDelay(attempt, null), init.signal);
+                continue;
+            }
+
+            if (response.ok) return response;
+
+            if (!this.retryStatuses.includes(response.status) || attempt >= this.maxRetries) {
+                const error = new Error(`${errorLabel}: ${response.status} - ${await response.text()}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            await this.sleep(this.retryDelay(attempt, response.headers.get('retry-after')), init.signal);
+        }
+    }
+
+    /**
+     * Backoff delay - honours Retry-After (seconds) when the server sends it
+     */
+    retryDelay(attempt, retryAfter) {
+        const seconds = retryAfter !== null && retryAfter !== undefined ? parseFloat(retryAfter) : NaN;
+        if (Number.isFinite(seconds) && seconds >= 0) {
+            return Math.min(seconds * 1000, this.maxRetryDelayMs);
+        }
+        const exponential = this.retryBaseDelayMs * Math.pow(2, attempt);
+        const jitter = Math.random() * this.retryBaseDelayMs;
+        return Math.min(exponential + jitter, this.maxRetryDelayMs);
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(LogbookExtractor.abortError());
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(LogbookExtractor.abortError());
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Token usage of one messages response
+     * @returns {{ model: string, inputTokens: number, outputTokens: number, cacheReadTokens: number, cacheWriteTokens: number }}
+     */
+    usage(data) {
+        const usage = (data && data.usage) || {};
+        return {
+            model: (data && data.model) || this.model || this.name,
+            inputTokens: usage.input_tokens || 0,
+            outputTokens: usage.output_tokens || 0,
+            cacheReadTokens: usage.cache_read_input_tokens || 0,
+            cacheWriteTokens: usage.cache_creation_input_tokens || 0
+        };
+    }
+
+    /**
+     * Text of the first text block in an Anthropic messages response
+     */
+    responseText(data) {
+        const block = data && Array.isArray(data.content)
+            ? data.content.find(b => b && b.type === 'text' && typeof b.text === 'string')
+            : null;
+
+        if (!block) {
+            throw new Error('Extraction response contained no text');
+        }
+        return block.text;
+    }
+
+    /**
+     * Parse the first complete JSON object in model output, ignoring code
+     * fences and any prose around it
+     */
+    parseJson(text) {
+        const start = text.indexOf('{');
+        if (start === -1) {
+            throw new Error('response contained no JSON object');
+        }
+
+        // Walk to the matching closing brace, skipping braces inside strings
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        for (let i = start; i < text.length; i++) {
+            const ch = text[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === '\\') escaped = true;
+                else if (ch === '"') inString = false;
+            } else if (ch === '"') {
+                inString = true;
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}' && --depth === 0) {
+                try {
+                    return JSON.parse(text.slice(start, i + 1));
+                } catch (error) {
+                    throw new Error(`response JSON is malformed (${error.message})`);
+                }
+            }
+        }
+
+        throw new Error('response JSON is incomplete');
+    }
+
+    buildImageMessage(base64Image, context = {}) {
+        return {
+            role: 'user',
+            content: [
+                {
+                    type: 'image',
+                    source: {
+                        type: 'base64',
+                        media_type: context.mimeType || 'image/jpeg',
+                        data: base64Image
+                    }
+                },
+                {
+                    type: 'text',
+                    text: context.documentType ? LogbookExtractor.DOCUMENT_PROMPTS[context.documentType] : LogbookExtractor.PROMPT
+                }
+            ]
+        };
+    }
+
+    /**
+     * Anthropic messages request body for a logbook page conversation
+     */
+    buildMessagesBody(messages) {
+        return {
+            model: this.model,
+            max_tokens: 4096,
+            messages
+        };
+    }
+
+    /**
+     * The backend chosen in the logbook scanner: offline OCR if picked (unless
+     * allowOffline is false - it can't read documents), then the scanner
+     * service, then a stored Claude key. Null when none is set up.
+     */
+    static fromSettings({ serviceUrl = null, getAuthToken = null, allowOffline = true, storage = globalThis.localStorage } = {}) {
+        const keys = LogbookExtractor.SETTINGS_KEYS;
+        if (allowOffline && storage && storage.getItem(keys.backend) === 'offline') {
+            return new TesseractExtractor();
+        }
+        if (serviceUrl) {
+            return new ProxyExtractor({ endpoint: serviceUrl, getAuthToken });
+        }
+        const apiKey = storage ? storage.getItem(keys.apiKey) : null;
+        return apiKey ? new ClaudeExtractor({ apiKey }) : null;
+    }
+
+    static abortError() {
+        return typeof DOMException !== 'undefined'
+            ? new DOMException('Scan cancelled', 'AbortError')
+            : Object.assign(new Error('Scan cancelled'), { name: 'AbortError' });
+    }
+
+    /**
+     * Follow-up asking the model to correct its previous reply
+     */
+    static repairPrompt(problems) {
+        return `Your previous reply could not be used:
+${problems.map(p => `- ${p}`).join('\n')}
+
+Reply again with ONLY the corrected JSON object in the exact format requested, with no other text.`;
+    }
+}
+
+// localStorage keys for the scanner settings, shared by every page that scans
+LogbookExtractor.SETTINGS_KEYS = {
+    apiKey: 'apex_claude_api_key',
+    backend: 'apex_scanner_backend'
+};
+
+// Image types the Claude vision API accepts
+LogbookExtractor.SUPPORTED_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+LogbookExtractor.PROMPT = `You are analyzing an ACT (Australian Capital Territory) learner driver logbook page. 
+
+IMPORTANT: Extract ALL handwritten entries from this logbook page with extreme accuracy.
+
+First, identify the page type by the header color:
+- BLUE header = "RECORD OF DRIVING HOURS - DAY WITH A SUPERVISING DRIVER"
+- RED header = "RECORD OF DRIVING HOURS - NIGHT WITH A SUPERVISING DRIVER"  
+- GREEN header = "RECORD OF DRIVING HOURS - DAY WITH AN ACT ADI"
+- Grey/White with "ACT ACCREDITED DRIVER INSTRUCTOR PRACTICE" = ADI Stamp page
+
+For each row with data, extract:
+1. DATE (format: DD/MM/YYYY)
+2. WEATHER CONDITIONS (if visible)
+3. SUPERVISOR/ADI NAME
+4. LICENCE/ADI NUMBER
+5. START TIME (24hr format HH:MM)
+6. FINISH TIME (24hr format HH:MM)
+7. TOTAL TIME (in hours and minutes, e.g., "1:30" or "1.5")
+8. Whether signature appears present (true/false)
+9. ODOMETER START (if visible)
+10. ODOMETER FINISH (if visible)
+
+Also note:
+- Any entries that appear illegible or unclear (mark as "UNCLEAR")
+- Any obvious errors (e.g., finish time before start time)
+- The page subtotal if visible
+- Where each row sits on the image: rowBounds top/bottom as fractions of the image height
+
+Respond in this exact JSON format:
+{
+    "pageType": "BLUE_DAY" | "RED_NIGHT" | "GREEN_ADI" | "ADI_STAMP",
+    "pageNumber": <number if visible>,
+    "entries": [
+        {
+            "rowNumber": 1,
+            "date": "DD/MM/YYYY" or "UNCLEAR",
+            "weather": "string or null",
+            "supervisorName": "string or UNCLEAR",
+            "licenceNumber": "string or UNCLEAR", 
+            "startTime": "HH:MM" or "UNCLEAR", or null if the row has no times (ADI stamps),
+            "finishTime": "HH:MM" or "UNCLEAR", or null if the row has no times (ADI stamps),
+            "totalTime": "H:MM" or decimal hours or "UNCLEAR",
+            "hasSignature": true/false,
+            "odometerStart": number or null,
+            "odometerFinish": number or null,
+            "confidence": "high" | "medium" | "low",
+            "notes": "any issues or observations",
+            "rowBounds": { "top": <0-1>, "bottom": <0-1> }
+        }
+    ],
+    "subtotal": "H:MM if visible on page",
+    "pageNotes": "any overall observations about the page quality or issues"
+}
+
+Be extremely careful with handwritten numbers - common confusions:
+- 1 vs 7
+- 0 vs 6
+- 4 vs 9
+- 5 vs 6
+
+If uncertain, mark confidence as "low" and add a note.`;
+
+// Licence cards and CBT&A certificates - fields match ExtractionSchema.DOCUMENT_FIELDS
+LogbookExtractor.DOCUMENT_PROMPTS = {
+    LICENCE: `This is an Australian learner driver licence card (usually ACT).
+
+Extract the holder's details exactly as printed. Use null for anything you cannot read.
+For each field you return, rate your confidence: "high" if clearly printed and fully legible,
+"medium" if partly obscured or glare makes a character uncertain, "low" if you are guessing.
+
+Respond with ONLY this JSON object:
+{
+    "firstName": "given name(s)",
+    "lastName": "family name",
+    "dateOfBirth": "YYYY-MM-DD",
+    "licenceNumber": "as printed",
+    "licenceClass": "e.g. C learner",
+    "issueDate": "YYYY-MM-DD or null if not printed",
+    "expiryDate": "YYYY-MM-DD",
+    "address": "full address on one line",
+    "confidence": { "<field name>": "high" | "medium" | "low" },
+    "notes": "anything unusual - damage, glare, a card that is not a learner licence"
+}`,
+    CBTA: `This is an ACT CBT&A (Competency Based Training and Assessment) learner record or certificate.
+
+Extract the learner's details and the assessing instructor's ADI number. Use null for anything you cannot read.
+For each field you return, rate your confidence: "high" if clearly printed or written, "medium" if
+handwriting leaves a character uncertain, "low" if you are guessing.
+
+Respond with ONLY this JSON object:
+{
+    "firstName": "given name(s)",
+    "lastName": "family name",
+    "dateOfBirth": "YYYY-MM-DD",
+    "licenceNumber": "learner licence number",
+    "phone": "as written",
+    "address": "full address on one line",
+    "adiNumber": "assessing instructor's ADI number",
+    "assessmentDate": "YYYY-MM-DD of the most recent assessment or the certificate date",
+    "confidence": { "<field name>": "high" | "medium" | "low" },
+    "notes": "anything unusual - missing signatures, crossed-out entries"
+}`
+};
+
+/**
+ * Claude vision API, called directly from the browser
+ */
+class ClaudeExtractor extends LogbookExtractor {
+    constructor(options = {}) {
+        super({ name: 'Claude Vision', ...options });
+        this.apiKey = options.apiKey || null;
+        this.apiEndpoint = options.apiEndpoint || 'https://api.anthropic.com/v1/messages';
+        this.model = options.model || 'claude-sonnet-4-20250514';
+    }
+
+    async extract(base64Image, context = {}) {
+        if (!this.apiKey) {
+            throw new Error('Claude API key required');
+        }
+        ClaudeExtractor.assertSupportedType(context.mimeType);
+
+        return this.extractWithModel(base64Image, context);
+    }
+
+    async sendMessages(body, signal) {
+        const response = await this.fetchWithRetry(this.apiEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        return response.json();
+    }
+
+    static assertSupportedType(mimeType) {
+        if (mimeType && !LogbookExtractor.SUPPORTED_MEDIA_TYPES.includes(mimeType)) {
+            throw new Error(`${mimeType} photos are not supported - please upload a JPEG, PNG, GIF or WebP image`);
+        }
+    }
+}
+
+/**
+ * Our own server endpoint that forwards to Claude with a server-side key
+ *
+ * The endpoint receives the same messages body (minus the key) and must
+ * return the Anthropic messages response unchanged.
+ */
+class ProxyExtractor extends LogbookExtractor {
+    constructor(options = {}) {
+        super({ name: 'APEX Scanner Service', ...options });
+        this.endpoint = options.endpoint;
+        this.model = options.model || 'claude-sonnet-4-20250514';
+        // Optional async () => token, e.g. a Clerk session token
+        this.getAuthToken = options.getAuthToken || null;
+
+        if (!this.endpoint) {
+            throw new Error('ProxyExtractor requires an endpoint');
+        }
+    }
+
+    async extract(base64Image, context = {}) {
+        ClaudeExtractor.assertSupportedType(context.mimeType);
+        return this.extractWithModel(base64Image, context);
+    }
+
+    async sendMessages(body, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.getAuthToken) {
+            const token = await this.getAuthToken();
+            if (token) headers.Authorization = `Bearer ${token}`;
+        }
+
+        const response = await this.fetchWithRetry(this.endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal
+        }, 'Scanner service error');
+
+        return response.json();
+    }
+}
+
+/**
+ * Local OCR with tesseract.js - nothing leaves the device
+ *
+ * Printed headers are reliable; handwriting is not, so every entry comes
+ * back as low/medium confidence for the instructor to verify.
+ */
+class TesseractExtractor extends LogbookExtractor {
+    constructor(options = {}) {
+        super({ name: 'Offline OCR', ...options });
+        this.language = options.language || 'eng';
+        this.scriptUrl = options.scriptUrl || 'https://cdn.jsdelivr.net/npm/tesseract.js@5/dist/tesseract.min.js';
+        this.tesseract = options.tesseract || null;
+    }
+
+    async extract(base64Image, context = {}) {
+        if (context.documentType) {
+            throw new Error('Offline OCR can only read logbook pages - licences and CBT&A records need the scanner service or a Claude key');
+        }
+        const Tesseract = await this.loadTesseract();
+        // Recognition itself can't be interrupted - stop before it starts
+        if (context.signal && context.signal.aborted) throw LogbookExtractor.abortError();
+        const dataUrl = `data:${context.mimeType || 'image/jpeg'};base64,${base64Image}`;
+
+        const { data } = await Tesseract.recognize(dataUrl, this.language);
+        return this.parseText(data.text || '', data.confidence || 0);
+    }
+
+    /**
+     * Use the global tesseract.js, loading it on first use (the service worker caches it)
+     */
+    async loadTesseract() {
+        if (this.tesseract) return this.tesseract;
+        if (typeof globalThis !== 'undefined' && globalThis.Tesseract) {
+            this.tesseract = globalThis.Tesseract;
+            return this.tesseract;
+        }
+        if (typeof document === 'undefined') {
+            throw new Error('tesseract.js is not available');
+        }
+
+        await new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.scriptUrl;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error('Could not load offline OCR - check your connection once to cache it'));
+            document.head.appendChild(script);
+        });
+
+        this.tesseract = globalThis.Tesseract;
+        return this.tesseract;
+    }
+
+    /**
+     * Turn OCR text into the extraction JSON shape
+     */
+    parseText(text, ocrConfidence) {
+        const upper = text.toUpperCase();
+        const pageType =
+            upper.includes('INSTRUCTOR PRACTICE') ? 'ADI_STAMP' :
+            upper.includes('NIGHT') ? 'RED_NIGHT' :
+            /\bADI\b/.test(upper) ? 'GREEN_ADI' :
+            'BLUE_DAY';
+
+        const confidence = ocrConfidence >= 80 ? 'medium' : 'low';
+        const entries = [];
+
+        for (const line of text.split('\n')) {
+            const date = line.match(/\b(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})\b/);
+            if (!date) continue;
+
+            const rest = line.slice(date.index + date[0].length);
+            const times = rest.match(/\b\d{1,2}[:.]\d{2}\b/g) || [];
+            const odometers = (rest.match(/\b\d{4,6}\b/g) || []).map(n => parseInt(n, 10));
+
+            entries.push({
+                rowNumber: entries.length + 1,
+                date: date[0].replace(/[\-.]/g, '/'),
+                weather: null,
+                supervisorName: 'UNCLEAR',
+                licenceNumber: 'UNCLEAR',
+                startTime: times[0] ? times[0].replace('.', ':') : 'UNCLEAR',
+                finishTime: times[1] ? times[1].replace('.', ':') : 'UNCLEAR',
+                totalTime: times[2] ? times[2].replace('.', ':') : 'UNCLEAR',
+                hasSignature: null,
+                odometerStart: odometers[0] ?? null,
+                odometerFinish: odometers[1] ?? null,
+                confidence,
+                notes: 'Read by offline OCR - check names, licence numbers and signatures against the page'
+            });
+        }
+
+        const subtotal = upper.match(/(?:SUB\s*-?\s*TOTAL|TOTAL)[^\d]*(\d{1,3}[:.]\d{2})/);
+
+        return {
+            pageType,
+            pageNumber: null,
+            entries,
+            subtotal: subtotal ? subtotal[1].replace('.', ':') : null,
+            pageNotes: `Offline OCR (${Math.round(ocrConfidence)}% confidence)`
+        };
+    }
+}
+
+/**
+ * Canned extraction results - for tests, demos and working offline on the pipeline
+ */
+class FixtureExtractor extends LogbookExtractor {
+    constructor(options = {}) {
+        super({ name: 'Fixture', ...options });
+        // Array of extraction results (returned in order, cycling) or (base64, context) => result
+        this.fixtures = options.fixtures || [];
+        this.delayMs = options.delayMs || 0;
+        this.calls = 0;
+    }
+
+    async extract(base64Image, context = {}) {
+        if (this.delayMs) {
+            await this.sleep(this.delayMs, context.signal);
+        }
+
+        const fixture = typeof this.fixtures === 'function'
+            ? await this.fixtures(base64Image, context)
+            : this.fixtures[this.calls % this.fixtures.length];
+        this.calls++;
+
+        if (!fixture) {
+            throw new Error('No fixture available');
+        }
+
+        // Hand out copies so callers can't mutate the fixture
+        return JSON.parse(JSON.stringify(fixture));
+    }
+}
+
+const LogbookExtractors = {
+    LogbookExtractor,
+    ClaudeExtractor,
+    ProxyExtractor,
+    TesseractExtractor,
+    FixtureExtractor
+};
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LogbookExtractors;
+}
+if (typeof window !== 'undefined') {
+    Object.assign(window, LogbookExtractors);
+    window.LogbookExtractors = LogbookExtractors;
+}
@@ -7,8 +7,18 @@
  * 
  * Usage:
  *   const scanner = new LogbookScanner({ apiKey: 'your-claude-api-key' });
+ *   // or any backend from logbook-extractors.js
+ *   const offline = new LogbookScanner({ extractor: new TesseractExtractor() });
  *   const result = await scanner.scanPage(imageFile);
  *   console.log(result.entries, result.errors, result.totals);
+ *
+ *   // Multi-page: flag duplicates/overlaps and inconsistent supervisors before totalling
+ *   const checked = scanner.validateAcrossPages([result, result2]);
+ *   const hours = LogbookScanner.calculateCumulativeHours(checked.scanResults);
+ *
+ *   // Licence cards and CBT&A records, checked against the student they are for
+ *   const licence = await scanner.scanDocument(photo, 'LICENCE', { student });
+ *   console.log(licence.fields.expiryDate, licence.confidence, licence.errors);
  */
 
 class LogbookScanner {
@@ -16,8 +26,26 @@ class LogbookScanner {
         this.apiKey = options.apiKey || null;
         this.apiEndpoint = options.apiEndpoint || 'https://api.anthropic.com/v1/messages';
         this.model = options.model || 'claude-sonnet-4-20250514';
+        // Any object with extract(base64Image, context) - see logbook-extractors.js.
+        // An apiKey on its own keeps the original direct Claude behaviour.
+        this.extractor = options.extractor || (this.apiKey
+            ? new (LogbookScanner.resolveDependency('ClaudeExtractor', './logbook-extractors.js'))({
+                apiKey: this.apiKey,
+                apiEndpoint: this.apiEndpoint,
+                model: this.model
+            })
+            : null);
         this.onProgress = options.onProgress || (() => {});
         this.onError = options.onError || console.error;
+        this.sunTimes = options.sunTimes || new (LogbookScanner.resolveDependency('SunTimes', './sun-times.js'))();
+        this.schema = options.schema || new (LogbookScanner.resolveDependency('ExtractionSchema', './extraction-schema.js'))();
+        // SupervisorRegistry for the student being scanned - supervisors and ADI numbers are only checked when set
+        this.supervisorRegistry = options.supervisorRegistry || null;
+        // ImagePreprocessor instance, false to send photos untouched, or undefined to use it when loaded
+        this.preprocessor = options.preprocessor === false ? null : options.preprocessor;
+        this.preprocessing = options.preprocessing || {}; // ImagePreprocessor options
+        this.rejectUnusableImages = options.rejectUnusableImages ?? true;
+        this.keepSourceImage = options.keepSourceImage ?? false; // Attach the page image for review crops
         
         // Page type configurations
         this.pageTypes = {
@@ -57,41 +85,335 @@ class LogbookScanner {
             minSessionMinutes: 5, // Minimum valid session
             maxDailyHours: 8, // Reasonable daily maximum
             earliestDate: new Date('2020-01-01'), // Reasonable earliest date
+            nightToleranceMinutes: 15, // Day/night mismatch allowance around sunset/sunrise
+            learnerMinimumAge: 15, // Youngest age a learner licence is issued
+            licenceValidityYears: 5, // Learner licence term when the rule set isn't given
+            oldestPlausibleAge: 100 // Older dates of birth are probably misread
         };
     }
 
     /**
      * Scan a logbook page image and extract entries
      * @param {File|Blob|string} image - Image file, blob, or base64 string
-     * @returns {Promise<ScanResult>}
+     * @param {Object} options - { signal } - an AbortSignal that cancels the extraction request
+     * @returns {Promise<ScanResult>} with usage: token counts for the page (also set on a thrown error)
      */
-    async scanPage(image) {
+    async scanPage(image, options = {}) {
         this.onProgress({ stage: 'preparing', message: 'Preparing image...' });
+        const usage = LogbookScanner.emptyUsage();
         
         try {
-            // Convert image to base64 if needed
-            const base64Image = await this.imageToBase64(image);
+            // Straighten, downsize and quality-check the photo where canvas is available
+            const prepared = await this.prepareImage(image);
             
             this.onProgress({ stage: 'detecting', message: 'Detecting page type...' });
             
-            // Send to Claude API for extraction
-            const extractionResult = await this.extractWithClaude(base64Image);
+            if (!this.extractor) {
+                throw new Error('No extractor configured - pass an apiKey or an extractor');
+            }
+
+            // Hand off to the configured backend for extraction
+            const rawResult = await this.extractor.extract(prepared.base64, {
+                mimeType: prepared.mimeType,
+                signal: options.signal,
+                validate: raw => this.schema.validate(raw),
+                onUsage: call => LogbookScanner.addUsage(usage, call),
+                onRepair: (problems, attempt) => this.onProgress({
+                    stage: 'repairing',
+                    message: `Re-reading page (attempt ${attempt}) - ${problems.length} problem(s) in the response`
+                })
+            });
             
             this.onProgress({ stage: 'validating', message: 'Validating entries...' });
             
+            // Check the shape of the extraction and normalise field types
+            const checked = this.schema.validate(rawResult);
+            if (!checked.valid) {
+                throw new (LogbookScanner.resolveDependency('ExtractionSchemaError', './extraction-schema.js'))(checked.errors);
+            }
+            
             // Validate all entries
-            const validatedResult = this.validateEntries(extractionResult);
+            const validatedResult = this.validateEntries(checked.data);
+            this.addExtractionFixes(validatedResult, checked.fixes);
+            validatedResult.imageQuality = prepared.quality;
+            // Bright or glary photos are still scanned - flag them so the entries get checked
+            ((prepared.quality && prepared.quality.warnings) || []).forEach(message =>
+                validatedResult.warnings.push({ row: 'page', field: 'image', message: `Photo: ${message}` }));
+            validatedResult.hasWarnings = validatedResult.warnings.length > 0;
+            validatedResult.preprocessing = prepared.preprocessing;
+            validatedResult.extraction = checked.data; // Re-validated when entries are corrected
+            validatedResult.corrections = [];
+            validatedResult.reviews = {};
+            validatedResult.usage = usage;
+            if (this.keepSourceImage) {
+                validatedResult.sourceImage = `data:${prepared.mimeType};base64,${prepared.base64}`;
+            }
             
             this.onProgress({ stage: 'complete', message: 'Scan complete!' });
             
             return validatedResult;
             
         } catch (error) {
-            this.onError(error);
+            // Failed attempts still cost tokens
+            error.usage = usage;
+            if (error.name !== 'AbortError') this.onError(error);
             throw error;
         }
     }
 
+    /**
+     * Token totals across extraction requests
+     */
+    static emptyUsage() {
+        return { requests: 0, model: null, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+    }
+
+    static addUsage(total, usage) {
+        if (!usage) return total;
+        total.requests += usage.requests ?? 1;
+        total.model = total.model || usage.model || null;
+        ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'].forEach(key => {
+            total[key] += usage[key] || 0;
+        });
+        return total;
+    }
+
+    // =============================================
+    // LICENCE AND CBT&A DOCUMENTS
+    // =============================================
+
+    /**
+     * Scan a learner licence card or CBT&A record
+     * @param {File|Blob|string} image - Image file, blob, or base64 string
+     * @param {'LICENCE'|'CBTA'} documentType
+     * @param {Object} options
+     * @param {Object} options.student - students row (or the same fields from a form) to check the document against
+     * @param {number} options.licenceValidityYears - From the student's rule set
+     * @param {AbortSignal} options.signal
+     * @returns {Promise<DocumentScanResult>} { documentType, fields, fieldConfidence, confidence (0-100),
+     *          errors, warnings, notes, fixes, imageQuality, usage, extractedAt }
+     */
+    async scanDocument(image, documentType, options = {}) {
+        if (!LogbookScanner.DOCUMENT_TYPES[documentType]) {
+            throw new Error(`Unknown document type: ${documentType}`);
+        }
+        this.onProgress({ stage: 'preparing', message: 'Preparing image...' });
+        const usage = LogbookScanner.emptyUsage();
+
+        try {
+            const prepared = await this.prepareImage(image);
+            if (!this.extractor) {
+                throw new Error('No extractor configured - pass an apiKey or an extractor');
+            }
+
+            this.onProgress({ stage: 'detecting', message: `Reading ${LogbookScanner.DOCUMENT_TYPES[documentType]}...` });
+            const raw = await this.extractor.extract(prepared.base64, {
+                mimeType: prepared.mimeType,
+                documentType,
+                signal: options.signal,
+                validate: data => this.schema.validateDocument(documentType, data),
+                onUsage: call => LogbookScanner.addUsage(usage, call),
+                onRepair: (problems, attempt) => this.onProgress({
+                    stage: 'repairing',
+                    message: `Re-reading document (attempt ${attempt}) - ${problems.length} problem(s) in the response`
+                })
+            });
+
+            const checked = this.schema.validateDocument(documentType, raw);
+            if (!checked.valid) {
+                throw new (LogbookScanner.resolveDependency('ExtractionSchemaError', './extraction-schema.js'))(checked.errors);
+            }
+
+            const { documentType: type, confidence, notes, ...fields } = checked.data;
+            const { errors, warnings } = this.validateDocument(documentType, fields, options);
+            this.onProgress({ stage: 'complete', message: 'Scan complete!' });
+
+            return {
+                documentType,
+                fields,
+                fieldConfidence: confidence,
+                confidence: this.documentConfidence(confidence),
+                errors,
+                warnings,
+                notes,
+                fixes: checked.fixes,
+                imageQuality: prepared.quality,
+                usage,
+                extractedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            error.usage = usage;
+            if (error.name !== 'AbortError') this.onError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Plausibility checks on a document's fields, and a comparison with the student it is for
+     * @param {string} documentType - 'LICENCE' or 'CBTA'
+     * @param {Object} fields - Normalised fields (dates as YYYY-MM-DD)
+     * @param {Object} options - { student, licenceValidityYears, asOf }
+     * @returns {{ errors: Array<{field, message}>, warnings: Array<{field, message}> }}
+     */
+    validateDocument(documentType, fields, options = {}) {
+        const errors = [];
+        const warnings = [];
+        const rules = this.validationRules;
+        const validity = options.licenceValidityYears || rules.licenceValidityYears;
+        const today = this.isoDate(options.asOf || new Date());
+        const dob = fields.dateOfBirth;
+
+        if (!dob) {
+            warnings.push({ field: 'dateOfBirth', message: 'Date of birth could not be read' });
+        } else if (dob > today) {
+            errors.push({ field: 'dateOfBirth', message: `Date of birth ${dob} is in the future` });
+        } else if (this.addYears(dob, rules.learnerMinimumAge) > today) {
+            errors.push({ field: 'dateOfBirth', message: `Holder would be ${this.yearsBetween(dob, today)} - under the learner licence age of ${rules.learnerMinimumAge}` });
+        } else if (this.addYears(dob, rules.oldestPlausibleAge) < today) {
+            warnings.push({ field: 'dateOfBirth', message: `Date of birth ${dob} makes the holder over ${rules.oldestPlausibleAge} - check it was read correctly` });
+        }
+
+        if (documentType === 'LICENCE') {
+            const expiry = fields.expiryDate;
+            if (!expiry) {
+                warnings.push({ field: 'expiryDate', message: 'Expiry date could not be read' });
+            } else {
+                if (expiry < today) {
+                    errors.push({ field: 'expiryDate', message: `Licence expired on ${expiry}` });
+                } else if (expiry > this.addYears(today, validity)) {
+                    errors.push({ field: 'expiryDate', message: `Expiry ${expiry} is more than ${validity} years away - a learner licence lasts ${validity} years, so it was probably misread` });
+                }
+
+                if (fields.issueDate && fields.issueDate >= expiry) {
+                    errors.push({ field: 'issueDate', message: `Issue date ${fields.issueDate} is not before the expiry date` });
+                } else if (fields.issueDate && fields.issueDate > today) {
+                    errors.push({ field: 'issueDate', message: `Issue date ${fields.issueDate} is in the future` });
+                }
+
+                // Old enough when the licence was issued - the printed date, or expiry less the validity period
+                const issued = fields.issueDate || this.addYears(expiry, -validity);
+                if (dob && dob <= today && this.addYears(dob, rules.learnerMinimumAge) > issued) {
+                    errors.push({
+                        field: 'dateOfBirth',
+                        message: `Holder was ${this.yearsBetween(dob, issued)} when the licence was issued (${issued}) - learner licences start at ${rules.learnerMinimumAge}; check the date of birth and expiry`
+                    });
+                }
+            }
+        }
+
+        if (documentType === 'CBTA' && fields.assessmentDate) {
+            if (fields.assessmentDate > today) {
+                errors.push({ field: 'assessmentDate', message: `Assessment date ${fields.assessmentDate} is in the future` });
+            } else if (dob && this.addYears(dob, rules.learnerMinimumAge) > fields.assessmentDate) {
+                errors.push({ field: 'assessmentDate', message: `Assessed on ${fields.assessmentDate}, before the learner turned ${rules.learnerMinimumAge}` });
+            }
+        }
+
+        if (options.student) {
+            this.compareWithStudent(fields, options.student, errors, warnings);
+        }
+        return { errors, warnings };
+    }
+
+    /**
+     * Name, date of birth and licence number against the student record.
+     * Surnames must match; a different first name is only a warning (preferred names).
+     */
+    compareWithStudent(fields, student, errors, warnings) {
+        const Registry = LogbookScanner.resolveDependency('SupervisorRegistry', './supervisor-registry.js');
+        const registry = new Registry();
+        const same = (a, b) => {
+            const first = Registry.normaliseName(a);
+            const second = Registry.normaliseName(b);
+            return !first || !second || registry.nameSimilarity(first, second) >= registry.nameThreshold;
+        };
+        const firstWord = name => (name ? String(name).trim().split(/\s+/)[0] : null);
+
+        if (!same(fields.lastName, student.last_name)) {
+            errors.push({ field: 'lastName', message: `Surname on the document (${fields.lastName}) does not match the student (${student.last_name})` });
+        }
+        if (!same(firstWord(fields.firstName), firstWord(student.first_name))) {
+            warnings.push({ field: 'firstName', message: `First name on the document (${fields.firstName}) differs from the student (${student.first_name})` });
+        }
+        if (fields.dateOfBirth && student.date_of_birth && fields.dateOfBirth !== student.date_of_birth) {
+            errors.push({ field: 'dateOfBirth', message: `Date of birth ${fields.dateOfBirth} differs from the student record (${student.date_of_birth})` });
+        }
+
+        const licence = Registry.normaliseLicence(fields.licenceNumber);
+        const recorded = Registry.normaliseLicence(student.licence_number);
+        if (licence && recorded && licence !== recorded) {
+            const misread = registry.foldLookalikes(licence) === registry.foldLookalikes(recorded);
+            warnings.push({
+                field: 'licenceNumber',
+                message: misread
+                    ? `Licence number ${fields.licenceNumber} looks like a misread of ${student.licence_number}`
+                    : `Licence number ${fields.licenceNumber} differs from the student record (${student.licence_number})`
+            });
+        }
+    }
+
+    /**
+     * Overall OCR confidence (0-100) from the per-field levels the extractor reported
+     */
+    documentConfidence(fieldConfidence = {}) {
+        const levels = Object.values(fieldConfidence);
+        if (levels.length === 0) return 0;
+        const total = levels.reduce((sum, level) => sum + (LogbookScanner.CONFIDENCE_SCORES[level] || 0), 0);
+        return Math.round((total / levels.length) * 100) / 100;
+    }
+
+    isoDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // YYYY-MM-DD plus whole years - compared as text, so 29 Feb stays in order
+    addYears(isoDate, years) {
+        return `${String(Number(isoDate.slice(0, 4)) + years).padStart(4, '0')}${isoDate.slice(4)}`;
+    }
+
+    yearsBetween(fromIso, toIso) {
+        let years = Number(toIso.slice(0, 4)) - Number(fromIso.slice(0, 4));
+        if (toIso.slice(5) < fromIso.slice(5)) years--;
+        return years;
+    }
+
+    /**
+     * Run the image preprocessor (if loaded and supported) and reject photos
+     * too poor to read before any extraction call is made
+     * @returns {Promise<{ base64: string, mimeType: string, quality: Object|null, preprocessing: Object|null }>}
+     */
+    async prepareImage(image) {
+        const preprocessor = this.getPreprocessor();
+
+        if (!preprocessor) {
+            const base64 = await this.imageToBase64(image);
+            return { base64, mimeType: this.imageMimeType(image, base64), quality: null, preprocessing: null };
+        }
+
+        this.onProgress({ stage: 'preprocessing', message: 'Straightening and checking photo quality...' });
+        const processed = await preprocessor.process(image);
+
+        if (this.rejectUnusableImages && !processed.quality.usable) {
+            throw new (LogbookScanner.resolveDependency('ImageQualityError', './image-preprocessor.js'))(processed.quality);
+        }
+
+        const { base64, mimeType, quality, ...preprocessing } = processed;
+        return { base64, mimeType, quality, preprocessing };
+    }
+
+    /**
+     * Preprocessor from options, or an ImagePreprocessor if the script is loaded in a browser
+     */
+    getPreprocessor() {
+        if (this.preprocessor === undefined) {
+            const Preprocessor = typeof globalThis !== 'undefined' ? globalThis.ImagePreprocessor : undefined;
+            this.preprocessor = Preprocessor && Preprocessor.isSupported()
+                ? new Preprocessor(this.preprocessing)
+                : null;
+        }
+        return this.preprocessor;
+    }
+
     /**
      * Convert various image formats to base64
      */
@@ -116,114 +438,70 @@ class LogbookScanner {
     }
 
     /**
-     * Extract data using Claude Vision API
+     * MIME type of the image - sniffed from the file signature, since phone
+     * uploads are often mislabelled (or unlabelled when passed as base64)
      */
-    async extractWithClaude(base64Image) {
-        const prompt = `You are analyzing an ACT (Australian Capital Territory) learner driver logbook page. 
-
-IMPORTANT: Extract ALL handwritten entries from this logbook page with extreme accuracy.
-
-First, identify the page type by the header color:
-- BLUE header = "RECORD OF DRIVING HOURS - DAY WITH A SUPERVISING DRIVER"
-- RED header = "RECORD OF DRIVING HOURS - NIGHT WITH A SUPERVISING DRIVER"  
-- GREEN header = "RECORD OF DRIVING HOURS - DAY WITH AN ACT ADI"
-- Grey/White with "ACT ACCREDITED DRIVER INSTRUCTOR PRACTICE" = ADI Stamp page
-
-For each row with data, extract:
-1. DATE (format: DD/MM/YYYY)
-2. WEATHER CONDITIONS (if visible)
-3. SUPERVISOR/ADI NAME
-4. LICENCE/ADI NUMBER
-5. START TIME (24hr format HH:MM)
-6. FINISH TIME (24hr format HH:MM)
-7. TOTAL TIME (in hours and minutes, e.g., "1:30" or "1.5")
-8. Whether signature appears present (true/false)
-9. ODOMETER START (if visible)
-10. ODOMETER FINISH (if visible)
-
-Also note:
-- Any entries that appear illegible or unclear (mark as "UNCLEAR")
-- Any obvious errors (e.g., finish time before start time)
-- The page subtotal if visible
-
-Respond in this exact JSON format:
-{
-    "pageType": "BLUE_DAY" | "RED_NIGHT" | "GREEN_ADI" | "ADI_STAMP",
-    "pageNumber": <number if visible>,
-    "entries": [
-        {
-            "rowNumber": 1,
-            "date": "DD/MM/YYYY" or "UNCLEAR",
-            "weather": "string or null",
-            "supervisorName": "string or UNCLEAR",
-            "licenceNumber": "string or UNCLEAR", 
-            "startTime": "HH:MM" or "UNCLEAR",
-            "finishTime": "HH:MM" or "UNCLEAR",
-            "totalTime": "H:MM" or decimal hours or "UNCLEAR",
-            "hasSignature": true/false,
-            "odometerStart": number or null,
-            "odometerFinish": number or null,
-            "confidence": "high" | "medium" | "low",
-            "notes": "any issues or observations"
-        }
-    ],
-    "subtotal": "H:MM if visible on page",
-    "pageNotes": "any overall observations about the page quality or issues"
-}
+    imageMimeType(image, base64Image) {
+        const detected = LogbookScanner.detectMimeType(base64Image);
+        if (detected) return detected;
 
-Be extremely careful with handwritten numbers - common confusions:
-- 1 vs 7
-- 0 vs 6
-- 4 vs 9
-- 5 vs 6
+        if (typeof image === 'string') {
+            const match = image.match(/^data:([^;,]+)/);
+            return match ? match[1] : 'image/jpeg';
+        }
+        return (image && image.type) || 'image/jpeg';
+    }
 
-If uncertain, mark confidence as "low" and add a note.`;
+    /**
+     * Identify an image from the first bytes of its base64 data
+     * @returns {string|null}
+     */
+    static detectMimeType(base64Image) {
+        if (!base64Image) return null;
 
-        const response = await fetch(this.apiEndpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': this.apiKey,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: this.model,
-                max_tokens: 4096,
-                messages: [{
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'image',
-                            source: {
-                                type: 'base64',
-                                media_type: 'image/jpeg',
-                                data: base64Image
-                            }
-                        },
-                        {
-                            type: 'text',
-                            text: prompt
-                        }
-                    ]
-                }]
-            })
-        });
+        if (base64Image.startsWith('/9j/')) return 'image/jpeg';
+        if (base64Image.startsWith('iVBORw0KGgo')) return 'image/png';
+        if (base64Image.startsWith('R0lGOD')) return 'image/gif';
 
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`API Error: ${response.status} - ${error}`);
+        let header;
+        try {
+            header = atob(base64Image.slice(0, 24));
+        } catch (e) {
+            return null;
         }
 
-        const data = await response.json();
-        const content = data.content[0].text;
-        
-        // Parse JSON from response
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-            throw new Error('Could not parse extraction result');
+        if (header.startsWith('RIFF') && header.slice(8, 12) === 'WEBP') return 'image/webp';
+        if (header.slice(4, 8) === 'ftyp') {
+            const brand = header.slice(8, 12);
+            if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+            if (brand === 'avif') return 'image/avif';
         }
-        
-        return JSON.parse(jsonMatch[0]);
+        return null;
+    }
+
+    /**
+     * Record schema coercions on the scan result; values that had to be
+     * discarded are surfaced as warnings so the instructor checks them
+     */
+    addExtractionFixes(result, fixes) {
+        result.extractionFixes = fixes;
+
+        for (const fix of fixes.filter(f => f.dropped)) {
+            const match = fix.path.match(/^entries\[(\d+)\]\.(\w+)$/);
+            const entry = match ? result.entries[parseInt(match[1], 10)] : null;
+
+            const warning = { field: match ? match[2] : fix.path, message: `Extraction: ${fix.path} ${fix.message}` };
+
+            if (entry) {
+                entry.warnings.push(warning);
+                if (LogbookScanner.REVIEW_FIELDS.includes(warning.field) && !entry.reviewFields.includes(warning.field)) {
+                    entry.reviewFields.push(warning.field);
+                    entry.needsReview = true;
+                }
+            }
+            result.warnings.push({ row: entry ? entry.rowNumber : 'page', ...warning });
+        }
+        result.hasWarnings = result.warnings.length > 0;
     }
 
     /**
@@ -235,6 +513,7 @@ If uncertain, mark confidence as "low" and add a note.`;
         const validatedEntries = [];
         
         let totalMinutes = 0;
+        const pageType = extractionResult.pageType;
         const today = new Date();
         today.setHours(23, 59, 59, 999);
 
@@ -329,12 +608,46 @@ If uncertain, mark confidence as "low" and add a note.`;
                 totalMinutes += calculatedDuration;
             }
             
-            // 5. Check signature
+            // 5. Check day/night against actual sunrise/sunset in Canberra
+            let daylight = null;
+            if (parsedDate && startMinutes !== null && finishMinutes !== null) {
+                daylight = this.sunTimes.splitSession(parsedDate, startMinutes, finishMinutes);
+                const tolerance = this.validationRules.nightToleranceMinutes;
+                const sunset = this.sunTimes.formatMinutes(daylight.sunset);
+                const sunrise = this.sunTimes.formatMinutes(daylight.sunrise);
+                
+                if (pageType === 'RED_NIGHT' && daylight.dayMinutes > tolerance) {
+                    entryWarnings.push({
+                        field: 'daylight',
+                        message: daylight.nightMinutes <= tolerance
+                            ? `Night page entry was driven in daylight (sunrise ${sunrise}, sunset ${sunset}) - should it be on a day page?`
+                            : `Only ${this.formatDuration(daylight.nightMinutes)} of this night session was after dark (sunset ${sunset})`,
+                        dayMinutes: daylight.dayMinutes,
+                        nightMinutes: daylight.nightMinutes
+                    });
+                } else if ((pageType === 'BLUE_DAY' || pageType === 'GREEN_ADI') && daylight.nightMinutes > tolerance) {
+                    entryWarnings.push({
+                        field: 'daylight',
+                        message: daylight.dayMinutes <= tolerance
+                            ? `Day page entry was driven after dark (sunset ${sunset}, sunrise ${sunrise}) - should it be on a night page?`
+                            : `${this.formatDuration(daylight.nightMinutes)} of this session was after dark (sunset ${sunset})`,
+                        dayMinutes: daylight.dayMinutes,
+                        nightMinutes: daylight.nightMinutes
+                    });
+                }
+            }
+            
+            // 6. Check signature
             if (!entry.hasSignature) {
                 entryWarnings.push({ field: 'signature', message: 'Signature appears to be missing' });
             }
             
-            // 6. Check odometer (if both present)
+            // 6b. Supervisor/ADI against the people who have signed this logbook before
+            if (this.supervisorRegistry) {
+                entryWarnings.push(...this.supervisorRegistry.checkEntry(entry, pageType));
+            }
+            
+            // 7. Check odometer (if both present)
             if (entry.odometerStart && entry.odometerFinish) {
                 const distance = entry.odometerFinish - entry.odometerStart;
                 if (distance < 0) {
@@ -350,20 +663,27 @@ If uncertain, mark confidence as "low" and add a note.`;
                 }
             }
             
-            // 7. Low confidence warning
+            // 8. Low confidence warning
             if (entry.confidence === 'low') {
                 entryWarnings.push({ field: 'general', message: 'Low confidence extraction - please verify' });
             }
             
+            // 9. Fields a person must check before the row is accepted
+            const reviewFields = LogbookScanner.REVIEW_FIELDS.filter(field => entry[field] === 'UNCLEAR');
+            
             // Add validated entry
             validatedEntries.push({
                 ...entry,
                 parsedDate,
                 calculatedDuration,
                 durationMinutes: calculatedDuration || this.parseDuration(entry.totalTime),
+                daylight,
+                nightMinutes: daylight ? daylight.nightMinutes : null,
                 errors: entryErrors,
                 warnings: entryWarnings,
-                isValid: entryErrors.length === 0
+                isValid: entryErrors.length === 0,
+                reviewFields,
+                needsReview: reviewFields.length > 0 || entry.confidence === 'low'
             });
             
             // Aggregate errors/warnings
@@ -413,6 +733,120 @@ If uncertain, mark confidence as "low" and add a note.`;
         };
     }
 
+    /**
+     * Apply a person's corrections to one row and re-validate the page.
+     * Each changed field is logged against the value originally extracted.
+     * @param {ScanResult} scanResult - Result from scanPage() (or a previous correction)
+     * @param {number} index - Index into scanResult.entries
+     * @param {Object} changes - { field: newValue }, fields from LogbookScanner.REVIEW_FIELDS
+     * @param {Object} reviewer - { correctedBy } recorded on each correction
+     * @returns {ScanResult} New result - the input is not modified
+     */
+    correctEntry(scanResult, index, changes, reviewer = {}) {
+        const extraction = JSON.parse(JSON.stringify(scanResult.extraction));
+        const entry = extraction.entries[index];
+        if (!entry) {
+            throw new Error(`No entry at index ${index}`);
+        }
+
+        const correctedAt = new Date().toISOString();
+        const corrections = [...(scanResult.corrections || [])];
+
+        for (const [field, value] of Object.entries(changes)) {
+            if (!LogbookScanner.REVIEW_FIELDS.includes(field)) {
+                throw new Error(`${field} cannot be corrected`);
+            }
+            if (entry[field] === value) continue;
+
+            // The value the extractor produced, even after several edits
+            const earlier = corrections.find(c => c.index === index && c.field === field);
+
+            corrections.push({
+                index,
+                rowNumber: entry.rowNumber,
+                field,
+                extractedValue: earlier ? earlier.extractedValue : entry[field],
+                previousValue: entry[field],
+                correctedValue: value,
+                correctedAt,
+                correctedBy: reviewer.correctedBy || null
+            });
+            entry[field] = value;
+        }
+
+        // Coerce typed-in values the same way extracted ones are
+        const checked = this.schema.validate(extraction);
+        if (!checked.valid) {
+            throw new (LogbookScanner.resolveDependency('ExtractionSchemaError', './extraction-schema.js'))(checked.errors);
+        }
+
+        const reviews = { ...(scanResult.reviews || {}), [index]: { reviewedAt: correctedAt, reviewedBy: reviewer.correctedBy || null } };
+        return this.revalidate(scanResult, checked.data, corrections, reviews);
+    }
+
+    /**
+     * Mark a row as checked by a person without changing it
+     * @returns {ScanResult} New result - the input is not modified
+     */
+    confirmEntry(scanResult, index, reviewer = {}) {
+        if (!scanResult.entries[index]) {
+            throw new Error(`No entry at index ${index}`);
+        }
+
+        const reviews = {
+            ...(scanResult.reviews || {}),
+            [index]: { reviewedAt: new Date().toISOString(), reviewedBy: reviewer.correctedBy || null }
+        };
+        return this.revalidate(scanResult, scanResult.extraction, scanResult.corrections || [], reviews);
+    }
+
+    /**
+     * Re-run validation on an extraction, carrying review state and page metadata across
+     */
+    revalidate(scanResult, extraction, corrections, reviews) {
+        const result = this.validateEntries(extraction);
+        const correctedFields = new Set(corrections.map(c => `${c.index}:${c.field}`));
+
+        // Extraction fixes no longer apply to fields a person has corrected
+        const fixes = (scanResult.extractionFixes || []).filter(fix => {
+            const match = fix.path.match(/^entries\[(\d+)\]\.(\w+)$/);
+            return !match || !correctedFields.has(`${match[1]}:${match[2]}`);
+        });
+        this.addExtractionFixes(result, fixes);
+
+        result.entries.forEach((entry, i) => {
+            entry.corrections = corrections.filter(c => c.index === i);
+            entry.reviewed = Boolean(reviews[i]);
+        });
+
+        return {
+            ...result,
+            imageQuality: scanResult.imageQuality ?? null,
+            preprocessing: scanResult.preprocessing ?? null,
+            sourceImage: scanResult.sourceImage,
+            scannedAt: scanResult.scannedAt,
+            extraction,
+            corrections,
+            reviews
+        };
+    }
+
+    /**
+     * Rows still waiting on a person - flagged for review and not yet confirmed or corrected
+     * @returns {Array<{ page: number, index: number, entry: Object }>}
+     */
+    static pendingReview(scanResults) {
+        const pending = [];
+        scanResults.forEach((scan, page) => {
+            scan.entries.forEach((entry, index) => {
+                if (entry.needsReview && !(scan.reviews && scan.reviews[index])) {
+                    pending.push({ page, index, entry });
+                }
+            });
+        });
+        return pending;
+    }
+
     /**
      * Parse date string (DD/MM/YYYY format)
      */
@@ -488,10 +922,192 @@ If uncertain, mark confidence as "low" and add a note.`;
         return `${h}:${m.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Validate entries across multiple scanned pages
+     *
+     * Flags repeated photos of the same page, duplicate entries, overlapping
+     * sessions on the same date, odometer readings that go backwards between
+     * sessions, days over the daily maximum, and a supervisor whose name or
+     * licence number is written differently between entries. Duplicates and
+     * overlaps are marked invalid so calculateCumulativeHours() does not
+     * double-count them.
+     *
+     * @param {ScanResult[]} scanResults - Results from scanPage()/validateEntries()
+     * @param {Object} [labels] - { page(page), entry(page, entry) } to describe rows in messages
+     *                            when they didn't come from photos (e.g. imported files)
+     * @returns {{ scanResults: ScanResult[], errors: Object[], warnings: Object[], hasErrors: boolean, hasWarnings: boolean }}
+     */
+    validateAcrossPages(scanResults, labels = {}) {
+        const errors = [];
+        const warnings = [];
+
+        // Work on copies so the per-page results stay untouched
+        const pages = scanResults.map((scan, pageIndex) => ({
+            ...scan,
+            pageIndex,
+            entries: scan.entries.map(entry => ({
+                ...entry,
+                errors: [...(entry.errors || [])],
+                warnings: [...(entry.warnings || [])]
+            }))
+        }));
+
+        const pageLabel = labels.page || ((page) => `photo ${page.pageIndex + 1}${page.pageNumber ? ` (page ${page.pageNumber})` : ''}`);
+        const entryLabel = labels.entry || ((page, entry) => `${pageLabel(page)} row ${entry.rowNumber ?? '?'}`);
+
+        const flag = (page, entry, severity, check, message) => {
+            const issue = { field: 'crossPage', check, message, severity };
+            const ref = { page: page.pageIndex, pageNumber: page.pageNumber, row: entry ? entry.rowNumber : null };
+
+            if (entry) {
+                if (severity === 'error') {
+                    entry.errors.push(issue);
+                    entry.isValid = false;
+                } else {
+                    entry.warnings.push(issue);
+                }
+            }
+            (severity === 'error' ? errors : warnings).push({ ...ref, ...issue });
+        };
+
+        // Every entry with enough data to compare, in scan order
+        const items = [];
+        for (const page of pages) {
+            for (const entry of page.entries) {
+                const start = this.parseTime(entry.startTime);
+                let finish = this.parseTime(entry.finishTime);
+                if (start !== null && finish !== null && finish < start) finish += 24 * 60;
+
+                items.push({
+                    page,
+                    entry,
+                    dateKey: entry.parsedDate ? new Date(entry.parsedDate).toDateString() : null,
+                    start,
+                    finish,
+                    signature: [entry.date, entry.startTime, entry.finishTime].map(v => (v || '').toString().trim()).join('|')
+                });
+            }
+        }
+
+        // 1. Repeated photos of the same page
+        const repeatedPages = new Set();
+        const pageSignatures = pages.map(page => new Set(
+            items.filter(i => i.page === page && i.dateKey && i.start !== null).map(i => i.signature)
+        ));
+        for (let a = 0; a < pages.length; a++) {
+            for (let b = a + 1; b < pages.length; b++) {
+                if (repeatedPages.has(b) || pages[a].pageType !== pages[b].pageType) continue;
+                const sigA = pageSignatures[a];
+                const sigB = pageSignatures[b];
+                const smaller = Math.min(sigA.size, sigB.size);
+                if (smaller === 0) continue;
+
+                const shared = [...sigB].filter(sig => sigA.has(sig)).length;
+                if (shared / smaller >= 0.8) {
+                    repeatedPages.add(b);
+                    flag(pages[b], null, 'error', 'duplicatePage',
+                        `${pageLabel(pages[b])} looks like a repeat photo of ${pageLabel(pages[a])} - its entries are not counted`);
+                    for (const entry of pages[b].entries) {
+                        flag(pages[b], entry, 'error', 'duplicatePage', `Repeat of ${pageLabel(pages[a])}`);
+                    }
+                }
+            }
+        }
+
+        const comparable = items.filter(i => i.dateKey && i.start !== null && i.finish !== null && !repeatedPages.has(i.page.pageIndex));
+
+        // 2. Duplicate entries and 3. overlapping sessions on the same date
+        const duplicates = new Set();
+        for (let a = 0; a < comparable.length; a++) {
+            for (let b = a + 1; b < comparable.length; b++) {
+                const first = comparable[a];
+                const second = comparable[b];
+                if (first.dateKey !== second.dateKey || duplicates.has(first) || duplicates.has(second)) continue;
+
+                if (first.start === second.start && first.finish === second.finish) {
+                    duplicates.add(second);
+                    flag(second.page, second.entry, 'error', 'duplicateEntry',
+                        `Duplicate of ${entryLabel(first.page, first.entry)} (${second.entry.date} ${second.entry.startTime}-${second.entry.finishTime})`);
+                } else if (first.start < second.finish && second.start < first.finish) {
+                    flag(second.page, second.entry, 'error', 'overlap',
+                        `Overlaps ${entryLabel(first.page, first.entry)} (${first.entry.startTime}-${first.entry.finishTime}) on ${second.entry.date}`);
+                    flag(first.page, first.entry, 'warning', 'overlap',
+                        `Overlaps ${entryLabel(second.page, second.entry)} (${second.entry.startTime}-${second.entry.finishTime})`);
+                }
+            }
+        }
+
+        // 4. Odometer readings should not go backwards over time
+        const chronological = comparable
+            .filter(i => i.entry.isValid !== false && i.entry.odometerStart && i.entry.odometerFinish)
+            .sort((x, y) => new Date(x.entry.parsedDate) - new Date(y.entry.parsedDate) || x.start - y.start);
+        for (let i = 1; i < chronological.length; i++) {
+            const prev = chronological[i - 1];
+            const curr = chronological[i];
+            if (Number(curr.entry.odometerStart) < Number(prev.entry.odometerFinish)) {
+                flag(curr.page, curr.entry, 'warning', 'odometerSequence',
+                    `Odometer start ${curr.entry.odometerStart} is lower than ${prev.entry.odometerFinish} at the end of ${entryLabel(prev.page, prev.entry)} (${prev.entry.date}) - check readings or vehicle`);
+            }
+        }
+
+        // 5. Daily maximum across all pages
+        const dailyMinutes = new Map();
+        for (const item of comparable) {
+            if (item.entry.isValid === false) continue;
+            const day = dailyMinutes.get(item.dateKey) || { minutes: 0, item };
+            day.minutes += item.finish - item.start;
+            dailyMinutes.set(item.dateKey, day);
+        }
+        for (const { minutes, item } of dailyMinutes.values()) {
+            if (minutes > this.validationRules.maxDailyHours * 60) {
+                flag(item.page, null, 'warning', 'dailyMaximum',
+                    `${this.formatDuration(minutes)} logged on ${item.entry.date} - over the ${this.validationRules.maxDailyHours} hour daily maximum`);
+            }
+        }
+
+        // 6. The same supervisor should be written the same way on every page
+        const Registry = LogbookScanner.resolveDependency('SupervisorRegistry', './supervisor-registry.js');
+        const seen = new Registry();
+        const seenAt = new Map();
+        for (const item of items) {
+            if (repeatedPages.has(item.page.pageIndex)) continue;
+            const { supervisorName, licenceNumber } = item.entry;
+            const kind = Registry.kindFor(item.page.pageType);
+            const result = seen.match(supervisorName, licenceNumber, kind);
+
+            if (result.status === 'misread' || result.status === 'inconsistent') {
+                const first = seenAt.get(result.supervisor);
+                flag(item.page, item.entry, 'warning', 'supervisorConsistency',
+                    `${result.message} - see ${entryLabel(first.page, first.entry)}`);
+            } else if (result.status !== 'known' && result.status !== 'missing') {
+                seenAt.set(seen.add({ kind, name: supervisorName, licence_number: licenceNumber }), item);
+            }
+        }
+
+        // Refresh per-page flags now entries may have changed
+        const validatedPages = pages.map(({ pageIndex, ...page }) => ({
+            ...page,
+            totals: {
+                ...page.totals,
+                validEntries: page.entries.filter(e => e.isValid).length
+            }
+        }));
+
+        return {
+            scanResults: validatedPages,
+            errors,
+            warnings,
+            hasErrors: errors.length > 0,
+            hasWarnings: warnings.length > 0
+        };
+    }
+
     /**
      * Get cumulative hours across multiple scans
+     * @param {ScanResult[]} scanResults
+     * @param {EligibilityRules} rules - The learner's rules; the default rule set if omitted
      */
-    static calculateCumulativeHours(scanResults) {
+    static calculateCumulativeHours(scanResults, rules = null) {
         const totals = {
             blueDayMinutes: 0,
             redNightMinutes: 0,
@@ -523,11 +1139,12 @@ If uncertain, mark confidence as "low" and add a note.`;
             totals.warningCount += scan.warnings.length;
         }
 
-        // Calculate ADI credit (first 10 hours = 3x, rest = 1x)
-        const adiActualHours = totals.greenAdiMinutes / 60;
-        const adiFirst10Credit = Math.min(adiActualHours, 10) * 3;
-        const adiExtraCredit = Math.max(0, adiActualHours - 10);
-        const adiTotalCredit = adiFirst10Credit + adiExtraCredit;
+        // ADI credit comes from the shared rules engine (ACT: first 10 hours = 3x, rest = 1x)
+        const adiCredit = (rules || new (LogbookScanner.resolveRules())()).calculateAdiCredit(totals.greenAdiMinutes / 60);
+        const adiActualHours = adiCredit.actualHours;
+        const adiFirst10Credit = adiCredit.first10Credit;
+        const adiExtraCredit = adiCredit.extraCredit;
+        const adiTotalCredit = adiCredit.creditHours;
 
         return {
             supervised: {
@@ -552,8 +1169,130 @@ If uncertain, mark confidence as "low" and add a note.`;
             }
         };
     }
+
+    /**
+     * Convert validated scan results into logbook_sessions rows
+     * @param {ScanResult[]} scanResults - Results from scanPage()/validateEntries()
+     * @param {Object} context - { studentId, userId (owning instructor), createdBy, source }
+     * @returns {Object[]} Rows ready to insert into logbook_sessions
+     */
+    static toSessionRecords(scanResults, context = {}) {
+        const toIsoDate = (date) => {
+            if (!date) return null;
+            const d = new Date(date);
+            if (isNaN(d.getTime())) return null;
+            return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+        };
+        const toTime = (value) => {
+            const match = typeof value === 'string' && value.match(/^(\d{1,2})[:\.](\d{2})$/);
+            return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+        };
+        const toNumber = (value) => {
+            const n = parseInt(value, 10);
+            return isNaN(n) ? null : n;
+        };
+
+        const records = [];
+        for (const scan of scanResults) {
+            for (const entry of scan.entries) {
+                // Keep the extracted values minus derived fields for the audit trail
+                const { parsedDate, calculatedDuration, durationMinutes, daylight, nightMinutes, errors, warnings, isValid,
+                    reviewFields, needsReview, reviewed, corrections = [], ...raw } = entry;
+                for (const correction of corrections) {
+                    raw[correction.field] = correction.extractedValue;
+                }
+
+                records.push({
+                    student_id: context.studentId || null,
+                    user_id: context.userId || null,
+                    created_by: context.createdBy || context.userId || null,
+                    session_date: toIsoDate(entry.parsedDate),
+                    page_type: scan.pageType,
+                    supervisor_name: entry.supervisorName && entry.supervisorName !== 'UNCLEAR' ? entry.supervisorName : null,
+                    licence_number: entry.licenceNumber && entry.licenceNumber !== 'UNCLEAR' ? entry.licenceNumber : null,
+                    start_time: toTime(entry.startTime),
+                    finish_time: toTime(entry.finishTime),
+                    duration_minutes: entry.durationMinutes ?? null,
+                    night_minutes: entry.nightMinutes ?? null,
+                    odometer_start: toNumber(entry.odometerStart),
+                    odometer_finish: toNumber(entry.odometerFinish),
+                    weather: entry.weather || null,
+                    has_signature: typeof entry.hasSignature === 'boolean' ? entry.hasSignature : null,
+                    source: context.source || 'scan',
+                    page_number: toNumber(scan.pageNumber),
+                    row_number: toNumber(entry.rowNumber),
+                    confidence: ['high', 'medium', 'low', 'manual'].includes(entry.confidence) ? entry.confidence : null,
+                    raw_entry: raw,
+                    is_valid: entry.isValid,
+                    validation_errors: entry.errors || [],
+                    validation_warnings: entry.warnings || [],
+                    corrections: corrections.map(({ index, ...c }) => c),
+                    notes: entry.notes || null,
+                    scanned_at: scan.scannedAt || null
+                });
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Derive hour totals from stored logbook_sessions rows (valid sessions only)
+     * Mirrors refresh_student_hours() in supabase-schema.sql
+     */
+    static calculateTotalsFromSessions(sessions) {
+        const minutes = { BLUE_DAY: 0, RED_NIGHT: 0, GREEN_ADI: 0, ADI_STAMP: 0 };
+
+        for (const session of sessions) {
+            if (session.is_valid === false) continue;
+            if (minutes[session.page_type] === undefined) continue;
+            minutes[session.page_type] += session.duration_minutes || 0;
+        }
+
+        return {
+            dayHours: minutes.BLUE_DAY / 60,
+            nightHours: minutes.RED_NIGHT / 60,
+            adiHours: (minutes.GREEN_ADI + minutes.ADI_STAMP) / 60,
+            sessionCount: sessions.length,
+            validSessionCount: sessions.filter(s => s.is_valid !== false).length
+        };
+    }
+
+    /**
+     * Locate the shared EligibilityRules engine (browser global or CommonJS)
+     */
+    static resolveRules() {
+        return LogbookScanner.resolveDependency('EligibilityRules', './eligibility-rules.js');
+    }
+
+    /**
+     * Locate a sibling module (browser global or CommonJS)
+     */
+    static resolveDependency(globalName, path) {
+        if (typeof globalThis !== 'undefined' && globalThis[globalName]) return globalThis[globalName];
+        if (typeof require !== 'undefined') {
+            // Modules exporting several classes export them as an object
+            const exported = require(path);
+            return exported[globalName] || exported;
+        }
+        throw new Error(`${path.replace('./', '')} must be loaded before logbook-scanner.js`);
+    }
 }
 
+// Fields shown for review and open to correction
+LogbookScanner.REVIEW_FIELDS = [
+    'date', 'startTime', 'finishTime', 'totalTime', 'supervisorName', 'licenceNumber',
+    'odometerStart', 'odometerFinish', 'hasSignature', 'weather'
+];
+
+// Documents scanDocument() reads, with how they are named in messages
+LogbookScanner.DOCUMENT_TYPES = {
+    LICENCE: 'learner licence',
+    CBTA: 'CBT&A record'
+};
+
+// Per-field confidence levels as a percentage, for ocr_confidence
+LogbookScanner.CONFIDENCE_SCORES = { high: 95, medium: 75, low: 40 };
+
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = LogbookScanner;
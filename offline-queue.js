@@ -0,0 +1,464 @@
+/**
+ * APEX Offline Queue Module
+ * Version: 1.0.0
+ *
+ * Queues Supabase writes (and logbook photos waiting to be scanned) in
+ * IndexedDB while there is no signal, then replays them against the
+ * Supabase REST API once online - from the page, or from the service
+ * worker's background sync. Updates carry the row's updated_at from when
+ * the edit started; if the server row has changed since, the change is
+ * held as a conflict for the user to resolve instead of overwriting it.
+ *
+ * Works in the page and in the service worker (via importScripts).
+ *
+ * Usage:
+ *   const queue = new OfflineQueue({ supabaseUrl, anonKey, getToken });
+ *   const change = await queue.enqueue({ table: 'students', op: 'insert', values: student, label: 'New student' });
+ *   const result = await queue.replay();
+ *   console.log(result.synced, result.conflicts, await queue.counts());
+ */
+
+class OfflineQueue {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'apex-offline';
+        this.dbVersion = 2; // 2: scan batch pages
+        this.supabaseUrl = options.supabaseUrl || null;
+        this.anonKey = options.anonKey || null;
+        this.getToken = options.getToken || (() => this.getStoredToken());
+        this.onChange = options.onChange || (() => {});
+        this.lockTimeoutMs = options.lockTimeoutMs || 60000; // Page and service worker may both try to replay
+        this.db = null;
+    }
+
+    // =============================================
+    // STORAGE
+    // =============================================
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('mutations')) {
+                    db.createObjectStore('mutations', { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains('scans')) {
+                    db.createObjectStore('scans', { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('batch')) {
+                    db.createObjectStore('batch', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let a newer version (another tab or the service worker) upgrade; reopen on next use
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run fn(store) in a transaction and resolve with its request's result
+     */
+    async withStore(storeName, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // =============================================
+    // QUEUED WRITES
+    // =============================================
+
+    /**
+     * Queue a write
+     * @param {Object} change
+     * @param {string} change.table - Supabase table
+     * @param {'insert'|'update'|'delete'} change.op
+     * @param {Object|Object[]} change.values - Row(s) for insert, changed columns for update
+     * @param {string} change.rowId - Row id for update/delete
+     * @param {string} change.baseUpdatedAt - Server updated_at when the edit started (enables conflict detection)
+     * @param {string} change.label - Shown in the pending changes list
+     * @returns {Promise<Object>} The stored record (with id)
+     */
+    async enqueue(change) {
+        if (!['insert', 'update', 'delete'].includes(change.op)) {
+            throw new Error(`Unknown queued operation: ${change.op}`);
+        }
+        if (change.op !== 'insert' && !change.rowId) {
+            throw new Error(`${change.op} needs a rowId`);
+        }
+
+        // Client ids make inserts safe to replay twice and let queued rows reference each other
+        let values = change.values || null;
+        if (change.op === 'insert') {
+            const withId = row => (row.id ? row : { ...row, id: OfflineQueue.uuid() });
+            values = Array.isArray(values) ? values.map(withId) : withId(values);
+        }
+
+        const record = {
+            table: change.table,
+            op: change.op,
+            rowId: change.rowId || null,
+            values,
+            baseUpdatedAt: change.baseUpdatedAt || null,
+            label: change.label || `${change.op} ${change.table}`,
+            status: 'pending', // pending | conflict | failed
+            attempts: 0,
+            lastError: null,
+            serverRow: null,
+            createdAt: new Date().toISOString()
+        };
+
+        record.id = await this.withStore('mutations', 'readwrite', store => store.add(record));
+        this.onChange();
+        return record;
+    }
+
+    async list() {
+        return this.withStore('mutations', 'readonly', store => store.getAll());
+    }
+
+    async get(id) {
+        return this.withStore('mutations', 'readonly', store => store.get(id));
+    }
+
+    async remove(id) {
+        await this.withStore('mutations', 'readwrite', store => store.delete(id));
+        this.onChange();
+    }
+
+    async save(record) {
+        await this.withStore('mutations', 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * @returns {Promise<{ pending: number, conflict: number, failed: number, scans: number, total: number }>}
+     */
+    async counts() {
+        const [mutations, scans] = await Promise.all([
+            this.list(),
+            this.withStore('scans', 'readonly', store => store.count())
+        ]);
+        const counts = { pending: 0, conflict: 0, failed: 0, scans };
+        mutations.forEach(m => counts[m.status]++);
+        counts.total = counts.pending + counts.conflict + counts.failed + scans;
+        return counts;
+    }
+
+    /**
+     * Settle a conflict
+     * @param {number} id - Queued change id
+     * @param {'mine'|'theirs'} keep - 'mine' re-applies the change over the server row, 'theirs' drops it
+     */
+    async resolveConflict(id, keep) {
+        const record = await this.get(id);
+        if (!record || record.status !== 'conflict') return;
+
+        if (keep === 'theirs' || !record.serverRow) {
+            await this.remove(id);
+            return;
+        }
+
+        record.status = 'pending';
+        record.baseUpdatedAt = record.serverRow.updated_at || null;
+        record.serverRow = null;
+        record.lastError = null;
+        await this.save(record);
+        this.onChange();
+    }
+
+    /**
+     * Send pending changes to Supabase in the order they were made.
+     * Stops at the first network failure; server rejections are marked failed.
+     * @returns {Promise<{ synced: number[], conflicts: number[], failed: number[], remaining: number, skipped?: string }>}
+     */
+    async replay() {
+        const result = { synced: [], conflicts: [], failed: [], remaining: 0 };
+
+        if (!(await this.acquireLock())) {
+            return { ...result, skipped: 'locked' };
+        }
+
+        try {
+            const pending = (await this.list()).filter(m => m.status === 'pending');
+            if (pending.length === 0) return result;
+
+            const token = await this.getToken();
+            if (!token) {
+                return { ...result, remaining: pending.length, skipped: 'signed-out' };
+            }
+
+            for (let i = 0; i < pending.length; i++) {
+                const record = pending[i];
+                record.attempts++;
+
+                let outcome;
+                try {
+                    outcome = await this.apply(record, token);
+                } catch (error) {
+                    // Offline or auth expired - leave this and everything after it queued
+                    record.lastError = error.message;
+                    await this.save(record);
+                    result.remaining = pending.length - i;
+                    if (error.status === 401) result.skipped = 'auth-expired';
+                    break;
+                }
+
+                if (outcome.status === 'synced') {
+                    await this.withStore('mutations', 'readwrite', store => store.delete(record.id));
+                    result.synced.push(record.id);
+                } else {
+                    record.status = outcome.status;
+                    record.lastError = outcome.message || null;
+                    record.serverRow = outcome.serverRow || null;
+                    await this.save(record);
+                    result[outcome.status === 'conflict' ? 'conflicts' : 'failed'].push(record.id);
+                }
+            }
+        } finally {
+            await this.releaseLock();
+            this.onChange();
+        }
+
+        return result;
+    }
+
+    /**
+     * Apply one queued change through the Supabase REST API
+     * @returns {Promise<{ status: 'synced'|'conflict'|'failed', message?: string, serverRow?: Object }>}
+     * @throws on network failure or expired auth (retry later)
+     */
+    async apply(record, token) {
+        const base = `${this.supabaseUrl}/rest/v1/${record.table}`;
+        const headers = this.headers(token);
+
+        if (record.op === 'insert') {
+            const response = await this.request(base, {
+                method: 'POST',
+                headers: { ...headers, Prefer: 'return=minimal,resolution=ignore-duplicates' },
+                body: JSON.stringify(record.values)
+            });
+            return response.ok ? { status: 'synced' } : this.rejected(response);
+        }
+
+        // Only touch the row if it is still the version the edit was based on
+        let filter = `id=eq.${encodeURIComponent(record.rowId)}`;
+        if (record.baseUpdatedAt) {
+            filter += `&updated_at=eq.${encodeURIComponent(record.baseUpdatedAt)}`;
+        }
+
+        const response = await this.request(`${base}?${filter}`, {
+            method: record.op === 'update' ? 'PATCH' : 'DELETE',
+            headers: { ...headers, Prefer: 'return=representation' },
+            body: record.op === 'update' ? JSON.stringify(record.values) : undefined
+        });
+        if (!response.ok) return this.rejected(response);
+
+        const rows = await response.json();
+        if (rows.length > 0) return { status: 'synced' };
+
+        // Nothing matched - find out why
+        const current = await this.request(`${base}?id=eq.${encodeURIComponent(record.rowId)}&select=*`, { headers });
+        if (!current.ok) return this.rejected(current);
+        const [serverRow] = await current.json();
+
+        if (!serverRow) {
+            return record.op === 'delete'
+                ? { status: 'synced' }
+                : { status: 'conflict', message: 'This record was deleted on the server' };
+        }
+        return { status: 'conflict', message: 'This record was changed by someone else while you were offline', serverRow };
+    }
+
+    async request(url, init) {
+        let response;
+        try {
+            response = await fetch(url, init);
+        } catch (error) {
+            throw new Error(`Network error: ${error.message}`);
+        }
+        // The service worker answers Supabase requests with 503 when offline
+        if (response.status === 503 || response.status === 401) {
+            const error = new Error(response.status === 401 ? 'Sign-in expired' : 'Offline');
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    async rejected(response) {
+        let message = `Server rejected change (${response.status})`;
+        try {
+            const body = await response.json();
+            if (body.message) message = body.message;
+        } catch (e) {
+            // Keep the status message
+        }
+        return { status: 'failed', message };
+    }
+
+    headers(token) {
+        return {
+            apikey: this.anonKey,
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    // =============================================
+    // SESSION AND LOCKING
+    // =============================================
+
+    /**
+     * Store what the service worker needs to replay without the page
+     */
+    async saveSession(token) {
+        await this.withStore('meta', 'readwrite', store => store.put({
+            key: 'session',
+            token,
+            expiresAt: OfflineQueue.tokenExpiry(token),
+            supabaseUrl: this.supabaseUrl,
+            anonKey: this.anonKey
+        }));
+    }
+
+    async loadSession() {
+        const session = await this.withStore('meta', 'readonly', store => store.get('session'));
+        if (session) {
+            this.supabaseUrl = this.supabaseUrl || session.supabaseUrl;
+            this.anonKey = this.anonKey || session.anonKey;
+        }
+        return session || null;
+    }
+
+    /**
+     * Last token saved by the page, if it has not expired
+     */
+    async getStoredToken() {
+        const session = await this.loadSession();
+        if (!session || !session.token) return null;
+        if (session.expiresAt && session.expiresAt <= Date.now()) return null;
+        return session.token;
+    }
+
+    async clearSession() {
+        await this.withStore('meta', 'readwrite', store => store.delete('session'));
+    }
+
+    async acquireLock() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            // One readwrite transaction, so the check and the claim can't interleave
+            const tx = db.transaction('meta', 'readwrite');
+            const store = tx.objectStore('meta');
+            let acquired = false;
+
+            const request = store.get('replayLock');
+            request.onsuccess = () => {
+                const lock = request.result;
+                if (!lock || Date.now() - lock.at > this.lockTimeoutMs) {
+                    store.put({ key: 'replayLock', at: Date.now() });
+                    acquired = true;
+                }
+            };
+            tx.oncomplete = () => resolve(acquired);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async releaseLock() {
+        await this.withStore('meta', 'readwrite', store => store.delete('replayLock'));
+    }
+
+    // =============================================
+    // QUEUED SCANS
+    // =============================================
+
+    /**
+     * Keep a logbook photo until there is signal to scan it
+     */
+    async queueScan(file) {
+        const record = { file, name: file.name || 'page.jpg', type: file.type || 'image/jpeg', queuedAt: new Date().toISOString() };
+        record.id = await this.withStore('scans', 'readwrite', store => store.add(record));
+        this.onChange();
+        return record;
+    }
+
+    async listScans() {
+        return this.withStore('scans', 'readonly', store => store.getAll());
+    }
+
+    async removeScan(id) {
+        await this.withStore('scans', 'readwrite', store => store.delete(id));
+        this.onChange();
+    }
+
+    // =============================================
+    // SCAN BATCH
+    // =============================================
+    // Pages of a batch in the scanner (see batch-scanner.js), with their
+    // photo and result, so a batch survives a reload. Not part of the sync
+    // counts - nothing here is waiting to reach Supabase.
+
+    async saveBatchPage(page) {
+        await this.withStore('batch', 'readwrite', store => store.put(page));
+    }
+
+    async listBatchPages() {
+        return this.withStore('batch', 'readonly', store => store.getAll());
+    }
+
+    async removeBatchPage(id) {
+        await this.withStore('batch', 'readwrite', store => store.delete(id));
+    }
+
+    // =============================================
+    // HELPERS
+    // =============================================
+
+    static uuid() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Expiry (ms) from a JWT's exp claim, or null if it can't be read
+     */
+    static tokenExpiry(token) {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp ? payload.exp * 1000 : null;
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineQueue;
+}
+if (typeof window !== 'undefined') {
+    window.OfflineQueue = OfflineQueue;
+}
@@ -0,0 +1,616 @@
+/**
+ * APEX Record Transfer Module
+ * Version: 1.0.0
+ *
+ * CSV/JSON import and export of students and logbook sessions. Imports are
+ * mapped column by column, checked row by row (sessions go through the
+ * same LogbookScanner rules as scanned pages) and previewed before anything
+ * is saved. Exports produce CSV that the importer reads back, or a JSON
+ * document with every stored field.
+ *
+ * Usage:
+ *   const { rows, headers } = CsvFormat.parseWithHeaders(fileText);
+ *   const importer = new RecordImporter({ scanner, students: myStudents, ruleSets });
+ *   const mapping = RecordImporter.suggestMapping(headers, RecordImporter.SESSION_FIELDS);
+ *   const preview = importer.previewSessions(rows, mapping);
+ *   const records = importer.toSessionRecords(preview, { userId, createdBy });
+ *
+ *   const exporter = new RecordExporter();
+ *   const files = exporter.exportCsv({ students, sessions });
+ */
+
+class CsvFormat {
+    /**
+     * Parse CSV text into rows of cells (RFC 4180 quoting, CRLF or LF)
+     * @param {string} text
+     * @param {string} [delimiter] - Detected from the first line when omitted (, ; or tab)
+     * @returns {string[][]}
+     */
+    static parse(text, delimiter) {
+        const source = String(text || '').replace(/^﻿/, '');
+        const sep = delimiter || CsvFormat.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            if (quoted) {
+                if (ch === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"' && cell === '') {
+                quoted = true;
+            } else if (ch === sep) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Spreadsheets leave blank lines at the end
+        return rows.filter(r => r.some(c => c.trim() !== ''));
+    }
+
+    /**
+     * Parse CSV whose first row holds column names
+     * @returns {{ headers: string[], rows: Array<{ line: number, cells: string[] }> }}
+     */
+    static parseWithHeaders(text, delimiter) {
+        const [headers = [], ...rows] = CsvFormat.parse(text, delimiter);
+        return {
+            headers: headers.map(h => h.trim()),
+            rows: rows.map((cells, i) => ({ line: i + 2, cells }))
+        };
+    }
+
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const counts = [',', ';', '\t'].map(sep => ({ sep, n: firstLine.split(sep).length }));
+        return counts.reduce((a, b) => (b.n > a.n ? b : a)).sep;
+    }
+
+    /**
+     * Rows of values to CSV text
+     * Text starting with = + - @ is prefixed with ' so spreadsheets don't run it as a formula
+     * @param {Array<Array<*>>} rows
+     */
+    static stringify(rows) {
+        return rows.map(row => row.map(CsvFormat.formatCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    static formatCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+class RecordImporter {
+    /**
+     * @param {Object} options
+     * @param {LogbookScanner} options.scanner - Validates imported sessions with the scan rules
+     * @param {Object[]} [options.students] - Existing students rows, for matching and duplicates
+     * @param {Object[]} [options.sessions] - Existing logbook_sessions rows, to skip ones already recorded
+     * @param {Object[]} options.ruleSets - rule_sets rows - a student needs one for their jurisdiction,
+     *   so with none every student is turned away
+     */
+    constructor(options = {}) {
+        this.scanner = options.scanner;
+        this.students = options.students || [];
+        this.sessions = options.sessions || [];
+        this.ruleSets = options.ruleSets || [];
+    }
+
+    /**
+     * Best guess at which column holds each field, by name or alias
+     * @returns {Object<string, number>} field key -> column index
+     */
+    static suggestMapping(headers, fields) {
+        const normalise = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, '');
+        const columns = headers.map(normalise);
+        const mapping = {};
+
+        for (const field of fields) {
+            const names = [field.key, field.label, ...(field.aliases || [])].map(normalise);
+            const index = columns.findIndex((column, i) => names.includes(column) && !Object.values(mapping).includes(i));
+            if (index !== -1) mapping[field.key] = index;
+        }
+        return mapping;
+    }
+
+    /**
+     * Check student rows and build students records
+     * @param {Array<{ line: number, cells: string[] }>} rows
+     * @param {Object<string, number>} mapping - field key -> column index
+     * @returns {{ rows: Object[], importable: number, skipped: number }}
+     */
+    previewStudents(rows, mapping) {
+        const seen = new Map();
+        const results = rows.map(({ line, cells }) => {
+            const errors = [];
+            const warnings = [];
+            const values = this.readRow(cells, mapping, RecordImporter.STUDENT_FIELDS, errors);
+
+            if (values.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+                warnings.push({ field: 'email', message: `Email "${values.email}" doesn't look right - left blank` });
+                values.email = null;
+            }
+            if (values.date_of_birth && values.date_of_birth > this.isoDate(new Date())) {
+                errors.push({ field: 'date_of_birth', message: 'Date of birth is in the future' });
+            }
+            // rule_set_for() rejects an unknown jurisdiction, which would fail the whole insert
+            if (values.licence_jurisdiction) {
+                values.licence_jurisdiction = values.licence_jurisdiction.toUpperCase();
+                if (!this.ruleSets.some(set => set.jurisdiction === values.licence_jurisdiction)) {
+                    errors.push({ field: 'licence_jurisdiction', message: `No rule set for jurisdiction "${values.licence_jurisdiction}" - add one under Rule Sets first` });
+                }
+            }
+
+            // Already in APEX, or earlier in this file
+            const key = this.studentKey(values);
+            const existing = key && this.students.find(s => this.studentKey(s) === key);
+            if (existing) {
+                errors.push({ field: 'duplicate', message: `Already recorded as ${existing.first_name} ${existing.last_name}` });
+            } else if (key && seen.has(key)) {
+                errors.push({ field: 'duplicate', message: `Same student as line ${seen.get(key)}` });
+            } else if (key) {
+                seen.set(key, line);
+            }
+
+            return { line, values, errors, warnings, importable: errors.length === 0 };
+        });
+
+        return this.summarise(results);
+    }
+
+    /**
+     * Check session rows with the scanner's rules and match them to students
+     * @param {Array<{ line: number, cells: string[] }>} rows
+     * @param {Object<string, number>} mapping - field key -> column index
+     * @returns {{ rows: Object[], importable: number, skipped: number, pages: Object[] }}
+     */
+    previewSessions(rows, mapping) {
+        const results = rows.map(({ line, cells }) => {
+            const errors = [];
+            const warnings = [];
+            const values = this.readRow(cells, mapping, RecordImporter.SESSION_FIELDS, errors);
+
+            const match = this.matchStudent(values);
+            if (match.error) errors.push({ field: 'student', message: match.error });
+
+            const pageType = this.readPageType(values.page_type, warnings);
+            return { line, values, errors, warnings, student: match.student || null, pageType, entry: null };
+        });
+
+        // One page per student and page type, so validateAcrossPages() sees each student's whole history in the file
+        const pages = new Map();
+        for (const row of results) {
+            if (row.errors.length > 0 || !row.values.date) continue;
+            const key = `${row.student.id}|${row.pageType}`;
+            if (!pages.has(key)) pages.set(key, { student: row.student, pageType: row.pageType, rows: [] });
+            pages.get(key).rows.push(row);
+        }
+
+        const byStudent = new Map();
+        for (const page of pages.values()) {
+            const validated = this.scanner.validateEntries({
+                pageType: page.pageType,
+                entries: page.rows.map(row => this.toEntry(row))
+            });
+            validated.studentId = page.student.id;
+            validated.lines = page.rows.map(row => row.line);
+            if (!byStudent.has(page.student.id)) byStudent.set(page.student.id, []);
+            byStudent.get(page.student.id).push(validated);
+        }
+
+        const labels = { page: () => 'this file', entry: (page, entry) => `line ${entry.rowNumber}` };
+        const validatedPages = [];
+        for (const studentPages of byStudent.values()) {
+            validatedPages.push(...this.scanner.validateAcrossPages(studentPages, labels).scanResults);
+        }
+
+        // Copy the scanner's verdict back onto each row
+        const rowsByLine = new Map(results.map(row => [row.line, row]));
+        for (const page of validatedPages) {
+            page.entries.forEach(entry => {
+                const row = rowsByLine.get(entry.rowNumber);
+                row.entry = entry;
+                row.errors.push(...entry.errors);
+                row.warnings.push(...entry.warnings);
+
+                const existing = this.findExistingSession(row.student.id, page.pageType, entry);
+                if (existing) {
+                    row.errors.push({ field: 'duplicate', message: `Already recorded (${existing.session_date} ${(existing.start_time || '').substring(0, 5)})` });
+                }
+            });
+        }
+
+        for (const row of results) {
+            row.importable = row.errors.length === 0;
+        }
+
+        const summary = this.summarise(results);
+        summary.pages = validatedPages;
+        return summary;
+    }
+
+    /**
+     * students rows for the importable lines of a preview
+     * @param {Object} preview - From previewStudents()
+     * @param {Object} context - { userId (owning instructor), createdBy, newId() }
+     */
+    toStudentRecords(preview, context = {}) {
+        return preview.rows.filter(row => row.importable).map(row => ({
+            ...(context.newId ? { id: context.newId() } : {}),
+            ...row.values,
+            user_id: context.userId,
+            created_by: context.createdBy || context.userId
+        }));
+    }
+
+    /**
+     * logbook_sessions rows for the importable lines of a preview
+     * @param {Object} preview - From previewSessions()
+     * @param {Object} context - { createdBy }
+     */
+    toSessionRecords(preview, context = {}) {
+        const importable = new Set(preview.rows.filter(row => row.importable).map(row => row.line));
+        const records = [];
+
+        for (const page of preview.pages) {
+            const entries = page.entries.filter(entry => importable.has(entry.rowNumber));
+            if (entries.length === 0) continue;
+
+            const student = this.students.find(s => s.id === page.studentId);
+            const pageRecords = this.scanner.constructor.toSessionRecords([{ ...page, entries, pageNumber: null, scannedAt: null }], {
+                studentId: student.id,
+                userId: student.user_id,
+                createdBy: context.createdBy,
+                source: 'import'
+            });
+            // rowNumber held the file line - keep it in raw_entry only
+            records.push(...pageRecords.map(record => ({ ...record, row_number: null })));
+        }
+        return records;
+    }
+
+    /**
+     * Values for the mapped fields of one row, with dates, numbers and flags parsed
+     */
+    readRow(cells, mapping, fields, errors) {
+        const values = {};
+        for (const field of fields) {
+            const index = mapping[field.key];
+            // Undo the formula guard CsvFormat.stringify() adds on export
+            const raw = index === undefined || index === null ? '' : (cells[index] || '').trim().replace(/^'(?=[=+\-@])/, '');
+
+            if (!raw) {
+                if (field.required) errors.push({ field: field.key, message: `${field.label} is missing` });
+                // Inserted rows send every key, so a blank takes the column's default here rather than NULL
+                values[field.key] = 'default' in field ? field.default : null;
+                continue;
+            }
+
+            const parsed = this.parseValue(raw, field.type);
+            if (parsed === undefined) {
+                const kind = field.type === 'hpt_certificate' ? 'certificate number' : field.type;
+                errors.push({ field: field.key, message: `${field.label} "${raw}" is not a valid ${kind}` });
+                values[field.key] = null;
+            } else {
+                values[field.key] = parsed;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * @returns {*} Parsed value, or undefined if it can't be read as the type
+     */
+    parseValue(raw, type) {
+        switch (type) {
+            case 'date': {
+                // YYYY-MM-DD, or Australian DD/MM/YYYY
+                let match = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+                let [year, month, day] = match ? [match[1], match[2], match[3]] : [];
+                if (!match) {
+                    match = raw.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2}|\d{4})$/);
+                    if (!match) return undefined;
+                    [day, month, year] = [match[1], match[2], match[3].length === 2 ? `20${match[3]}` : match[3]];
+                }
+                const date = new Date(Number(year), Number(month) - 1, Number(day));
+                if (date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) return undefined;
+                return this.isoDate(date);
+            }
+            case 'boolean': {
+                const text = raw.toLowerCase();
+                if (['yes', 'y', 'true', '1', 'x', 'signed', 'completed', 'done'].includes(text)) return true;
+                if (['no', 'n', 'false', '0', 'unsigned', ''].includes(text)) return false;
+                return undefined;
+            }
+            case 'integer': {
+                const digits = raw.replace(/[\s,]|km/gi, '');
+                return /^\d+$/.test(digits) ? parseInt(digits, 10) : undefined;
+            }
+            case 'time': {
+                const match = raw.match(/^(\d{1,2})[:.]?(\d{2})(?::\d{2})?\s*([ap])?\.?m?\.?$/i);
+                if (!match) return undefined;
+                let hours = parseInt(match[1], 10);
+                const minutes = parseInt(match[2], 10);
+                const meridiem = match[3] ? match[3].toLowerCase() : null;
+                if (meridiem === 'p' && hours < 12) hours += 12;
+                if (meridiem === 'a' && hours === 12) hours = 0;
+                if (hours > 23 || minutes > 59) return undefined;
+                return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+            }
+            case 'duration':
+                // H:MM or decimal hours, as the scanner reads them
+                return /^\d+([:.]\d+)?$/.test(raw) ? raw : undefined;
+            case 'hpt_certificate': {
+                // Same format check as the calculator and the students table
+                const Rules = RecordImporter.resolveRules();
+                const number = Rules.normaliseHptCertificate(raw);
+                return Rules.isValidHptCertificate(number) ? number : undefined;
+            }
+            default:
+                return raw;
+        }
+    }
+
+    readPageType(value, warnings) {
+        if (!value) {
+            warnings.push({ field: 'page_type', message: 'No session type - imported as a supervised day session' });
+            return 'BLUE_DAY';
+        }
+
+        const text = value.toUpperCase().replace(/[\s-]+/g, '_');
+        if (['BLUE_DAY', 'RED_NIGHT', 'GREEN_ADI', 'ADI_STAMP'].includes(text)) return text;
+        if (/NIGHT|RED/.test(text)) return 'RED_NIGHT';
+        if (/ADI|LESSON|INSTRUCTOR|PROFESSIONAL|GREEN/.test(text)) return 'GREEN_ADI';
+        if (/DAY|SUPERVISED|BLUE/.test(text)) return 'BLUE_DAY';
+
+        warnings.push({ field: 'page_type', message: `Unknown session type "${value}" - imported as a supervised day session` });
+        return 'BLUE_DAY';
+    }
+
+    /**
+     * Find the student a session belongs to - licence number, then email, then full name
+     */
+    matchStudent(values) {
+        const attempts = [
+            ['licence number', values.student_licence, s => s.licence_number],
+            ['email', values.student_email, s => s.email],
+            ['name', values.student_name, s => `${s.first_name} ${s.last_name}`]
+        ];
+        const normalise = (v) => String(v || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+        for (const [label, value, read] of attempts) {
+            if (!value) continue;
+            const matches = this.students.filter(s => normalise(read(s)) === normalise(value));
+            if (matches.length === 1) return { student: matches[0] };
+            if (matches.length > 1) return { error: `More than one student has ${label} "${value}"` };
+        }
+
+        const given = attempts.filter(([, value]) => value).map(([label, value]) => `${label} "${value}"`);
+        return {
+            error: given.length
+                ? `No student with ${given.join(' or ')}`
+                : 'No student licence number, email or name'
+        };
+    }
+
+    findExistingSession(studentId, pageType, entry) {
+        const date = entry.parsedDate ? this.isoDate(new Date(entry.parsedDate)) : null;
+        if (!date) return null;
+        return this.sessions.find(s =>
+            s.student_id === studentId &&
+            s.page_type === pageType &&
+            s.session_date === date &&
+            (s.start_time || '').substring(0, 5) === (entry.startTime || '') &&
+            (s.finish_time || '').substring(0, 5) === (entry.finishTime || '')
+        ) || null;
+    }
+
+    /**
+     * Session row in the shape LogbookScanner.validateEntries() expects from an extraction
+     */
+    toEntry(row) {
+        const v = row.values;
+        const [year, month, day] = v.date.split('-');
+        return {
+            rowNumber: row.line,
+            date: `${day}/${month}/${year}`,
+            weather: v.weather,
+            supervisorName: v.supervisor_name,
+            licenceNumber: v.supervisor_licence,
+            startTime: v.start_time,
+            finishTime: v.finish_time,
+            totalTime: v.total_time,
+            hasSignature: v.signed,
+            odometerStart: v.odometer_start,
+            odometerFinish: v.odometer_finish,
+            confidence: 'manual',
+            notes: v.notes
+        };
+    }
+
+    studentKey(student) {
+        if (student.licence_number) return `licence:${String(student.licence_number).replace(/\s/g, '').toUpperCase()}`;
+        if (student.first_name && student.last_name && student.date_of_birth) {
+            return `person:${student.first_name.toLowerCase()}|${student.last_name.toLowerCase()}|${student.date_of_birth}`;
+        }
+        return null;
+    }
+
+    summarise(rows) {
+        const importable = rows.filter(row => row.importable).length;
+        return { rows, importable, skipped: rows.length - importable };
+    }
+
+    isoDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    static resolveRules() {
+        if (typeof globalThis !== 'undefined' && globalThis.EligibilityRules) return globalThis.EligibilityRules;
+        if (typeof require !== 'undefined') return require('./eligibility-rules.js');
+        throw new Error('eligibility-rules.js must be loaded before record-transfer.js');
+    }
+}
+
+// Importable students columns - type defaults to text. Assessment 1-22 isn't one:
+// it follows from the CBT&A task sign-offs (see cbta-tracker.js)
+RecordImporter.STUDENT_FIELDS = [
+    { key: 'first_name', label: 'First name', required: true, aliases: ['firstname', 'given name', 'first'] },
+    { key: 'last_name', label: 'Last name', required: true, aliases: ['lastname', 'surname', 'family name', 'last'] },
+    { key: 'date_of_birth', label: 'Date of birth', type: 'date', required: true, aliases: ['dob', 'birth date', 'birthday'] },
+    { key: 'email', label: 'Email', aliases: ['email address', 'e-mail'] },
+    { key: 'phone', label: 'Phone', aliases: ['mobile', 'phone number', 'contact number'] },
+    { key: 'licence_number', label: 'Licence number', aliases: ['licence', 'license', 'license number', 'learner licence'] },
+    { key: 'licence_expiry_date', label: 'Licence expiry', type: 'date', aliases: ['licence expiry date', 'expiry', 'license expiry'] },
+    { key: 'licence_jurisdiction', label: 'Licence jurisdiction', default: 'ACT', aliases: ['jurisdiction', 'licence state', 'license state'] },
+    { key: 'address_line1', label: 'Address', aliases: ['street', 'street address', 'address line 1'] },
+    { key: 'suburb', label: 'Suburb' },
+    { key: 'postcode', label: 'Postcode', aliases: ['post code'] },
+    { key: 'hpt_completed', label: 'HPT completed', type: 'boolean', default: false, aliases: ['hpt', 'hazard perception'] },
+    { key: 'hpt_date', label: 'HPT date', type: 'date' },
+    { key: 'hpt_certificate_number', label: 'HPT certificate', type: 'hpt_certificate', aliases: ['hpt certificate number', 'hpt number'] },
+    { key: 'cbta_completed', label: 'CBT&A completed', type: 'boolean', default: false, aliases: ['cbta', 'cbt&a'] },
+    { key: 'cbta_date', label: 'CBT&A date', type: 'date', aliases: ['cbta date'] },
+    { key: 'safer_driver_credit', label: 'Safer Driver course', type: 'boolean', default: false, aliases: ['safer driver'] },
+    { key: 'vru_credit', label: 'VRU course', type: 'boolean', default: false, aliases: ['vru'] },
+    { key: 'first_aid_credit', label: 'First aid course', type: 'boolean', default: false, aliases: ['first aid'] },
+    { key: 'notes', label: 'Notes' }
+];
+
+// Importable logbook session columns - the student is matched by licence, email or name
+RecordImporter.SESSION_FIELDS = [
+    { key: 'student_licence', label: 'Student licence', aliases: ['student licence number', 'learner licence', 'licence number'] },
+    { key: 'student_email', label: 'Student email' },
+    { key: 'student_name', label: 'Student name', aliases: ['student', 'learner', 'name'] },
+    { key: 'date', label: 'Date', type: 'date', required: true, aliases: ['session date', 'drive date'] },
+    { key: 'page_type', label: 'Type', aliases: ['session type', 'page type', 'category'] },
+    { key: 'start_time', label: 'Start', type: 'time', aliases: ['start time', 'from'] },
+    { key: 'finish_time', label: 'Finish', type: 'time', aliases: ['finish time', 'end', 'end time', 'to'] },
+    { key: 'total_time', label: 'Total', type: 'duration', aliases: ['total time', 'duration', 'hours'] },
+    { key: 'supervisor_name', label: 'Supervisor', aliases: ['supervisor name', 'sd name', 'supervising driver'] },
+    { key: 'supervisor_licence', label: 'Supervisor licence', aliases: ['sd licence', 'supervisor licence number'] },
+    { key: 'odometer_start', label: 'Odometer start', type: 'integer', aliases: ['odo start', 'start km'] },
+    { key: 'odometer_finish', label: 'Odometer finish', type: 'integer', aliases: ['odo finish', 'finish km', 'end km'] },
+    { key: 'signed', label: 'Signed', type: 'boolean', aliases: ['signature', 'sd signature', 'has signature'] },
+    { key: 'weather', label: 'Weather', aliases: ['conditions', 'weather conditions'] },
+    { key: 'notes', label: 'Notes', aliases: ['comments'] }
+];
+
+class RecordExporter {
+    constructor(options = {}) {
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Everything stored for the students and their sessions, as one JSON document
+     * @param {Object} data - { students, sessions, scope: { type: 'student'|'instructor', id, name } }
+     */
+    exportJson({ students, sessions, scope }) {
+        return JSON.stringify({
+            format: 'apex-export',
+            version: 1,
+            exportedAt: this.now().toISOString(),
+            scope,
+            students,
+            sessions
+        }, null, 2);
+    }
+
+    /**
+     * Students and sessions as two CSV files, in the columns RecordImporter reads
+     * @returns {{ students: string, sessions: string }}
+     */
+    exportCsv({ students, sessions }) {
+        const byId = new Map(students.map(s => [s.id, s]));
+        const studentColumns = RecordImporter.STUDENT_FIELDS.map(f => f.key);
+
+        const studentRows = [
+            [...RecordImporter.STUDENT_FIELDS.map(f => f.label), 'Assessment 1-22 completed', 'Total hours', 'Night hours', 'Eligibility', 'Earliest eligible date'],
+            ...students.map(s => [
+                ...studentColumns.map(key => this.csvValue(s[key])),
+                this.csvValue(s.assessment_1_22_completed), s.total_hours, s.night_hours, s.eligibility_status, s.earliest_eligible_date
+            ])
+        ];
+
+        const sessionRows = [
+            ['Student licence', 'Student name', 'Date', 'Type', 'Start', 'Finish', 'Total', 'Supervisor', 'Supervisor licence',
+                'Odometer start', 'Odometer finish', 'Signed', 'Weather', 'Notes', 'Source', 'Valid', 'Flags'],
+            ...sessions.map(session => {
+                const student = byId.get(session.student_id) || {};
+                const flags = [...(session.validation_errors || []), ...(session.validation_warnings || [])].map(f => f.message);
+                return [
+                    student.licence_number, `${student.first_name || ''} ${student.last_name || ''}`.trim(),
+                    session.session_date, session.page_type,
+                    (session.start_time || '').substring(0, 5), (session.finish_time || '').substring(0, 5),
+                    this.formatMinutes(session.duration_minutes),
+                    session.supervisor_name, session.licence_number,
+                    session.odometer_start, session.odometer_finish,
+                    this.csvValue(session.has_signature), session.weather, session.notes,
+                    session.source, this.csvValue(session.is_valid !== false), flags.join('; ')
+                ];
+            })
+        ];
+
+        return { students: CsvFormat.stringify(studentRows), sessions: CsvFormat.stringify(sessionRows) };
+    }
+
+    /**
+     * Save text as a file in the browser
+     */
+    static download(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    csvValue(value) {
+        if (typeof value === 'boolean') return value ? 'yes' : 'no';
+        return value;
+    }
+
+    formatMinutes(minutes) {
+        if (minutes === null || minutes === undefined) return '';
+        return `${Math.floor(minutes / 60)}:${String(Math.round(minutes % 60)).padStart(2, '0')}`;
+    }
+}
+
+const RecordTransferModule = { CsvFormat, RecordImporter, RecordExporter };
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecordTransferModule;
+}
+if (typeof window !== 'undefined') {
+    window.CsvFormat = CsvFormat;
+    window.RecordImporter = RecordImporter;
+    window.RecordExporter = RecordExporter;
+}
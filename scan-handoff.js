@@ -0,0 +1,243 @@
+/**
+ * APEX Scan Handoff Module
+ * Version: 1.0.0
+ *
+ * Message protocol between the logbook scanner window and the main app.
+ * The app opens the scanner for one student with a random channel id; every
+ * message carries the protocol name, version and channel, and is only
+ * accepted from an allowed origin (the app's own by default) and from the
+ * window the handoff was opened with. Scanned pages arrive tied to that
+ * student and are compared with the sessions already recorded before
+ * anything is saved.
+ *
+ *   scanner -> app  SCANNER_READY   { studentId }
+ *   app -> scanner  SCAN_SESSION    { student: { id, name } }
+ *   scanner -> app  SCAN_RESULT     { studentId, scanResults, crossPageIssues }
+ *   app -> scanner  SCAN_RECEIVED   { sessionCount }  or  SCAN_REJECTED { reason }
+ *
+ * Usage:
+ *   // Main app
+ *   const handoff = new ScanHandoff();
+ *   const channel = handoff.newChannel();
+ *   const scanner = window.open(handoff.scannerUrl('logbook-scanner.html', channel, student.id));
+ *   window.addEventListener('message', event => {
+ *       const result = handoff.receive(event, { source: scanner, channel, types: ['SCAN_RESULT'] });
+ *       if (!result.ok) return console.warn(result.reason);
+ *       const preview = handoff.mergePreview(result.message.scanResults, existingSessions, { studentId: student.id });
+ *   });
+ *
+ *   // Scanner
+ *   handoff.send(window.opener, handoff.message('SCAN_RESULT', channel, { studentId, scanResults }));
+ */
+
+class ScanHandoff {
+    constructor(options = {}) {
+        const here = typeof window !== 'undefined' && window.location ? window.location.origin : null;
+        this.origin = options.origin || here;
+        this.allowedOrigins = options.allowedOrigins || [this.origin];
+        this.now = options.now || (() => new Date());
+
+        // Bounds on what a scanner may send - a logbook has far fewer pages than this
+        this.limits = {
+            maxPages: options.maxPages || 60,
+            maxEntriesPerPage: options.maxEntriesPerPage || 40
+        };
+    }
+
+    /**
+     * Random channel id tying a scanner window to one handoff
+     */
+    newChannel() {
+        const bytes = new Uint8Array(16);
+        globalThis.crypto.getRandomValues(bytes);
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Scanner URL for a handoff - only ids, never the student's name
+     */
+    scannerUrl(path, channel, studentId) {
+        const params = new URLSearchParams({ handoff: channel, student: studentId });
+        return `${path}?${params.toString()}`;
+    }
+
+    /**
+     * Channel and student from the scanner's own URL, or null if it wasn't opened for a handoff
+     */
+    static fromLocation(search) {
+        const params = new URLSearchParams(search);
+        const channel = params.get('handoff');
+        const studentId = params.get('student');
+        return channel && studentId ? { channel, studentId } : null;
+    }
+
+    message(type, channel, body = {}) {
+        return {
+            ...body,
+            protocol: ScanHandoff.PROTOCOL,
+            version: ScanHandoff.VERSION,
+            type,
+            channel,
+            sentAt: this.now().toISOString()
+        };
+    }
+
+    /**
+     * Post to another window - always to a named origin, never '*'
+     */
+    send(target, message, targetOrigin = this.origin) {
+        if (!target || target.closed) throw new Error('The other APEX window has been closed');
+        target.postMessage(message, targetOrigin);
+    }
+
+    /**
+     * Check a MessageEvent against the protocol
+     * @param {MessageEvent} event
+     * @param {{ source: Window, channel: string, types: string[] }} expected
+     * @returns {{ ok: boolean, message?: Object, reason?: string }}
+     */
+    receive(event, expected = {}) {
+        const data = event.data;
+        const reject = reason => ({ ok: false, reason });
+
+        if (!this.allowedOrigins.includes(event.origin)) return reject(`Message from ${event.origin} ignored`);
+        if (!data || typeof data !== 'object' || data.protocol !== ScanHandoff.PROTOCOL) return reject('Not a scan handoff message');
+        if (expected.source && event.source !== expected.source) return reject('Message from an unexpected window');
+        if (data.version !== ScanHandoff.VERSION) {
+            return reject(`Scanner protocol version ${data.version} is not supported (expected ${ScanHandoff.VERSION}) - reload both windows`);
+        }
+        if (!ScanHandoff.TYPES.includes(data.type) || (expected.types && !expected.types.includes(data.type))) {
+            return reject(`Unexpected ${data.type} message`);
+        }
+        if (expected.channel && data.channel !== expected.channel) return reject('Message for a different scan');
+
+        if (data.type === 'SCAN_RESULT') {
+            const problem = this.checkResult(data);
+            if (problem) return reject(problem);
+        }
+        return { ok: true, message: data };
+    }
+
+    /**
+     * Shape checks on a SCAN_RESULT before any of it is used
+     */
+    checkResult(data) {
+        if (typeof data.studentId !== 'string' || !data.studentId) return 'Scan is not tied to a student';
+        if (!Array.isArray(data.scanResults) || data.scanResults.length === 0) return 'Scan has no pages';
+        if (data.scanResults.length > this.limits.maxPages) return `Scan has more than ${this.limits.maxPages} pages`;
+
+        for (const page of data.scanResults) {
+            if (!page || !ScanHandoff.PAGE_TYPES.includes(page.pageType)) return 'Scan has a page of unknown type';
+            if (!Array.isArray(page.entries)) return 'Scan has a page without entries';
+            if (page.entries.length > this.limits.maxEntriesPerPage) return `A page has more than ${this.limits.maxEntriesPerPage} entries`;
+        }
+        return null;
+    }
+
+    /**
+     * Compare scanned pages with the sessions already recorded for the student
+     * @param {ScanResult[]} scanResults - Validated pages from the scanner
+     * @param {Object[]} existingSessions - logbook_sessions rows for the student
+     * @param {Object} context - LogbookScanner.toSessionRecords() context: { studentId, userId, createdBy }
+     * @returns {{ rows: Object[], newCount: number, duplicateCount: number, overlapCount: number, invalidCount: number }}
+     */
+    mergePreview(scanResults, existingSessions = [], context = {}) {
+        const Scanner = ScanHandoff.resolveScanner();
+        const records = Scanner.toSessionRecords(scanResults, { ...context, source: 'scan' });
+        const existing = existingSessions.filter(s => s.student_id === undefined || s.student_id === context.studentId);
+
+        const rows = records.map(record => {
+            const duplicate = existing.find(s => this.sameSession(s, record));
+            if (duplicate) {
+                return { record, status: 'duplicate', existing: duplicate, include: false, message: `Already recorded (${this.describe(duplicate)})` };
+            }
+
+            const overlap = existing.find(s => this.overlaps(s, record));
+            if (overlap) {
+                return { record, status: 'overlap', existing: overlap, include: false, message: `Overlaps ${this.describe(overlap)} already recorded` };
+            }
+
+            if (record.is_valid === false) {
+                const reason = (record.validation_errors[0] || {}).message || 'Failed validation';
+                return { record, status: 'invalid', existing: null, include: true, message: `Saved but not counted: ${reason}` };
+            }
+            return { record, status: 'new', existing: null, include: true, message: 'New session' };
+        });
+
+        const count = status => rows.filter(row => row.status === status).length;
+        return {
+            rows,
+            newCount: count('new'),
+            duplicateCount: count('duplicate'),
+            overlapCount: count('overlap'),
+            invalidCount: count('invalid')
+        };
+    }
+
+    /**
+     * Same logbook line: same type and date, and the same times (or the same duration when times are missing)
+     */
+    sameSession(a, b) {
+        if (a.page_type !== b.page_type || !a.session_date || a.session_date !== b.session_date) return false;
+        const start = this.minutes(a.start_time);
+        const otherStart = this.minutes(b.start_time);
+        if (start === null || otherStart === null) {
+            return start === otherStart && (a.duration_minutes || 0) === (b.duration_minutes || 0);
+        }
+        return start === otherStart && this.minutes(a.finish_time) === this.minutes(b.finish_time);
+    }
+
+    overlaps(a, b) {
+        if (!a.session_date || a.session_date !== b.session_date) return false;
+        const [aStart, aFinish] = this.span(a);
+        const [bStart, bFinish] = this.span(b);
+        if (aStart === null || bStart === null) return false;
+        return aStart < bFinish && bStart < aFinish;
+    }
+
+    // ---------- helpers ----------
+
+    span(session) {
+        const start = this.minutes(session.start_time);
+        let finish = this.minutes(session.finish_time);
+        if (start === null || finish === null) return [null, null];
+        if (finish < start) finish += 24 * 60;
+        return [start, finish];
+    }
+
+    minutes(time) {
+        const match = typeof time === 'string' && time.match(/^(\d{1,2}):(\d{2})/);
+        return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+    }
+
+    describe(session) {
+        const start = (session.start_time || '').substring(0, 5);
+        const finish = (session.finish_time || '').substring(0, 5);
+        return `${session.session_date}${start ? ` ${start}` : ''}${finish ? `-${finish}` : ''}`;
+    }
+
+    static resolveScanner() {
+        if (typeof globalThis !== 'undefined' && globalThis.LogbookScanner) return globalThis.LogbookScanner;
+        if (typeof require !== 'undefined') return require('./logbook-scanner.js');
+        throw new Error('logbook-scanner.js must be loaded before scan-handoff.js');
+    }
+}
+
+ScanHandoff.PROTOCOL = 'apex-scan-handoff';
+ScanHandoff.VERSION = 1;
+ScanHandoff.TYPES = ['SCANNER_READY', 'SCAN_SESSION', 'SCAN_RESULT', 'SCAN_RECEIVED', 'SCAN_REJECTED'];
+ScanHandoff.PAGE_TYPES = ['BLUE_DAY', 'RED_NIGHT', 'GREEN_ADI', 'ADI_STAMP'];
+
+// Same-tab fallback when the scanner can't open in its own window (sessionStorage keys)
+ScanHandoff.STORAGE_KEYS = {
+    pending: 'apexScanHandoff',
+    result: 'apexScanHandoffResult'
+};
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScanHandoff;
+}
+if (typeof window !== 'undefined') {
+    window.ScanHandoff = ScanHandoff;
+}
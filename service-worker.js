@@ -1,18 +1,44 @@
 // APEX P1 Eligibility System - Service Worker
-// Version: 1.0.0
+// Version: 1.29.0
+//
+// Bump VERSION whenever a file in APP_SHELL changes. The new worker caches
+// the new files alongside the old ones, waits until the user accepts the
+// "new version" prompt, then takes over and clears the old caches.
 
-const CACHE_NAME = 'apex-v1';
-const STATIC_CACHE = 'apex-static-v1';
-const DYNAMIC_CACHE = 'apex-dynamic-v1';
+// Shared IndexedDB queue for offline writes (see offline-queue.js)
+importScripts('/offline-queue.js');
 
-// Static assets to cache immediately
-const STATIC_ASSETS = [
+const VERSION = '1.29.0';
+const STATIC_CACHE = `apex-static-${VERSION}`;
+const DYNAMIC_CACHE = `apex-dynamic-${VERSION}`;
+
+// Our own files - served from this version's cache so pages and modules always match
+const APP_SHELL = [
   '/',
-  '/app.html',
-  '/manifest.json',
+  '/index.html',
+  '/logbook-scanner.html',
   '/privacy-policy.html',
   '/terms.html',
-  // External CDN resources
+  '/manifest.json',
+  '/eligibility-rules.js',
+  '/eligibility-report.js',
+  '/eligibility-forecast.js',
+  '/cbta-tracker.js',
+  '/record-transfer.js',
+  '/lesson-schedule.js',
+  '/sun-times.js',
+  '/extraction-schema.js',
+  '/supervisor-registry.js',
+  '/image-preprocessor.js',
+  '/logbook-extractors.js',
+  '/logbook-scanner.js',
+  '/scan-handoff.js',
+  '/offline-queue.js',
+  '/batch-scanner.js'
+];
+
+// External CDN resources - cached when available, refreshed in the background
+const CDN_ASSETS = [
   'https://cdn.tailwindcss.com',
   'https://code.iconify.design/iconify-icon/1.0.7/iconify-icon.min.js',
   'https://fonts.googleapis.com/css2?family=Manrope:wght@400;500;600;700;800&family=JetBrains+Mono:wght@500;700&display=swap',
@@ -20,36 +46,42 @@ const STATIC_ASSETS = [
   'https://cdn.jsdelivr.net/npm/tesseract.js@5/dist/tesseract.min.js'
 ];
 
-// Install event - cache static assets
+const STATIC_ASSETS = [...APP_SHELL, ...CDN_ASSETS];
+
+// Install event - cache static assets one by one so a single failure
+// (usually a CDN hiccup) doesn't abort the whole install
 self.addEventListener('install', (event) => {
-  console.log('[SW] Installing service worker...');
+  console.log(`[SW] Installing service worker ${VERSION}...`);
   
   event.waitUntil(
     caches.open(STATIC_CACHE)
-      .then((cache) => {
-        console.log('[SW] Caching static assets');
-        return cache.addAll(STATIC_ASSETS);
-      })
-      .then(() => {
-        console.log('[SW] Static assets cached successfully');
-        return self.skipWaiting();
-      })
-      .catch((error) => {
-        console.error('[SW] Failed to cache static assets:', error);
+      .then((cache) => Promise.allSettled(
+        STATIC_ASSETS.map((asset) => cache.add(new Request(asset, { cache: 'reload' })))
+      ))
+      .then((results) => {
+        const failed = results
+          .map((result, i) => (result.status === 'rejected' ? STATIC_ASSETS[i] : null))
+          .filter(Boolean);
+        
+        if (failed.length > 0) {
+          console.warn('[SW] Could not cache:', failed);
+        }
+        console.log(`[SW] Cached ${results.length - failed.length} of ${results.length} static assets`);
+        // No skipWaiting() here - the page asks the user first (see message handler)
       })
   );
 });
 
-// Activate event - clean up old caches
+// Activate event - clean up caches from previous versions
 self.addEventListener('activate', (event) => {
-  console.log('[SW] Activating service worker...');
+  console.log(`[SW] Activating service worker ${VERSION}...`);
   
   event.waitUntil(
     caches.keys()
       .then((cacheNames) => {
         return Promise.all(
           cacheNames
-            .filter((name) => name !== STATIC_CACHE && name !== DYNAMIC_CACHE)
+            .filter((name) => name.startsWith('apex-') && name !== STATIC_CACHE && name !== DYNAMIC_CACHE)
             .map((name) => {
               console.log('[SW] Deleting old cache:', name);
               return caches.delete(name);
@@ -63,6 +95,22 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+// Messages from pages - replies go back on the MessageChannel port the page sent
+self.addEventListener('message', (event) => {
+  const reply = (message) => event.ports[0] && event.ports[0].postMessage(message);
+  
+  switch (event.data && event.data.type) {
+    case 'GET_VERSION':
+      reply({ version: VERSION });
+      break;
+    case 'SKIP_WAITING':
+      // User accepted the update prompt
+      reply({ version: VERSION, activating: true });
+      self.skipWaiting();
+      break;
+  }
+});
+
 // Fetch event - serve from cache with network fallback
 self.addEventListener('fetch', (event) => {
   const { request } = event;
@@ -83,18 +131,29 @@ self.addEventListener('fetch', (event) => {
     event.respondWith(
       fetch(request)
         .catch(() => {
-          // Return offline indicator for API requests
+          // Return offline indicator for API requests (as an error, so clients don't treat it as data)
           return new Response(
             JSON.stringify({ error: 'offline', message: 'You are offline' }),
-            { headers: { 'Content-Type': 'application/json' } }
+            { status: 503, headers: { 'Content-Type': 'application/json' } }
           );
         })
     );
     return;
   }
   
-  // For static assets - cache first, then network
-  if (STATIC_ASSETS.some(asset => request.url.includes(asset)) || 
+  // App shell - this version's cached copy, network only if it failed to precache
+  if (url.origin === self.location.origin && APP_SHELL.includes(url.pathname)) {
+    event.respondWith(
+      caches.open(STATIC_CACHE)
+        .then((cache) => cache.match(request, { ignoreSearch: true }))
+        .then((cachedResponse) => cachedResponse || fetch(request))
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+  
+  // For other static assets - cache first, then network
+  if (CDN_ASSETS.some(asset => request.url.includes(asset)) || 
       request.url.includes('.html') || 
       request.url.includes('.css') || 
       request.url.includes('.js')) {
@@ -129,7 +188,7 @@ self.addEventListener('fetch', (event) => {
             .catch(() => {
               // Return offline page for navigation requests
               if (request.mode === 'navigate') {
-                return caches.match('/app.html');
+                return caches.match('/index.html');
               }
               return new Response('Offline', { status: 503 });
             });
@@ -176,7 +235,7 @@ self.addEventListener('push', (event) => {
     badge: '/icons/badge-72.png',
     vibrate: [100, 50, 100],
     data: {
-      url: data.url || '/app.html'
+      url: data.url || '/index.html'
     },
     actions: [
       { action: 'open', title: 'Open' },
@@ -200,13 +259,13 @@ self.addEventListener('notificationclick', (event) => {
       .then((clientList) => {
         // Focus existing window if available
         for (const client of clientList) {
-          if (client.url.includes('/app.html') && 'focus' in client) {
+          if (new URL(client.url).origin === self.location.origin && 'focus' in client) {
             return client.focus();
           }
         }
         // Open new window
         if (clients.openWindow) {
-          return clients.openWindow(event.notification.data.url || '/app.html');
+          return clients.openWindow(event.notification.data.url || '/index.html');
         }
       })
   );
@@ -216,15 +275,56 @@ self.addEventListener('notificationclick', (event) => {
 self.addEventListener('sync', (event) => {
   console.log('[SW] Background sync:', event.tag);
   
-  if (event.tag === 'sync-students') {
-    event.waitUntil(syncStudentData());
+  if (event.tag === 'sync-pending-changes') {
+    event.waitUntil(syncPendingChanges());
   }
 });
 
-async function syncStudentData() {
-  // Get pending changes from IndexedDB and sync with server
-  console.log('[SW] Syncing student data...');
-  // Implementation would go here
+async function syncPendingChanges() {
+  // Clerk tokens last minutes, so an open page is asked for a fresh one first; without
+  // a page the saved token is only used while it is still valid
+  console.log('[SW] Syncing pending changes...');
+  
+  const queue = new OfflineQueue();
+  const session = await queue.loadSession();
+  if (!session) {
+    console.log('[SW] No saved session - changes will sync when the app is next opened');
+    return;
+  }
+  
+  const token = await requestFreshToken();
+  if (token) await queue.saveSession(token);
+  
+  const result = await queue.replay();
+  console.log('[SW] Sync result:', result);
+  
+  // Let open pages refresh their data and pending indicator
+  const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clientList.forEach((client) => client.postMessage({ type: 'OFFLINE_QUEUE_SYNCED', result }));
+  
+  // Still offline - throwing makes the browser retry the sync later
+  if (result.remaining > 0 && !result.skipped) {
+    throw new Error('Pending changes remain');
+  }
+}
+
+// Ask each open page for a current Supabase token - null if none answers in time
+async function requestFreshToken() {
+  const clientList = await self.clients.matchAll({ type: 'window' });
+  
+  for (const client of clientList) {
+    const token = await new Promise((resolve) => {
+      const channel = new MessageChannel();
+      const timer = setTimeout(() => resolve(null), 5000);
+      channel.port1.onmessage = (event) => {
+        clearTimeout(timer);
+        resolve((event.data && event.data.token) || null);
+      };
+      client.postMessage({ type: 'GET_AUTH_TOKEN' }, [channel.port2]);
+    });
+    if (token) return token;
+  }
+  return null;
 }
 
 // Periodic background sync (if supported)
@@ -236,7 +336,8 @@ self.addEventListener('periodicsync', (event) => {
 
 async function updateCachedData() {
   console.log('[SW] Updating cached data...');
-  // Refresh critical cached data
+  // Anything a one-off sync missed goes out here
+  await syncPendingChanges();
 }
 
 console.log('[SW] Service worker loaded');
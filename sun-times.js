@@ -0,0 +1,160 @@
+/**
+ * APEX Sun Times Module
+ * Version: 1.0.0
+ *
+ * Offline sunrise/sunset calculator for Canberra (ACT), including daylight
+ * saving. Used to check whether a logged session was actually driven in
+ * daylight or at night, and to split sessions that span dusk or dawn.
+ *
+ * Usage:
+ *   const sun = new SunTimes();
+ *   const { sunrise, sunset } = sun.getSunTimes(new Date(2025, 5, 21));
+ *   const split = sun.splitSession(new Date(2025, 5, 21), 16 * 60 + 30, 18 * 60);
+ *   console.log(sun.formatMinutes(sunset), split.nightMinutes);
+ */
+
+class SunTimes {
+    constructor(options = {}) {
+        // Canberra by default
+        this.latitude = options.latitude ?? -35.2809;
+        this.longitude = options.longitude ?? 149.1300;
+
+        // AEST is UTC+10; AEDT (daylight saving) is UTC+11
+        this.standardOffsetMinutes = options.standardOffsetMinutes ?? 600;
+        this.daylightSavingOffsetMinutes = options.daylightSavingOffsetMinutes ?? 660;
+        this.observesDaylightSaving = options.observesDaylightSaving ?? true;
+
+        // Sun is "set" when its upper limb passes the horizon (refraction included)
+        this.zenith = 90.833;
+    }
+
+    /**
+     * Sunrise and sunset for a local calendar date
+     * @param {Date} date - Any time on the local date
+     * @returns {{ sunrise: number, sunset: number, isDaylightSaving: boolean, utcOffsetMinutes: number }}
+     *          sunrise/sunset are minutes since local midnight
+     */
+    getSunTimes(date) {
+        const year = date.getFullYear();
+        const month = date.getMonth();
+        const day = date.getDate();
+
+        const isDaylightSaving = this.isDaylightSaving(year, month, day);
+        const utcOffsetMinutes = isDaylightSaving ? this.daylightSavingOffsetMinutes : this.standardOffsetMinutes;
+
+        // NOAA general solar position approximation
+        const dayOfYear = Math.round((Date.UTC(year, month, day) - Date.UTC(year, 0, 0)) / 86400000);
+        const daysInYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365;
+        const gamma = (2 * Math.PI / daysInYear) * (dayOfYear - 1);
+
+        const equationOfTime = 229.18 * (
+            0.000075 +
+            0.001868 * Math.cos(gamma) -
+            0.032077 * Math.sin(gamma) -
+            0.014615 * Math.cos(2 * gamma) -
+            0.040849 * Math.sin(2 * gamma)
+        );
+
+        const declination =
+            0.006918 -
+            0.399912 * Math.cos(gamma) +
+            0.070257 * Math.sin(gamma) -
+            0.006758 * Math.cos(2 * gamma) +
+            0.000907 * Math.sin(2 * gamma) -
+            0.002697 * Math.cos(3 * gamma) +
+            0.00148 * Math.sin(3 * gamma);
+
+        const lat = this.toRadians(this.latitude);
+        const cosHourAngle =
+            Math.cos(this.toRadians(this.zenith)) / (Math.cos(lat) * Math.cos(declination)) -
+            Math.tan(lat) * Math.tan(declination);
+        const hourAngle = this.toDegrees(Math.acos(Math.min(1, Math.max(-1, cosHourAngle))));
+
+        const sunriseUtc = 720 - 4 * (this.longitude + hourAngle) - equationOfTime;
+        const sunsetUtc = 720 - 4 * (this.longitude - hourAngle) - equationOfTime;
+
+        return {
+            sunrise: Math.round(sunriseUtc + utcOffsetMinutes),
+            sunset: Math.round(sunsetUtc + utcOffsetMinutes),
+            isDaylightSaving,
+            utcOffsetMinutes
+        };
+    }
+
+    /**
+     * ACT daylight saving: first Sunday in October to first Sunday in April
+     */
+    isDaylightSaving(year, month, day) {
+        if (!this.observesDaylightSaving) return false;
+
+        const firstSunday = (y, m) => {
+            const first = new Date(y, m, 1).getDay();
+            return 1 + ((7 - first) % 7);
+        };
+
+        if (month > 3 && month < 9) return false; // May - September
+        if (month > 9 || month < 3) return true;  // November - March
+        if (month === 9) return day >= firstSunday(year, 9); // October
+        return day < firstSunday(year, 3);                   // April
+    }
+
+    /**
+     * Split a session into daylight and night minutes
+     * @param {Date} date - Local date the session started
+     * @param {number} startMinutes - Minutes since midnight
+     * @param {number} finishMinutes - Minutes since midnight (may exceed 1440 for overnight sessions)
+     * @returns {{ dayMinutes: number, nightMinutes: number, sunrise: number, sunset: number, spansTwilight: boolean }}
+     */
+    splitSession(date, startMinutes, finishMinutes) {
+        if (finishMinutes < startMinutes) finishMinutes += 24 * 60;
+
+        const today = this.getSunTimes(date);
+        const tomorrow = this.getSunTimes(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1));
+
+        // Daylight windows on the start day and (for overnight sessions) the next day
+        const daylight = [
+            [today.sunrise, today.sunset],
+            [tomorrow.sunrise + 24 * 60, tomorrow.sunset + 24 * 60]
+        ];
+
+        let dayMinutes = 0;
+        for (const [rise, set] of daylight) {
+            dayMinutes += Math.max(0, Math.min(finishMinutes, set) - Math.max(startMinutes, rise));
+        }
+
+        const total = finishMinutes - startMinutes;
+        const nightMinutes = total - dayMinutes;
+
+        return {
+            dayMinutes,
+            nightMinutes,
+            sunrise: today.sunrise,
+            sunset: today.sunset,
+            spansTwilight: dayMinutes > 0 && nightMinutes > 0
+        };
+    }
+
+    /**
+     * Format minutes since midnight as HH:MM
+     */
+    formatMinutes(minutes) {
+        const m = ((Math.round(minutes) % 1440) + 1440) % 1440;
+        return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+    }
+
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    toDegrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+}
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SunTimes;
+}
+if (typeof window !== 'undefined') {
+    window.SunTimes = SunTimes;
+}
@@ -9,6 +9,8 @@
 -- Enable necessary extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+CREATE EXTENSION IF NOT EXISTS "btree_gist";  -- Lesson clash constraints
+CREATE EXTENSION IF NOT EXISTS "pg_cron";     -- Nightly HPT expiry refresh
 
 -- ============================================
 -- CUSTOM TYPES
@@ -19,6 +21,11 @@ CREATE TYPE eligibility_status AS ENUM ('ELIGIBLE', 'NOT_ELIGIBLE', 'PENDING_HOU
 CREATE TYPE user_role AS ENUM ('student', 'instructor', 'admin');
 CREATE TYPE consent_method AS ENUM ('digital', 'physical', 'both');
 CREATE TYPE audit_action AS ENUM ('CREATE', 'READ', 'UPDATE', 'DELETE', 'LOGIN', 'LOGOUT', 'EXPORT', 'CONSENT', 'ACCESS_REQUEST');
+CREATE TYPE logbook_page_type AS ENUM ('BLUE_DAY', 'RED_NIGHT', 'GREEN_ADI', 'ADI_STAMP');
+CREATE TYPE session_source AS ENUM ('scan', 'manual', 'import', 'lesson');
+CREATE TYPE lesson_status AS ENUM ('booked', 'completed', 'cancelled', 'no_show');
+CREATE TYPE supervisor_kind AS ENUM ('supervisor', 'adi');
+CREATE TYPE cbta_outcome AS ENUM ('COMPETENT', 'NOT_YET_COMPETENT');
 
 -- ============================================
 -- USERS TABLE (synced with Clerk)
@@ -32,6 +39,7 @@ CREATE TABLE users (
     phone TEXT,
     adi_number TEXT,
     role user_role DEFAULT 'instructor',
+    calendar_token_hash TEXT UNIQUE,  -- Lesson calendar feed; see reset_calendar_feed_token()
     mfa_enabled BOOLEAN DEFAULT FALSE,
     mfa_verified_at TIMESTAMPTZ,
     is_active BOOLEAN DEFAULT TRUE,
@@ -45,6 +53,38 @@ CREATE INDEX idx_users_clerk_id ON users(clerk_user_id);
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
 
+-- ============================================
+-- RULE SETS (licence requirements per jurisdiction and effective date)
+-- ============================================
+
+-- A learner is held to the set in force when their licence was issued; see rule_set_for()
+-- rules has the same shape as EligibilityRules.DEFAULT_RULE_SET.rules in eligibility-rules.js
+CREATE TABLE rule_sets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    jurisdiction TEXT NOT NULL,   -- 'ACT', 'NSW', ...
+    effective_from DATE NOT NULL, -- Applies to learner licences issued on or after this date
+    name TEXT NOT NULL,
+    rules JSONB NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    created_by UUID REFERENCES users(id),
+    UNIQUE (jurisdiction, effective_from)
+);
+
+INSERT INTO rule_sets (jurisdiction, effective_from, name, rules) VALUES (
+    'ACT',
+    '2000-01-01',
+    'ACT learner requirements',
+    '{
+        "pathways": {
+            "P1_RED": { "name": "P1 Red", "hoursRequired": 100, "nightHoursRequired": 10, "tenureMonths": 12 },
+            "P2_GREEN": { "name": "P2 Green", "hoursRequired": 50, "nightHoursRequired": 5, "tenureMonths": 6 }
+        },
+        "credits": { "adiMultiplier": 3, "adiBonusCapHours": 10, "saferDriverCourse": 20, "vruCourse": 10, "firstAidCourse": 5 },
+        "general": { "under25Age": 25, "minimumAge": 17, "licenceValidityYears": 5, "hptValidityMonths": 12 }
+    }'
+);
+
 -- ============================================
 -- STUDENTS TABLE
 -- ============================================
@@ -52,6 +92,7 @@ CREATE INDEX idx_users_role ON users(role);
 CREATE TABLE students (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    student_user_id UUID REFERENCES users(id) ON DELETE SET NULL,  -- The student's own account, set by redeem_student_link_code()
     
     -- Personal Information (encrypted at rest by Supabase)
     first_name TEXT NOT NULL,
@@ -67,15 +108,22 @@ CREATE TABLE students (
     
     -- Licence Information
     licence_number TEXT,
+    licence_jurisdiction TEXT NOT NULL DEFAULT 'ACT',
     licence_expiry_date DATE,
     licence_issue_date DATE,
     age_at_issue INTEGER,
     pathway pathway_type,
+    rule_set_id UUID REFERENCES rule_sets(id) ON DELETE RESTRICT,  -- Set by calculate_eligibility()
     
     -- Driving Hours
-    supervised_hours DECIMAL(6,2) DEFAULT 0,
-    professional_hours DECIMAL(6,2) DEFAULT 0,
+    supervised_hours DECIMAL(6,2) DEFAULT 0,    -- Supervised day hours (night logged separately)
+    professional_hours DECIMAL(6,2) DEFAULT 0,  -- Actual ADI hours (credited 3x for the first 10)
     night_hours DECIMAL(6,2) DEFAULT 0,
+    -- Opening balances: hours carried forward from before sessions were logged here.
+    -- Each total above is its opening balance plus the valid sessions of that type
+    opening_supervised_hours DECIMAL(6,2) NOT NULL DEFAULT 0,
+    opening_professional_hours DECIMAL(6,2) NOT NULL DEFAULT 0,
+    opening_night_hours DECIMAL(6,2) NOT NULL DEFAULT 0,
     
     -- Credits
     safer_driver_credit BOOLEAN DEFAULT FALSE,
@@ -90,10 +138,13 @@ CREATE TABLE students (
     -- Assessments
     hpt_completed BOOLEAN DEFAULT FALSE,
     hpt_date DATE,
+    -- Stored as capitals without spaces or dashes (calculate_eligibility()); format mirrors EligibilityRules.HPT_CERTIFICATE_PATTERN
+    hpt_certificate_number TEXT CHECK (hpt_certificate_number ~ '^(?=.*[0-9])[A-Z0-9]{6,12}$'),
+    hpt_expiry_date DATE,                             -- hpt_date + the rule set's hptValidityMonths
     cbta_completed BOOLEAN DEFAULT FALSE,
     cbta_date DATE,
-    assessment_1_22_completed BOOLEAN DEFAULT FALSE,
-    assessment_1_22_date DATE,
+    assessment_1_22_completed BOOLEAN DEFAULT FALSE,  -- Set from cbta_task_attempts by calculate_eligibility()
+    assessment_1_22_date DATE,                        -- When the last of the 22 tasks was signed off
     
     -- Eligibility
     tenure_start_date DATE,
@@ -125,6 +176,7 @@ CREATE TABLE students (
     marked_for_deletion BOOLEAN DEFAULT FALSE,
     deletion_requested_at TIMESTAMPTZ,
     deletion_requested_by TEXT,
+    anonymised_at TIMESTAMPTZ,  -- Set by anonymise_student(); personal details have been removed
     
     -- OCR Data
     ocr_raw_data JSONB,
@@ -141,20 +193,43 @@ CREATE TABLE students (
 );
 
 CREATE INDEX idx_students_user_id ON students(user_id);
+CREATE UNIQUE INDEX idx_students_student_user ON students(student_user_id) WHERE student_user_id IS NOT NULL;
 CREATE INDEX idx_students_name ON students(last_name, first_name);
 CREATE INDEX idx_students_licence ON students(licence_number);
 CREATE INDEX idx_students_eligibility ON students(eligibility_status);
 CREATE INDEX idx_students_created ON students(created_at DESC);
 CREATE INDEX idx_students_consent ON students(consent_given);
+CREATE INDEX idx_students_rule_set ON students(rule_set_id);
+
+-- ============================================
+-- STUDENT LINK CODES (Student account <-> student record)
+-- ============================================
+
+-- Issued by the instructor, redeemed once by the student after sign-in; only a hash is stored
+CREATE TABLE student_link_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    code_hash TEXT UNIQUE NOT NULL,
+    issued_by UUID REFERENCES users(id),
+    expires_at TIMESTAMPTZ NOT NULL,
+    redeemed_at TIMESTAMPTZ,
+    redeemed_by UUID REFERENCES users(id),
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_link_codes_student ON student_link_codes(student_id);
 
 -- ============================================
 -- CBT&A DOCUMENTS TABLE
 -- ============================================
 
+-- Scanned learner licences and CBT&A records; the original is in the student-documents bucket at file_path
 CREATE TABLE cbta_documents (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_type TEXT NOT NULL DEFAULT 'CBTA' CHECK (document_type IN ('LICENCE', 'CBTA')),
     file_name TEXT NOT NULL,
     file_path TEXT NOT NULL,
     file_size INTEGER,
@@ -170,18 +245,184 @@ CREATE TABLE cbta_documents (
 CREATE INDEX idx_cbta_student ON cbta_documents(student_id);
 CREATE INDEX idx_cbta_user ON cbta_documents(user_id);
 
+-- ============================================
+-- LESSON SCHEDULING (Instructor)
+-- ============================================
+
+-- Weekly working hours, in Canberra time
+CREATE TABLE instructor_availability (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),  -- 0 = Sunday, as Date#getDay()
+    start_time TIME NOT NULL,
+    finish_time TIME NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (start_time < finish_time)
+);
+
+CREATE INDEX idx_availability_user ON instructor_availability(user_id, weekday);
+
+-- Holidays and one-off blocks
+CREATE TABLE instructor_time_off (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (starts_at < ends_at)
+);
+
+CREATE INDEX idx_time_off_user ON instructor_time_off(user_id, starts_at);
+
+CREATE TABLE lessons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,  -- Instructor
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    lesson_type TEXT NOT NULL DEFAULT 'lesson' CHECK (lesson_type IN ('lesson', 'final_drive')),
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    pickup_location TEXT,
+    status lesson_status NOT NULL DEFAULT 'booked',
+    odometer_start INTEGER,
+    odometer_finish INTEGER,
+    notes TEXT,
+    sequence INTEGER NOT NULL DEFAULT 0,  -- iCalendar SEQUENCE, bumped on every change
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    created_by UUID REFERENCES users(id),
+    CHECK (starts_at < ends_at),
+    
+    -- Neither the instructor nor the student can be in two lessons at once
+    CONSTRAINT lessons_instructor_clash EXCLUDE USING gist (
+        user_id WITH =, tstzrange(starts_at, ends_at) WITH &&
+    ) WHERE (status <> 'cancelled'),
+    CONSTRAINT lessons_student_clash EXCLUDE USING gist (
+        student_id WITH =, tstzrange(starts_at, ends_at) WITH &&
+    ) WHERE (status <> 'cancelled')
+);
+
+CREATE INDEX idx_lessons_user ON lessons(user_id, starts_at);
+CREATE INDEX idx_lessons_student ON lessons(student_id, starts_at);
+
+-- ============================================
+-- STUDENT SUPERVISORS (registry of who signs each student's logbook)
+-- ============================================
+
+-- One row per supervising driver or ADI, built from the student's sessions as
+-- they are saved (link_session_supervisor()). Variants hold every normalised
+-- spelling merged into the identity, so later sessions match without fuzzing.
+CREATE TABLE student_supervisors (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    kind supervisor_kind NOT NULL,
+    name TEXT,
+    licence_number TEXT,
+    name_variants TEXT[] NOT NULL DEFAULT '{}',
+    licence_variants TEXT[] NOT NULL DEFAULT '{}',
+    adi_user_id UUID REFERENCES users(id) ON DELETE SET NULL,  -- The APEX instructor an ADI number belongs to
+    confirmed_at TIMESTAMPTZ,
+    confirmed_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_supervisors_student ON student_supervisors(student_id, kind);
+
+-- ============================================
+-- CBT&A TASK ATTEMPTS (competency sign-offs for tasks 1-22)
+-- ============================================
+
+-- One row per time an ADI assesses a task. A task is signed off by its first
+-- competent attempt; calculate_eligibility() marks Assessment 1-22 complete
+-- once all 22 are signed off. A mistaken sign-off is corrected by deleting it.
+CREATE TABLE cbta_task_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    task_number SMALLINT NOT NULL CHECK (task_number BETWEEN 1 AND 22),
+    outcome cbta_outcome NOT NULL,
+    assessed_on DATE NOT NULL,
+    adi_name TEXT,
+    adi_number TEXT,
+    notes TEXT,
+    recorded_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    -- Only an ADI can sign a task off
+    CHECK (outcome <> 'COMPETENT' OR adi_number IS NOT NULL)
+);
+
+CREATE INDEX idx_cbta_attempts_student ON cbta_task_attempts(student_id, task_number);
+
+-- ============================================
+-- LOGBOOK SESSIONS TABLE (one row per logbook entry)
+-- ============================================
+
+CREATE TABLE logbook_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- Session details (as written in the logbook)
+    session_date DATE,
+    page_type logbook_page_type NOT NULL,
+    supervisor_name TEXT,
+    licence_number TEXT,
+    start_time TIME,
+    finish_time TIME,
+    duration_minutes INTEGER,
+    night_minutes INTEGER,            -- Minutes after sunset/before sunrise (Canberra)
+    odometer_start INTEGER,
+    odometer_finish INTEGER,
+    weather TEXT,
+    has_signature BOOLEAN,
+    
+    -- Source & extraction
+    source session_source NOT NULL DEFAULT 'scan',
+    lesson_id UUID UNIQUE REFERENCES lessons(id) ON DELETE SET NULL,  -- The completed lesson this was recorded from
+    supervisor_id UUID REFERENCES student_supervisors(id) ON DELETE SET NULL,
+    page_number INTEGER,
+    row_number INTEGER,
+    confidence TEXT CHECK (confidence IN ('high', 'medium', 'low', 'manual')),
+    raw_entry JSONB, -- As extracted, before any human corrections
+    
+    -- Human corrections made at review: [{ rowNumber, field, extractedValue, previousValue, correctedValue, correctedAt, correctedBy }]
+    corrections JSONB DEFAULT '[]'::jsonb,
+    
+    -- Validation flags
+    is_valid BOOLEAN DEFAULT TRUE,
+    validation_errors JSONB DEFAULT '[]'::jsonb,
+    validation_warnings JSONB DEFAULT '[]'::jsonb,
+    
+    -- Metadata
+    notes TEXT,
+    scanned_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    created_by UUID REFERENCES users(id)
+);
+
+CREATE INDEX idx_sessions_student ON logbook_sessions(student_id, session_date);
+CREATE INDEX idx_sessions_user ON logbook_sessions(user_id);
+CREATE INDEX idx_sessions_page_type ON logbook_sessions(page_type);
+CREATE INDEX idx_sessions_supervisor ON logbook_sessions(supervisor_id);
+
 -- ============================================
 -- AUDIT LOG TABLE (Privacy Act Compliance)
 -- ============================================
 
+-- Append-only and hash-chained: rows are written by append_audit_entry() only,
+-- and each entry_hash covers the previous entry's hash (see verify_audit_chain()).
+-- Personal details never enter the chained payload (audit_personal_columns()); student_name
+-- sits outside the hash so anonymisation and deletion can clear it
 CREATE TABLE audit_log (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    user_id UUID REFERENCES users(id),
+    chain_position BIGINT UNIQUE NOT NULL,
+    user_id UUID,  -- No foreign keys here: entries outlive deleted users and students
     clerk_user_id TEXT,
     user_email TEXT,
     action audit_action NOT NULL,
     table_name TEXT,
     record_id UUID,
+    student_id UUID,
     student_name TEXT,
     old_values JSONB,
     new_values JSONB,
@@ -189,36 +430,48 @@ CREATE TABLE audit_log (
     ip_address INET,
     user_agent TEXT,
     session_id TEXT,
-    created_at TIMESTAMPTZ DEFAULT NOW()
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    prev_hash TEXT,
+    entry_hash TEXT NOT NULL
 );
 
 CREATE INDEX idx_audit_user ON audit_log(user_id);
 CREATE INDEX idx_audit_action ON audit_log(action);
 CREATE INDEX idx_audit_table ON audit_log(table_name);
 CREATE INDEX idx_audit_record ON audit_log(record_id);
+CREATE INDEX idx_audit_student ON audit_log(student_id);
 CREATE INDEX idx_audit_created ON audit_log(created_at DESC);
 
 -- ============================================
--- DATA ACCESS REQUESTS (Privacy Act APP 12)
+-- DATA ACCESS REQUESTS (Privacy Act APP 12 access, APP 13 correction, deletion)
 -- ============================================
 
+-- Kept after the student is deleted - the request is the record of how it was handled
 CREATE TABLE data_access_requests (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    student_id UUID REFERENCES students(id),
+    student_id UUID REFERENCES students(id) ON DELETE SET NULL,
     requestor_name TEXT NOT NULL,
     requestor_email TEXT NOT NULL,
     requestor_phone TEXT,
     request_type TEXT NOT NULL CHECK (request_type IN ('access', 'correction', 'deletion')),
     request_details TEXT,
+    requested_corrections JSONB,  -- Correction requests: { column: corrected value }
     identity_verified BOOLEAN DEFAULT FALSE,
     identity_verification_method TEXT,
+    identity_verified_at TIMESTAMPTZ,
+    identity_verified_by UUID REFERENCES users(id),
     status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'approved', 'denied', 'completed')),
+    fulfilment TEXT CHECK (fulfilment IN ('exported', 'corrected', 'anonymised', 'deleted')),
     handled_by UUID REFERENCES users(id),
     handled_at TIMESTAMPTZ,
     response_notes TEXT,
     response_sent_at TIMESTAMPTZ,
-    due_date DATE,
-    created_at TIMESTAMPTZ DEFAULT NOW()
+    received_at DATE NOT NULL DEFAULT CURRENT_DATE,
+    due_date DATE,  -- 30 days after received_at unless set (APP 12.4 / 13.5)
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    -- Nothing is released, changed or removed for an unverified requestor
+    CHECK ((status NOT IN ('approved', 'completed') AND fulfilment IS NULL) OR identity_verified)
 );
 
 CREATE INDEX idx_dar_status ON data_access_requests(status);
@@ -272,6 +525,41 @@ CREATE TABLE consent_log (
 
 CREATE INDEX idx_consent_student ON consent_log(student_id);
 
+-- ============================================
+-- REGISTRATION KEYS (Self-registration)
+-- ============================================
+
+-- Only a SHA-256 hash of each key is stored; the key itself is shown once when issued
+CREATE TABLE registration_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    key_hash TEXT UNIQUE NOT NULL,
+    key_hint TEXT NOT NULL,
+    role user_role NOT NULL,
+    issued_by UUID REFERENCES users(id),
+    note TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    max_uses INTEGER NOT NULL DEFAULT 1 CHECK (max_uses > 0),
+    use_count INTEGER NOT NULL DEFAULT 0,
+    revoked_at TIMESTAMPTZ,
+    revoked_by UUID REFERENCES users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT registration_keys_uses_check CHECK (use_count <= max_uses)
+);
+
+CREATE INDEX idx_reg_keys_created ON registration_keys(created_at DESC);
+
+CREATE TABLE registration_key_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    key_id UUID NOT NULL REFERENCES registration_keys(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    previous_role user_role,
+    granted_role user_role NOT NULL,
+    redeemed_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (key_id, user_id)
+);
+
+CREATE INDEX idx_reg_redemptions_key ON registration_key_redemptions(key_id);
+
 -- ============================================
 -- ROW LEVEL SECURITY POLICIES
 -- ============================================
@@ -279,10 +567,20 @@ CREATE INDEX idx_consent_student ON consent_log(student_id);
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE students ENABLE ROW LEVEL SECURITY;
 ALTER TABLE cbta_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE logbook_sessions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
 ALTER TABLE data_access_requests ENABLE ROW LEVEL SECURITY;
 ALTER TABLE breach_log ENABLE ROW LEVEL SECURITY;
 ALTER TABLE consent_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE student_link_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE registration_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE registration_key_redemptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE instructor_availability ENABLE ROW LEVEL SECURITY;
+ALTER TABLE instructor_time_off ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lessons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE student_supervisors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cbta_task_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rule_sets ENABLE ROW LEVEL SECURITY;
 
 -- Users policies
 CREATE POLICY "Users can view own profile" ON users
@@ -291,6 +589,13 @@ CREATE POLICY "Users can view own profile" ON users
 CREATE POLICY "Users can update own profile" ON users
     FOR UPDATE USING (clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub');
 
+-- New accounts start as students; other roles come from redeem_registration_key()
+CREATE POLICY "Users can create own student profile" ON users
+    FOR INSERT WITH CHECK (
+        clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        AND role = 'student'
+    );
+
 CREATE POLICY "Admins can view all users" ON users
     FOR SELECT USING (
         EXISTS (
@@ -309,6 +614,14 @@ CREATE POLICY "Instructors can view own students" ON students
         )
     );
 
+CREATE POLICY "Students can view own record" ON students
+    FOR SELECT USING (
+        student_user_id IN (
+            SELECT id FROM users 
+            WHERE clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
 CREATE POLICY "Admins can view all students" ON students
     FOR SELECT USING (
         EXISTS (
@@ -385,6 +698,99 @@ CREATE POLICY "Users can delete own documents" ON cbta_documents
         )
     );
 
+-- Admins clear originals from storage when fulfilling deletion requests
+CREATE POLICY "Admins can view all documents" ON cbta_documents
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users u 
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub' 
+            AND u.role = 'admin'
+        )
+    );
+
+-- Original document images - private bucket, stored at <users.id>/<student id>/<file>
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('student-documents', 'student-documents', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Users can read own document originals" ON storage.objects
+    FOR SELECT USING (
+        bucket_id = 'student-documents'
+        AND (storage.foldername(name))[1] IN (
+            SELECT id::text FROM users 
+            WHERE clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Users can upload own document originals" ON storage.objects
+    FOR INSERT WITH CHECK (
+        bucket_id = 'student-documents'
+        AND (storage.foldername(name))[1] IN (
+            SELECT id::text FROM users 
+            WHERE clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Users can delete own document originals" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'student-documents'
+        AND (storage.foldername(name))[1] IN (
+            SELECT id::text FROM users 
+            WHERE clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Admins can manage document originals" ON storage.objects
+    FOR ALL USING (
+        bucket_id = 'student-documents'
+        AND EXISTS (
+            SELECT 1 FROM users u 
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub' 
+            AND u.role = 'admin'
+        )
+    );
+
+-- Logbook sessions policies (follow ownership of the student record)
+CREATE POLICY "Instructors can manage sessions for own students" ON logbook_sessions
+    FOR ALL USING (
+        student_id IN (
+            SELECT s.id FROM students s
+            JOIN users u ON s.user_id = u.id
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Students can view own sessions" ON logbook_sessions
+    FOR SELECT USING (
+        student_id IN (
+            SELECT s.id FROM students s
+            JOIN users u ON s.student_user_id = u.id
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+-- Students may add hand-entered day and night sessions; scans, ADI lessons and edits stay with
+-- the instructor. check_student_session() re-checks what the client sends
+CREATE POLICY "Students can log own manual sessions" ON logbook_sessions
+    FOR INSERT WITH CHECK (
+        source = 'manual'
+        AND page_type IN ('BLUE_DAY', 'RED_NIGHT')
+        AND student_id IN (
+            SELECT s.id FROM students s
+            JOIN users u ON s.student_user_id = u.id
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Admins can manage all sessions" ON logbook_sessions
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM users u 
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub' 
+            AND u.role = 'admin'
+        )
+    );
+
 -- Audit log policies
 CREATE POLICY "Users can view own audit logs" ON audit_log
     FOR SELECT USING (
@@ -403,8 +809,7 @@ CREATE POLICY "Admins can view all audit logs" ON audit_log
         )
     );
 
-CREATE POLICY "System can insert audit logs" ON audit_log
-    FOR INSERT WITH CHECK (true);
+-- No INSERT/UPDATE/DELETE policies: entries come from triggers and log_audit_event() only
 
 -- Data access requests - Admins only
 CREATE POLICY "Admins can manage access requests" ON data_access_requests
@@ -445,106 +850,388 @@ CREATE POLICY "Users can insert consent for own students" ON consent_log
         )
     );
 
--- ============================================
--- FUNCTIONS
--- ============================================
+-- Student link codes - the issuing instructor can see and revoke theirs; redemption goes through redeem_student_link_code()
+CREATE POLICY "Instructors can view link codes for own students" ON student_link_codes
+    FOR SELECT USING (
+        student_id IN (
+            SELECT s.id FROM students s
+            JOIN users u ON s.user_id = u.id
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
 
--- Function to calculate student eligibility
-CREATE OR REPLACE FUNCTION calculate_eligibility()
-RETURNS TRIGGER AS $$
-DECLARE
-    v_age_at_issue INTEGER;
-    v_is_under_25 BOOLEAN;
-    v_hours_req INTEGER;
-    v_night_req INTEGER;
-    v_tenure_req INTEGER;
-    v_total_hrs DECIMAL;
-    v_prof_credit DECIMAL;
-    v_issue_date DATE;
-BEGIN
-    -- Calculate issue date from expiry (5-year licence in ACT)
-    IF NEW.licence_expiry_date IS NOT NULL THEN
-        v_issue_date := NEW.licence_expiry_date - INTERVAL '5 years';
-        NEW.licence_issue_date := v_issue_date;
-    END IF;
-    
-    -- Calculate age at issue
-    IF NEW.date_of_birth IS NOT NULL AND NEW.licence_issue_date IS NOT NULL THEN
-        v_age_at_issue := EXTRACT(YEAR FROM AGE(NEW.licence_issue_date, NEW.date_of_birth));
-        NEW.age_at_issue := v_age_at_issue;
-        
-        v_is_under_25 := v_age_at_issue < 25;
-        NEW.pathway := CASE WHEN v_is_under_25 THEN 'P1_RED' ELSE 'P2_GREEN' END;
-        
-        v_hours_req := CASE WHEN v_is_under_25 THEN 100 ELSE 50 END;
-        v_night_req := CASE WHEN v_is_under_25 THEN 10 ELSE 5 END;
-        v_tenure_req := CASE WHEN v_is_under_25 THEN 12 ELSE 6 END;
-        
-        NEW.hours_required := v_hours_req;
-        NEW.tenure_months_required := v_tenure_req;
-    END IF;
-    
-    -- Calculate total hours
-    v_prof_credit := LEAST(COALESCE(NEW.professional_hours, 0), 10) * 3;
-    v_total_hrs := v_prof_credit +
-                 COALESCE(NEW.supervised_hours, 0) +
-                 CASE WHEN NEW.safer_driver_credit THEN 20 ELSE 0 END +
-                 CASE WHEN NEW.vru_credit THEN 10 ELSE 0 END +
-                 CASE WHEN NEW.first_aid_credit THEN 5 ELSE 0 END;
-    
-    NEW.total_hours := v_total_hrs;
-    NEW.hours_remaining := GREATEST(COALESCE(NEW.hours_required, 100) - v_total_hrs, 0);
-    
-    -- Calculate earliest eligible date
-    IF NEW.tenure_start_date IS NOT NULL THEN
-        NEW.earliest_eligible_date := NEW.tenure_start_date + 
-            (COALESCE(NEW.tenure_months_required, 12) || ' months')::INTERVAL;
-    END IF;
-    
-    -- Set default night requirement
-    IF v_night_req IS NULL THEN v_night_req := 10; END IF;
-    
-    -- Determine eligibility status
-    IF v_total_hrs >= COALESCE(NEW.hours_required, 100) 
-       AND COALESCE(NEW.night_hours, 0) >= v_night_req
-       AND NEW.cbta_completed = TRUE 
-       AND NEW.assessment_1_22_completed = TRUE
-       AND (NEW.earliest_eligible_date IS NULL OR CURRENT_DATE >= NEW.earliest_eligible_date)
-       AND COALESCE(NEW.age_at_issue, 0) >= 17 THEN
-        NEW.eligibility_status := 'ELIGIBLE';
-    ELSIF v_total_hrs < COALESCE(NEW.hours_required, 100) THEN
-        NEW.eligibility_status := 'PENDING_HOURS';
-    ELSIF NEW.earliest_eligible_date IS NOT NULL AND CURRENT_DATE < NEW.earliest_eligible_date THEN
-        NEW.eligibility_status := 'PENDING_TENURE';
-    ELSIF NEW.cbta_completed = FALSE OR NEW.assessment_1_22_completed = FALSE THEN
-        NEW.eligibility_status := 'PENDING_ASSESSMENTS';
-    ELSE
-        NEW.eligibility_status := 'NOT_ELIGIBLE';
-    END IF;
-    
-    -- Set data retention date (5 years after final drive or creation)
-    IF NEW.final_drive_completed_at IS NOT NULL THEN
-        NEW.data_retention_until := (NEW.final_drive_completed_at + INTERVAL '5 years')::DATE;
-    ELSIF NEW.data_retention_until IS NULL THEN
-        NEW.data_retention_until := (CURRENT_DATE + INTERVAL '5 years')::DATE;
-    END IF;
-    
-    NEW.updated_at := NOW();
-    
-    RETURN NEW;
-END;
-$$ LANGUAGE plpgsql;
+CREATE POLICY "Instructors can revoke link codes for own students" ON student_link_codes
+    FOR UPDATE USING (
+        student_id IN (
+            SELECT s.id FROM students s
+            JOIN users u ON s.user_id = u.id
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
 
-CREATE TRIGGER trigger_calculate_eligibility
-    BEFORE INSERT OR UPDATE ON students
-    FOR EACH ROW
-    EXECUTE FUNCTION calculate_eligibility();
+-- Registration keys - Admins only; issuing and redeeming go through the functions below
+CREATE POLICY "Admins can view registration keys" ON registration_keys
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users u 
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub' 
+            AND u.role = 'admin'
+        )
+    );
 
--- Function to update updated_at timestamp
-CREATE OR REPLACE FUNCTION update_updated_at()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at := NOW();
+CREATE POLICY "Admins can revoke registration keys" ON registration_keys
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM users u 
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub' 
+            AND u.role = 'admin'
+        )
+    );
+
+CREATE POLICY "Admins can view key redemptions" ON registration_key_redemptions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users u 
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub' 
+            AND u.role = 'admin'
+        )
+    );
+
+-- Scheduling - instructors manage their own calendar
+CREATE POLICY "Instructors can manage own availability" ON instructor_availability
+    FOR ALL USING (
+        user_id IN (
+            SELECT id FROM users 
+            WHERE clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Instructors can manage own time off" ON instructor_time_off
+    FOR ALL USING (
+        user_id IN (
+            SELECT id FROM users 
+            WHERE clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Instructors can manage own lessons" ON lessons
+    FOR ALL USING (
+        user_id IN (
+            SELECT id FROM users 
+            WHERE clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    ) WITH CHECK (
+        student_id IN (
+            SELECT s.id FROM students s
+            JOIN users u ON s.user_id = u.id
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Students can view own lessons" ON lessons
+    FOR SELECT USING (
+        student_id IN (
+            SELECT s.id FROM students s
+            JOIN users u ON s.student_user_id = u.id
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Admins can view all lessons" ON lessons
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM users u 
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub' 
+            AND u.role = 'admin'
+        )
+    );
+
+-- Supervisor registry follows ownership of the student record; rows are created by link_session_supervisor()
+CREATE POLICY "Instructors can manage supervisors for own students" ON student_supervisors
+    FOR ALL USING (
+        student_id IN (
+            SELECT s.id FROM students s
+            JOIN users u ON s.user_id = u.id
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Students can view own supervisors" ON student_supervisors
+    FOR SELECT USING (
+        student_id IN (
+            SELECT s.id FROM students s
+            JOIN users u ON s.student_user_id = u.id
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Admins can manage all supervisors" ON student_supervisors
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM users u 
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub' 
+            AND u.role = 'admin'
+        )
+    );
+
+-- CBT&A sign-offs follow ownership of the student record
+CREATE POLICY "Instructors can manage CBT&A tasks for own students" ON cbta_task_attempts
+    FOR ALL USING (
+        student_id IN (
+            SELECT s.id FROM students s
+            JOIN users u ON s.user_id = u.id
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Students can view own CBT&A tasks" ON cbta_task_attempts
+    FOR SELECT USING (
+        student_id IN (
+            SELECT s.id FROM students s
+            JOIN users u ON s.student_user_id = u.id
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+        )
+    );
+
+CREATE POLICY "Admins can manage all CBT&A tasks" ON cbta_task_attempts
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM users u 
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub' 
+            AND u.role = 'admin'
+        )
+    );
+
+-- Rule sets are public requirements - everyone signed in reads them, admins maintain them
+CREATE POLICY "Authenticated users can view rule sets" ON rule_sets
+    FOR SELECT USING (
+        current_setting('request.jwt.claims', true)::json->>'sub' IS NOT NULL
+    );
+
+CREATE POLICY "Admins can manage rule sets" ON rule_sets
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM users u 
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub' 
+            AND u.role = 'admin'
+        )
+    );
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- Rule set for a learner licence: the latest one in force on the issue date
+-- Without an issue date, each set's own licence validity derives one from the expiry date.
+-- Licences older than every set fall back to the earliest. Mirrors EligibilityRules.selectRuleSet().
+CREATE OR REPLACE FUNCTION rule_set_for(
+    p_jurisdiction TEXT,
+    p_issue_date DATE,
+    p_expiry_date DATE
+)
+RETURNS rule_sets AS $$
+DECLARE
+    v_set rule_sets;
+BEGIN
+    SELECT * INTO v_set FROM rule_sets r
+    WHERE r.jurisdiction = p_jurisdiction
+      AND r.effective_from <= COALESCE(
+          p_issue_date,
+          (p_expiry_date - make_interval(years => (r.rules->'general'->>'licenceValidityYears')::INT))::DATE,
+          CURRENT_DATE
+      )
+    ORDER BY r.effective_from DESC
+    LIMIT 1;
+    
+    IF NOT FOUND THEN
+        SELECT * INTO v_set FROM rule_sets
+        WHERE jurisdiction = p_jurisdiction
+        ORDER BY effective_from
+        LIMIT 1;
+    END IF;
+    
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'No rule set for jurisdiction %', p_jurisdiction USING ERRCODE = '23503';
+    END IF;
+    
+    RETURN v_set;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function to calculate student eligibility
+-- Mirrors EligibilityRules.evaluate() in eligibility-rules.js - keep the two in step
+-- Requirements come from the learner's rule set, chosen by jurisdiction and licence issue date
+CREATE OR REPLACE FUNCTION calculate_eligibility()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_set rule_sets;
+    v_pathway JSONB;
+    v_credits JSONB;
+    v_general JSONB;
+    v_age_at_issue INTEGER;
+    v_is_under_25 BOOLEAN;
+    v_night_req DECIMAL;
+    v_total_hrs DECIMAL;
+    v_prof_credit DECIMAL;
+    v_adi_cap DECIMAL;
+    v_minimum_age_date DATE;
+    v_hours_met BOOLEAN;
+    v_tenure_met BOOLEAN;
+    v_age_met BOOLEAN;
+    v_assessments_met BOOLEAN;
+    v_tasks_signed_off INTEGER;
+    v_tasks_completed_on DATE;
+    v_hpt_met BOOLEAN;
+BEGIN
+    -- An expiry date wins over a stored issue date, which is derived from it below
+    NEW.licence_jurisdiction := upper(trim(COALESCE(NEW.licence_jurisdiction, 'ACT')));
+    SELECT * INTO v_set FROM rule_set_for(
+        NEW.licence_jurisdiction,
+        CASE WHEN NEW.licence_expiry_date IS NULL THEN NEW.licence_issue_date END,
+        NEW.licence_expiry_date
+    );
+    NEW.rule_set_id := v_set.id;
+    v_credits := v_set.rules->'credits';
+    v_general := v_set.rules->'general';
+    
+    -- Calculate issue date from expiry (licence validity comes from the rule set)
+    IF NEW.licence_expiry_date IS NOT NULL THEN
+        NEW.licence_issue_date := NEW.licence_expiry_date -
+            make_interval(years => (v_general->>'licenceValidityYears')::INT);
+    END IF;
+    
+    -- Age at issue decides the pathway; P1 Red requirements until it is known
+    v_pathway := v_set.rules->'pathways'->'P1_RED';
+    IF NEW.date_of_birth IS NOT NULL AND NEW.licence_issue_date IS NOT NULL THEN
+        v_age_at_issue := EXTRACT(YEAR FROM AGE(NEW.licence_issue_date, NEW.date_of_birth));
+        NEW.age_at_issue := v_age_at_issue;
+        
+        v_is_under_25 := v_age_at_issue < (v_general->>'under25Age')::INT;
+        NEW.pathway := CASE WHEN v_is_under_25 THEN 'P1_RED' ELSE 'P2_GREEN' END;
+        v_pathway := v_set.rules->'pathways'->(NEW.pathway::TEXT);
+    END IF;
+    
+    NEW.hours_required := (v_pathway->>'hoursRequired')::INT;
+    NEW.tenure_months_required := (v_pathway->>'tenureMonths')::INT;
+    v_night_req := (v_pathway->>'nightHoursRequired')::DECIMAL;
+    
+    -- Calculate total hours (ADI: the first capped actual hours count multiplied, the remainder 1x)
+    v_adi_cap := (v_credits->>'adiBonusCapHours')::DECIMAL;
+    v_prof_credit := LEAST(COALESCE(NEW.professional_hours, 0), v_adi_cap) * (v_credits->>'adiMultiplier')::DECIMAL +
+                     GREATEST(COALESCE(NEW.professional_hours, 0) - v_adi_cap, 0);
+    v_total_hrs := v_prof_credit +
+                 COALESCE(NEW.supervised_hours, 0) +
+                 COALESCE(NEW.night_hours, 0) +
+                 CASE WHEN NEW.safer_driver_credit THEN (v_credits->>'saferDriverCourse')::DECIMAL ELSE 0 END +
+                 CASE WHEN NEW.vru_credit THEN (v_credits->>'vruCourse')::DECIMAL ELSE 0 END +
+                 CASE WHEN NEW.first_aid_credit THEN (v_credits->>'firstAidCourse')::DECIMAL ELSE 0 END;
+    
+    NEW.total_hours := v_total_hrs;
+    NEW.hours_remaining := GREATEST(NEW.hours_required - v_total_hrs, 0);
+    
+    -- Tenure runs from the licence issue date unless explicitly set
+    IF NEW.tenure_start_date IS NULL THEN
+        NEW.tenure_start_date := NEW.licence_issue_date;
+    END IF;
+    
+    -- Calculate earliest eligible date (later of tenure completion and minimum age)
+    IF NEW.date_of_birth IS NOT NULL THEN
+        v_minimum_age_date := (NEW.date_of_birth + make_interval(years => (v_general->>'minimumAge')::INT))::DATE;
+    END IF;
+    IF NEW.tenure_start_date IS NOT NULL THEN
+        NEW.earliest_eligible_date := NEW.tenure_start_date + 
+            (NEW.tenure_months_required || ' months')::INTERVAL;
+    END IF;
+    IF v_minimum_age_date IS NOT NULL THEN
+        NEW.earliest_eligible_date := GREATEST(NEW.earliest_eligible_date, v_minimum_age_date);
+    END IF;
+    
+    v_hours_met := v_total_hrs >= NEW.hours_required
+                   AND COALESCE(NEW.night_hours, 0) >= v_night_req;
+    v_tenure_met := NEW.tenure_start_date IS NOT NULL
+                    AND CURRENT_DATE >= NEW.tenure_start_date +
+                        (NEW.tenure_months_required || ' months')::INTERVAL;
+    v_age_met := v_minimum_age_date IS NOT NULL AND CURRENT_DATE >= v_minimum_age_date;
+    
+    -- HPT: a well-formed certificate, still valid on the final drive date (today until one is booked)
+    NEW.hpt_certificate_number := NULLIF(upper(regexp_replace(NEW.hpt_certificate_number, '[[:space:]-]', '', 'g')), '');
+    NEW.hpt_expiry_date := NEW.hpt_date + make_interval(months => (v_general->>'hptValidityMonths')::INT);
+    v_hpt_met := COALESCE(NEW.hpt_completed, FALSE)
+                 AND NEW.hpt_certificate_number IS NOT NULL
+                 AND COALESCE(NEW.hpt_date <= CURRENT_DATE
+                              AND COALESCE(NEW.final_drive_date, CURRENT_DATE) < NEW.hpt_expiry_date, FALSE);
+    
+    -- Assessment 1-22 comes from the task sign-offs, never a flag (22 mirrors CbtaTracker.TASK_COUNT)
+    SELECT COUNT(*), MAX(signed_off_on) INTO v_tasks_signed_off, v_tasks_completed_on
+    FROM (
+        SELECT task_number, MIN(assessed_on) AS signed_off_on FROM cbta_task_attempts
+        WHERE student_id = NEW.id AND outcome = 'COMPETENT'
+        GROUP BY task_number
+    ) signed_off;
+    NEW.assessment_1_22_completed := v_tasks_signed_off = 22;
+    NEW.assessment_1_22_date := CASE WHEN NEW.assessment_1_22_completed THEN v_tasks_completed_on END;
+    
+    v_assessments_met := v_hpt_met
+                         AND COALESCE(NEW.cbta_completed, FALSE)
+                         AND COALESCE(NEW.assessment_1_22_completed, FALSE);
+    
+    -- Determine eligibility status
+    IF v_hours_met AND v_tenure_met AND v_age_met AND v_assessments_met THEN
+        NEW.eligibility_status := 'ELIGIBLE';
+    ELSIF NOT v_hours_met THEN
+        NEW.eligibility_status := 'PENDING_HOURS';
+    ELSIF NOT v_tenure_met THEN
+        NEW.eligibility_status := 'PENDING_TENURE';
+    ELSIF NOT v_assessments_met THEN
+        NEW.eligibility_status := 'PENDING_ASSESSMENTS';
+    ELSE
+        NEW.eligibility_status := 'NOT_ELIGIBLE';
+    END IF;
+    
+    -- Set data retention date (5 years after final drive or creation)
+    IF NEW.final_drive_completed_at IS NOT NULL THEN
+        NEW.data_retention_until := (NEW.final_drive_completed_at + INTERVAL '5 years')::DATE;
+    ELSIF NEW.data_retention_until IS NULL THEN
+        NEW.data_retention_until := (CURRENT_DATE + INTERVAL '5 years')::DATE;
+    END IF;
+    
+    NEW.updated_at := NOW();
+    
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_calculate_eligibility
+    BEFORE INSERT OR UPDATE ON students
+    FOR EACH ROW
+    EXECUTE FUNCTION calculate_eligibility();
+
+-- calculate_eligibility() only runs when a row is written, so an HPT that expires while nothing
+-- changes would leave the old status in place. Re-run it for every row last written before its
+-- HPT expired; owner-only, scheduled below
+CREATE OR REPLACE FUNCTION refresh_expired_hpt()
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    UPDATE students SET hpt_expiry_date = hpt_expiry_date
+    WHERE hpt_expiry_date <= CURRENT_DATE
+    AND updated_at < hpt_expiry_date;
+    
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION refresh_expired_hpt() FROM PUBLIC, anon, authenticated;
+
+SELECT cron.schedule('apex-hpt-expiry', '5 0 * * *', 'SELECT refresh_expired_hpt()');
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at := NOW();
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql;
@@ -553,6 +1240,1261 @@ CREATE TRIGGER update_users_timestamp
     BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
+CREATE TRIGGER update_sessions_timestamp
+    BEFORE UPDATE ON logbook_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Roles only change through an admin or a redeemed registration key
+-- API requests run as anon/authenticated; SECURITY DEFINER functions run as their owner
+CREATE OR REPLACE FUNCTION protect_user_role()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.role IS DISTINCT FROM OLD.role
+        AND current_user IN ('anon', 'authenticated')
+        AND NOT EXISTS (
+            SELECT 1 FROM users u
+            WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+            AND u.role = 'admin'
+        )
+    THEN
+        RAISE EXCEPTION 'Only an admin can change a user''s role' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_protect_user_role
+    BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION protect_user_role();
+
+-- Student accounts are only linked through redeem_student_link_code(); instructors may unlink
+CREATE OR REPLACE FUNCTION protect_student_link()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.student_user_id IS NOT NULL
+        AND NEW.student_user_id IS DISTINCT FROM (CASE WHEN TG_OP = 'UPDATE' THEN OLD.student_user_id END)
+        AND current_user IN ('anon', 'authenticated')
+    THEN
+        RAISE EXCEPTION 'Student accounts are linked with a link code' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_protect_student_link
+    BEFORE INSERT OR UPDATE OF student_user_id ON students
+    FOR EACH ROW EXECUTE FUNCTION protect_student_link();
+
+-- Issue a link code for one of the caller's students - returns the plain code
+-- Any earlier unused code for the student stops working
+CREATE OR REPLACE FUNCTION create_student_link_code(
+    p_student_id UUID,
+    p_expires_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '14 days'
+)
+RETURNS TEXT AS $$
+DECLARE
+    v_user_id UUID;
+    v_alphabet TEXT := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    v_bytes BYTEA := gen_random_bytes(8);
+    v_code TEXT := '';
+BEGIN
+    SELECT u.id INTO v_user_id FROM users u
+    JOIN students s ON s.id = p_student_id
+    WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+    AND (s.user_id = u.id OR u.role = 'admin');
+    
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'Only the student''s instructor can invite them' USING ERRCODE = '42501';
+    END IF;
+    
+    FOR i IN 0..7 LOOP
+        v_code := v_code || substr(v_alphabet, (get_byte(v_bytes, i) & 31) + 1, 1);
+    END LOOP;
+    v_code := substr(v_code, 1, 4) || '-' || substr(v_code, 5, 4);
+    
+    UPDATE student_link_codes SET revoked_at = NOW()
+    WHERE student_id = p_student_id AND redeemed_at IS NULL AND revoked_at IS NULL;
+    
+    INSERT INTO student_link_codes (student_id, code_hash, issued_by, expires_at)
+    VALUES (p_student_id, encode(digest(v_code, 'sha256'), 'hex'), v_user_id, p_expires_at);
+    
+    RETURN v_code;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Link the signed-in student account to the record a code was issued for
+CREATE OR REPLACE FUNCTION redeem_student_link_code(p_code TEXT)
+RETURNS students AS $$
+DECLARE
+    v_user users%ROWTYPE;
+    v_code student_link_codes%ROWTYPE;
+    v_student students%ROWTYPE;
+BEGIN
+    SELECT * INTO v_user FROM users
+    WHERE clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub';
+    
+    IF v_user.id IS NULL OR v_user.role <> 'student' THEN
+        RAISE EXCEPTION 'Sign in with a student account to use a link code' USING ERRCODE = '42501';
+    END IF;
+    
+    SELECT * INTO v_code FROM student_link_codes
+    WHERE code_hash = encode(digest(upper(trim(p_code)), 'sha256'), 'hex')
+    FOR UPDATE;
+    
+    IF NOT FOUND OR v_code.revoked_at IS NOT NULL THEN
+        RAISE EXCEPTION 'Link code not recognised' USING ERRCODE = 'P0002';
+    ELSIF v_code.redeemed_at IS NOT NULL THEN
+        RAISE EXCEPTION 'Link code has already been used' USING ERRCODE = '22023';
+    ELSIF v_code.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'Link code has expired - ask your instructor for a new one' USING ERRCODE = '22023';
+    END IF;
+    
+    SELECT * INTO v_student FROM students WHERE id = v_code.student_id FOR UPDATE;
+    
+    IF v_student.student_user_id IS NOT NULL AND v_student.student_user_id <> v_user.id THEN
+        RAISE EXCEPTION 'This student record is already linked to another account' USING ERRCODE = '23505';
+    END IF;
+    IF EXISTS (SELECT 1 FROM students WHERE student_user_id = v_user.id AND id <> v_student.id) THEN
+        RAISE EXCEPTION 'Your account is already linked to a student record' USING ERRCODE = '23505';
+    END IF;
+    
+    UPDATE students SET student_user_id = v_user.id WHERE id = v_student.id
+    RETURNING * INTO v_student;
+    
+    UPDATE student_link_codes SET redeemed_at = NOW(), redeemed_by = v_user.id
+    WHERE id = v_code.id;
+    
+    RETURN v_student;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Issue a registration key - returns the plain key, which is never stored
+-- Format: APEX-ADI-XXXXX-XXXXX (50 bits from gen_random_bytes, no 0/O/1/I)
+CREATE OR REPLACE FUNCTION issue_registration_key(
+    p_role user_role,
+    p_max_uses INTEGER DEFAULT 1,
+    p_expires_at TIMESTAMPTZ DEFAULT NOW() + INTERVAL '30 days',
+    p_note TEXT DEFAULT NULL
+)
+RETURNS TABLE (id UUID, registration_key TEXT) AS $$
+DECLARE
+    v_admin_id UUID;
+    v_alphabet TEXT := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    v_bytes BYTEA := gen_random_bytes(10);
+    v_code TEXT := '';
+    v_prefix TEXT := 'APEX-' || CASE p_role WHEN 'instructor' THEN 'ADI' WHEN 'admin' THEN 'ADM' ELSE 'STU' END;
+    v_key TEXT;
+BEGIN
+    SELECT u.id INTO v_admin_id FROM users u
+    WHERE u.clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+    AND u.role = 'admin';
+    
+    IF v_admin_id IS NULL THEN
+        RAISE EXCEPTION 'Only an admin can issue registration keys' USING ERRCODE = '42501';
+    END IF;
+    IF p_expires_at <= NOW() THEN
+        RAISE EXCEPTION 'Expiry must be in the future' USING ERRCODE = '22023';
+    END IF;
+    
+    -- 32 symbols, so the low 5 bits of each byte pick one without bias
+    FOR i IN 0..9 LOOP
+        v_code := v_code || substr(v_alphabet, (get_byte(v_bytes, i) & 31) + 1, 1);
+    END LOOP;
+    
+    v_key := v_prefix || '-' || substr(v_code, 1, 5) || '-' || substr(v_code, 6, 5);
+    
+    RETURN QUERY
+    INSERT INTO registration_keys (key_hash, key_hint, role, issued_by, note, expires_at, max_uses)
+    VALUES (
+        encode(digest(v_key, 'sha256'), 'hex'),
+        -- Prefix and the last three characters, e.g. APEX-ADI-•••••-••7KQ
+        v_prefix || '-•••••-••' || right(v_code, 3),
+        p_role, v_admin_id, NULLIF(trim(p_note), ''), p_expires_at, p_max_uses
+    )
+    RETURNING registration_keys.id, v_key;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Redeem a registration key for the signed-in user, creating their profile if needed
+-- The key row is locked so two sign-ins can't both take its last use
+CREATE OR REPLACE FUNCTION redeem_registration_key(
+    p_key TEXT,
+    p_email TEXT DEFAULT NULL,
+    p_name TEXT DEFAULT NULL
+)
+RETURNS users AS $$
+DECLARE
+    v_sub TEXT := current_setting('request.jwt.claims', true)::json->>'sub';
+    v_key registration_keys%ROWTYPE;
+    v_user users%ROWTYPE;
+BEGIN
+    IF v_sub IS NULL THEN
+        RAISE EXCEPTION 'Sign in before redeeming a registration key' USING ERRCODE = '42501';
+    END IF;
+    
+    SELECT * INTO v_key FROM registration_keys
+    WHERE key_hash = encode(digest(upper(trim(p_key)), 'sha256'), 'hex')
+    FOR UPDATE;
+    
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Registration key not recognised' USING ERRCODE = 'P0002';
+    ELSIF v_key.revoked_at IS NOT NULL THEN
+        RAISE EXCEPTION 'Registration key has been revoked' USING ERRCODE = '22023';
+    ELSIF v_key.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'Registration key has expired' USING ERRCODE = '22023';
+    END IF;
+    
+    SELECT * INTO v_user FROM users WHERE clerk_user_id = v_sub FOR UPDATE;
+    
+    -- Signing in again with a key this user already redeemed is a no-op
+    IF FOUND AND EXISTS (
+        SELECT 1 FROM registration_key_redemptions
+        WHERE key_id = v_key.id AND user_id = v_user.id
+    ) THEN
+        RETURN v_user;
+    END IF;
+    
+    IF v_key.use_count >= v_key.max_uses THEN
+        RAISE EXCEPTION 'Registration key has already been used' USING ERRCODE = '22023';
+    END IF;
+    
+    IF v_user.id IS NULL THEN
+        INSERT INTO users (clerk_user_id, email, instructor_name, role)
+        VALUES (v_sub, COALESCE(p_email, ''), COALESCE(NULLIF(trim(p_name), ''), 'User'), v_key.role)
+        RETURNING * INTO v_user;
+        
+        INSERT INTO registration_key_redemptions (key_id, user_id, previous_role, granted_role)
+        VALUES (v_key.id, v_user.id, NULL, v_key.role);
+    ELSE
+        INSERT INTO registration_key_redemptions (key_id, user_id, previous_role, granted_role)
+        VALUES (v_key.id, v_user.id, v_user.role, v_key.role);
+        
+        UPDATE users SET role = v_key.role WHERE id = v_user.id
+        RETURNING * INTO v_user;
+    END IF;
+    
+    UPDATE registration_keys SET use_count = use_count + 1 WHERE id = v_key.id;
+    
+    RETURN v_user;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Hours from a student's valid logbook sessions, by the total they count towards
+CREATE OR REPLACE FUNCTION logged_student_hours(p_student_id UUID)
+RETURNS TABLE (supervised DECIMAL, night DECIMAL, professional DECIMAL) AS $$
+    SELECT
+        COALESCE(SUM(duration_minutes) FILTER (WHERE page_type = 'BLUE_DAY'), 0) / 60.0,
+        COALESCE(SUM(duration_minutes) FILTER (WHERE page_type = 'RED_NIGHT'), 0) / 60.0,
+        COALESCE(SUM(duration_minutes) FILTER (WHERE page_type IN ('GREEN_ADI', 'ADI_STAMP')), 0) / 60.0
+    FROM logbook_sessions
+    WHERE student_id = p_student_id AND is_valid;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Function to derive a student's hour totals from their opening balances and logbook sessions
+-- The students UPDATE re-runs calculate_eligibility()
+CREATE OR REPLACE FUNCTION refresh_student_hours(p_student_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE students s SET
+        supervised_hours = s.opening_supervised_hours + l.supervised,
+        night_hours = s.opening_night_hours + l.night,
+        professional_hours = s.opening_professional_hours + l.professional
+    FROM logged_student_hours(p_student_id) l
+    WHERE s.id = p_student_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- A total typed in by hand sets the opening balance, so logging a session adds to it rather than
+-- replacing it. A total below what the sessions already add up to is raised to match them
+CREATE OR REPLACE FUNCTION balance_student_hours()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_logged RECORD;
+BEGIN
+    SELECT * INTO v_logged FROM logged_student_hours(NEW.id);
+    
+    NEW.opening_supervised_hours := GREATEST(COALESCE(NEW.supervised_hours, 0) - v_logged.supervised, 0);
+    NEW.opening_night_hours := GREATEST(COALESCE(NEW.night_hours, 0) - v_logged.night, 0);
+    NEW.opening_professional_hours := GREATEST(COALESCE(NEW.professional_hours, 0) - v_logged.professional, 0);
+    NEW.supervised_hours := NEW.opening_supervised_hours + v_logged.supervised;
+    NEW.night_hours := NEW.opening_night_hours + v_logged.night;
+    NEW.professional_hours := NEW.opening_professional_hours + v_logged.professional;
+    
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Named to fire before trigger_calculate_eligibility, which reads the totals
+CREATE TRIGGER trigger_balance_student_hours
+    BEFORE INSERT OR UPDATE OF supervised_hours, night_hours, professional_hours ON students
+    FOR EACH ROW EXECUTE FUNCTION balance_student_hours();
+
+CREATE OR REPLACE FUNCTION recalculate_student_hours()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM refresh_student_hours(COALESCE(NEW.student_id, OLD.student_id));
+    
+    -- A session moved between students must also refresh the old student
+    IF TG_OP = 'UPDATE' AND OLD.student_id <> NEW.student_id THEN
+        PERFORM refresh_student_hours(OLD.student_id);
+    END IF;
+    
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_recalculate_student_hours
+    AFTER INSERT OR UPDATE OR DELETE ON logbook_sessions
+    FOR EACH ROW EXECUTE FUNCTION recalculate_student_hours();
+
+-- A session a student logs for themselves counts only if the server agrees with it: the length
+-- comes from the times when given, and is_valid can be cleared here but never set by the client
+-- alone. Limits mirror LogbookScanner's minSessionMinutes and maxDailyHours
+CREATE OR REPLACE FUNCTION check_student_session()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_user users%ROWTYPE := current_app_user();
+    v_student students%ROWTYPE;
+    v_errors JSONB := '[]'::jsonb;
+BEGIN
+    SELECT * INTO v_student FROM students WHERE id = NEW.student_id;
+    
+    -- Instructors, admins and the server are trusted as before
+    IF v_user.id IS NULL OR v_user.id IS DISTINCT FROM v_student.student_user_id
+       OR v_user.id = v_student.user_id OR v_user.role = 'admin' THEN
+        RETURN NEW;
+    END IF;
+    
+    NEW.user_id := v_student.user_id;
+    NEW.created_by := v_user.id;
+    NEW.confidence := 'manual';
+    NEW.has_signature := FALSE;
+    NEW.lesson_id := NULL;
+    
+    IF NEW.start_time IS NOT NULL AND NEW.finish_time IS NOT NULL THEN
+        NEW.duration_minutes := (EXTRACT(EPOCH FROM NEW.finish_time - NEW.start_time) / 60)::INTEGER;
+        IF NEW.duration_minutes < 0 THEN
+            NEW.duration_minutes := NEW.duration_minutes + 24 * 60;  -- Past midnight
+        END IF;
+    END IF;
+    IF NEW.night_minutes IS NOT NULL THEN
+        NEW.night_minutes := LEAST(GREATEST(NEW.night_minutes, 0), COALESCE(NEW.duration_minutes, 0));
+    END IF;
+    
+    IF NEW.duration_minutes IS NULL OR NEW.duration_minutes < 5 OR NEW.duration_minutes > 8 * 60 THEN
+        v_errors := v_errors || jsonb_build_object('field', 'duration', 'message', 'Session length must be between 5 minutes and 8 hours');
+    END IF;
+    IF NEW.session_date IS NULL OR NEW.session_date > CURRENT_DATE THEN
+        v_errors := v_errors || jsonb_build_object('field', 'date', 'message', 'Session date is missing or in the future');
+    ELSIF NEW.session_date < v_student.licence_issue_date THEN
+        v_errors := v_errors || jsonb_build_object('field', 'date', 'message', 'Session is before the learner licence was issued');
+    END IF;
+    
+    NEW.validation_errors := COALESCE(NEW.validation_errors, '[]'::jsonb) || v_errors;
+    NEW.is_valid := COALESCE(NEW.is_valid, TRUE) AND jsonb_array_length(v_errors) = 0;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trigger_check_student_session
+    BEFORE INSERT ON logbook_sessions
+    FOR EACH ROW EXECUTE FUNCTION check_student_session();
+
+-- ============================================
+-- AUDIT TRAIL
+-- ============================================
+
+-- The signed-in user behind the current API request, if any
+CREATE OR REPLACE FUNCTION current_app_user()
+RETURNS users AS $$
+    SELECT * FROM users
+    WHERE clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub';
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Text an entry's hash is computed over - jsonb::text is canonical, times are fixed to UTC
+CREATE OR REPLACE FUNCTION audit_entry_digest(e audit_log)
+RETURNS TEXT AS $$
+    SELECT encode(digest(concat_ws('|',
+        COALESCE(e.prev_hash, ''),
+        e.chain_position::text,
+        to_char(e.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US'),
+        COALESCE(e.user_id::text, ''),
+        COALESCE(e.user_email, ''),
+        e.action::text,
+        COALESCE(e.table_name, ''),
+        COALESCE(e.record_id::text, ''),
+        COALESCE(e.student_id::text, ''),
+        COALESCE(e.old_values::text, ''),
+        COALESCE(e.new_values::text, ''),
+        COALESCE(e.changes_summary, ''),
+        COALESCE(e.ip_address::text, '')
+    ), 'sha256'), 'hex');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Append one entry to the chain; the actor and IP come from the request, never the caller
+CREATE OR REPLACE FUNCTION append_audit_entry(
+    p_action audit_action,
+    p_table_name TEXT,
+    p_record_id UUID,
+    p_student_id UUID,
+    p_old_values JSONB,
+    p_new_values JSONB,
+    p_summary TEXT,
+    p_student_name TEXT DEFAULT NULL
+)
+RETURNS audit_log AS $$
+DECLARE
+    v_user users%ROWTYPE := current_app_user();
+    v_headers JSON := current_setting('request.headers', true)::json;
+    v_last audit_log%ROWTYPE;
+    v_entry audit_log%ROWTYPE;
+BEGIN
+    -- One writer at a time so every entry links to the one before it
+    PERFORM pg_advisory_xact_lock(hashtext('audit_log_chain'));
+    
+    SELECT * INTO v_last FROM audit_log ORDER BY chain_position DESC LIMIT 1;
+    
+    v_entry.id := uuid_generate_v4();
+    v_entry.chain_position := COALESCE(v_last.chain_position, 0) + 1;
+    v_entry.prev_hash := v_last.entry_hash;
+    v_entry.created_at := clock_timestamp();
+    v_entry.user_id := v_user.id;
+    v_entry.clerk_user_id := v_user.clerk_user_id;
+    v_entry.user_email := v_user.email;
+    v_entry.action := p_action;
+    v_entry.table_name := p_table_name;
+    v_entry.record_id := p_record_id;
+    v_entry.student_id := p_student_id;
+    v_entry.student_name := COALESCE(p_student_name, (SELECT first_name || ' ' || last_name FROM students WHERE id = p_student_id));
+    v_entry.old_values := p_old_values;
+    v_entry.new_values := p_new_values;
+    v_entry.changes_summary := p_summary;
+    v_entry.ip_address := NULLIF(trim(split_part(v_headers->>'x-forwarded-for', ',', 1)), '')::inet;
+    v_entry.user_agent := v_headers->>'user-agent';
+    v_entry.entry_hash := audit_entry_digest(v_entry);
+    
+    INSERT INTO audit_log VALUES (v_entry.*);
+    RETURN v_entry;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Columns whose values are personal information - the audit log records that they changed, not what to
+CREATE OR REPLACE FUNCTION audit_personal_columns(p_table TEXT)
+RETURNS TEXT[] AS $$
+    SELECT CASE p_table
+        WHEN 'students' THEN ARRAY['first_name', 'last_name', 'date_of_birth', 'email', 'phone',
+            'address_line1', 'address_line2', 'suburb', 'postcode', 'licence_number', 'hpt_certificate_number',
+            'consent_ip_address', 'consent_user_agent', 'consent_parent_guardian', 'ocr_raw_data', 'notes',
+            'final_drive_location', 'deletion_requested_by']
+        WHEN 'logbook_sessions' THEN ARRAY['supervisor_name', 'licence_number', 'raw_entry', 'corrections', 'notes']
+        WHEN 'cbta_documents' THEN ARRAY['file_name', 'file_path', 'ocr_extracted_data']
+        WHEN 'student_supervisors' THEN ARRAY['name', 'licence_number', 'name_variants', 'licence_variants']
+        WHEN 'cbta_task_attempts' THEN ARRAY['adi_name', 'notes']
+        WHEN 'lessons' THEN ARRAY['pickup_location', 'notes']
+        WHEN 'data_access_requests' THEN ARRAY['requestor_name', 'requestor_email', 'requestor_phone',
+            'request_details', 'requested_corrections', 'response_notes']
+        ELSE '{}'::TEXT[]
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Row-level audit for tables holding student data
+-- Trigger arguments name columns whose changes alone are not worth an entry (derived or bookkeeping fields)
+CREATE OR REPLACE FUNCTION audit_row_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_old JSONB := CASE WHEN TG_OP <> 'INSERT' THEN to_jsonb(OLD) END;
+    v_new JSONB := CASE WHEN TG_OP <> 'DELETE' THEN to_jsonb(NEW) END;
+    v_row JSONB := COALESCE(v_new, v_old);
+    v_changed TEXT[];
+    v_action audit_action;
+    v_student_id UUID;
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        SELECT array_agg(key ORDER BY key) INTO v_changed
+        FROM jsonb_each(v_new)
+        WHERE v_old->key IS DISTINCT FROM value AND NOT key = ANY(COALESCE(TG_ARGV, '{}'));
+        
+        IF v_changed IS NULL THEN
+            RETURN NULL;
+        END IF;
+        
+        -- Keep only what changed
+        SELECT jsonb_object_agg(key, v_old->key), jsonb_object_agg(key, v_new->key)
+        INTO v_old, v_new
+        FROM unnest(v_changed) AS key;
+    END IF;
+    
+    -- Entries can't be changed once written, so personal details are left out from the start
+    v_old := (SELECT jsonb_object_agg(key, CASE WHEN key = ANY(audit_personal_columns(TG_TABLE_NAME)) AND value <> 'null'::jsonb
+                                                THEN '"[personal]"'::jsonb ELSE value END)
+              FROM jsonb_each(v_old));
+    v_new := (SELECT jsonb_object_agg(key, CASE WHEN key = ANY(audit_personal_columns(TG_TABLE_NAME)) AND value <> 'null'::jsonb
+                                                THEN '"[personal]"'::jsonb ELSE value END)
+              FROM jsonb_each(v_new));
+    
+    -- Anonymisation and deletion must not copy the personal data they remove into the log
+    IF current_setting('apex.audit_redact', true) = 'on' THEN
+        v_old := (SELECT jsonb_object_agg(key, '[redacted]') FROM jsonb_object_keys(v_old) AS key);
+        v_new := (SELECT jsonb_object_agg(key, '[redacted]') FROM jsonb_object_keys(v_new) AS key);
+        v_row := jsonb_build_object('id', v_row->'id', 'student_id', v_row->'student_id');
+    END IF;
+    
+    v_action := CASE TG_OP WHEN 'INSERT' THEN 'CREATE' WHEN 'UPDATE' THEN 'UPDATE' ELSE 'DELETE' END;
+    v_student_id := CASE
+        WHEN TG_TABLE_NAME = 'students' THEN (v_row->>'id')::uuid
+        WHEN v_row ? 'student_id' THEN (v_row->>'student_id')::uuid
+    END;
+    
+    PERFORM append_audit_entry(
+        v_action,
+        TG_TABLE_NAME,
+        (v_row->>'id')::uuid,
+        v_student_id,
+        v_old,
+        v_new,
+        CASE TG_OP
+            WHEN 'UPDATE' THEN 'Changed ' || array_to_string(v_changed, ', ')
+            WHEN 'INSERT' THEN 'Created ' || TG_TABLE_NAME || ' record'
+            ELSE 'Deleted ' || TG_TABLE_NAME || ' record'
+        END,
+        -- A deleted student can no longer be looked up by id
+        CASE WHEN TG_TABLE_NAME = 'students' THEN (v_row->>'first_name') || ' ' || (v_row->>'last_name') END
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER audit_students
+    AFTER INSERT OR UPDATE OR DELETE ON students
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change(
+        'updated_at', 'updated_by', 'supervised_hours', 'professional_hours', 'night_hours',
+        'total_hours', 'hours_required', 'hours_remaining', 'licence_issue_date', 'age_at_issue',
+        'pathway', 'rule_set_id', 'tenure_start_date', 'tenure_months_required', 'earliest_eligible_date',
+        'eligibility_status', 'eligibility_notes', 'assessment_1_22_completed', 'assessment_1_22_date', 'hpt_expiry_date'
+    );
+
+CREATE TRIGGER audit_logbook_sessions
+    AFTER INSERT OR UPDATE OR DELETE ON logbook_sessions
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change('updated_at');
+
+CREATE TRIGGER audit_cbta_documents
+    AFTER INSERT OR UPDATE OR DELETE ON cbta_documents
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+CREATE TRIGGER audit_user_access
+    AFTER UPDATE OF role, is_active ON users
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change(
+        'updated_at', 'last_login_at', 'login_count', 'mfa_verified_at', 'phone', 'instructor_name', 'adi_number', 'email'
+    );
+
+-- Events the database can't see for itself: reads, exports, sign-ins
+CREATE OR REPLACE FUNCTION log_audit_event(
+    p_action audit_action,
+    p_table_name TEXT DEFAULT NULL,
+    p_record_id UUID DEFAULT NULL,
+    p_student_id UUID DEFAULT NULL,
+    p_summary TEXT DEFAULT NULL,
+    p_details JSONB DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    v_user users%ROWTYPE := current_app_user();
+BEGIN
+    IF v_user.id IS NULL THEN
+        RAISE EXCEPTION 'Sign in to record audit events' USING ERRCODE = '42501';
+    END IF;
+    IF p_action IN ('CREATE', 'UPDATE', 'DELETE') THEN
+        RAISE EXCEPTION 'Data changes are audited by the database' USING ERRCODE = '22023';
+    END IF;
+    -- Only students the caller can see may be named
+    IF p_student_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM students s
+        WHERE s.id = p_student_id
+        AND (s.user_id = v_user.id OR s.student_user_id = v_user.id OR v_user.role = 'admin')
+    ) THEN
+        RAISE EXCEPTION 'Student not found' USING ERRCODE = 'P0002';
+    END IF;
+    
+    RETURN (append_audit_entry(p_action, p_table_name, p_record_id, p_student_id, NULL, p_details, p_summary)).id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Recompute every hash in order - returns the first entry that doesn't match, if any
+CREATE OR REPLACE FUNCTION verify_audit_chain()
+RETURNS TABLE (entries_checked BIGINT, first_broken_position BIGINT, problem TEXT) AS $$
+DECLARE
+    v_entry audit_log%ROWTYPE;
+    v_prev_hash TEXT;
+    v_expected BIGINT := 1;
+BEGIN
+    -- SECURITY DEFINER runs as the owner, so the caller's app role is the only check
+    IF (current_app_user()).role IS DISTINCT FROM 'admin' THEN
+        RAISE EXCEPTION 'Only an admin can verify the audit log' USING ERRCODE = '42501';
+    END IF;
+    
+    entries_checked := 0;
+    FOR v_entry IN SELECT * FROM audit_log ORDER BY chain_position LOOP
+        IF v_entry.chain_position <> v_expected THEN
+            first_broken_position := v_expected;
+            problem := 'Entry missing';
+        ELSIF v_entry.prev_hash IS DISTINCT FROM v_prev_hash THEN
+            first_broken_position := v_entry.chain_position;
+            problem := 'Does not follow the previous entry';
+        ELSIF v_entry.entry_hash <> audit_entry_digest(v_entry) THEN
+            first_broken_position := v_entry.chain_position;
+            problem := 'Contents changed after it was written';
+        END IF;
+        
+        IF first_broken_position IS NOT NULL THEN
+            RETURN NEXT;
+            RETURN;
+        END IF;
+        
+        entries_checked := entries_checked + 1;
+        v_prev_hash := v_entry.entry_hash;
+        v_expected := v_expected + 1;
+    END LOOP;
+    
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Signed-in admins only - anon and the default PUBLIC grant can't reach it at all
+REVOKE EXECUTE ON FUNCTION verify_audit_chain() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION verify_audit_chain() TO authenticated;
+
+-- Nothing edits or removes entries, including the table owner through the API - except that
+-- anonymisation and deletion clear student_name, which the hash doesn't cover
+CREATE OR REPLACE FUNCTION prevent_audit_tampering()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND current_setting('apex.audit_redact', true) = 'on'
+       AND NEW.student_name IS NULL
+       AND (to_jsonb(NEW) - 'student_name') = (to_jsonb(OLD) - 'student_name') THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'Audit log entries cannot be changed or deleted' USING ERRCODE = '42501';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_prevent_audit_tampering
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_tampering();
+
+-- ============================================
+-- RULE SETS
+-- ============================================
+
+-- Every requirement calculate_eligibility() reads must be a number; keep in step with EligibilityRules.RULE_PATHS
+CREATE OR REPLACE FUNCTION validate_rule_set()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_path TEXT[];
+BEGIN
+    NEW.jurisdiction := upper(trim(NEW.jurisdiction));
+    
+    FOREACH v_path SLICE 1 IN ARRAY ARRAY[
+        ARRAY['pathways', 'P1_RED', 'hoursRequired'],
+        ARRAY['pathways', 'P1_RED', 'nightHoursRequired'],
+        ARRAY['pathways', 'P1_RED', 'tenureMonths'],
+        ARRAY['pathways', 'P2_GREEN', 'hoursRequired'],
+        ARRAY['pathways', 'P2_GREEN', 'nightHoursRequired'],
+        ARRAY['pathways', 'P2_GREEN', 'tenureMonths'],
+        ARRAY['credits', 'adiMultiplier'],
+        ARRAY['credits', 'adiBonusCapHours'],
+        ARRAY['credits', 'saferDriverCourse'],
+        ARRAY['credits', 'vruCourse'],
+        ARRAY['credits', 'firstAidCourse'],
+        ARRAY['general', 'under25Age'],
+        ARRAY['general', 'minimumAge'],
+        ARRAY['general', 'licenceValidityYears'],
+        ARRAY['general', 'hptValidityMonths']
+    ] LOOP
+        IF jsonb_typeof(NEW.rules #> v_path) IS DISTINCT FROM 'number' OR (NEW.rules #>> v_path)::DECIMAL < 0 THEN
+            RAISE EXCEPTION 'Rule set needs a number for %', array_to_string(v_path, '.') USING ERRCODE = '22023';
+        END IF;
+    END LOOP;
+    
+    IF TG_OP = 'INSERT' THEN
+        NEW.created_by := COALESCE(NEW.created_by, (current_app_user()).id);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_validate_rule_set
+    BEFORE INSERT OR UPDATE ON rule_sets
+    FOR EACH ROW EXECUTE FUNCTION validate_rule_set();
+
+-- A new or corrected set can change which set a learner falls under - re-run calculate_eligibility()
+-- for the jurisdiction. Deleting a set in use is blocked by the students foreign key.
+CREATE OR REPLACE FUNCTION reapply_rule_sets()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE students
+    SET rule_set_id = rule_set_id
+    WHERE licence_jurisdiction = NEW.jurisdiction
+       OR (TG_OP = 'UPDATE' AND licence_jurisdiction = OLD.jurisdiction);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trigger_reapply_rule_sets
+    AFTER INSERT OR UPDATE ON rule_sets
+    FOR EACH ROW EXECUTE FUNCTION reapply_rule_sets();
+
+CREATE TRIGGER audit_rule_sets
+    AFTER INSERT OR UPDATE OR DELETE ON rule_sets
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- ============================================
+-- LESSONS
+-- ============================================
+
+CREATE OR REPLACE FUNCTION touch_lesson()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at := NOW();
+    NEW.sequence := OLD.sequence + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_touch_lesson
+    BEFORE UPDATE ON lessons
+    FOR EACH ROW EXECUTE FUNCTION touch_lesson();
+
+-- A booked final drive fills in the student's final_drive_* columns
+CREATE OR REPLACE FUNCTION sync_final_drive()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.lesson_type = 'final_drive' THEN
+        UPDATE students SET
+            final_drive_scheduled = NEW.status IN ('booked', 'completed'),
+            final_drive_date = CASE WHEN NEW.status <> 'cancelled' THEN (NEW.starts_at AT TIME ZONE 'Australia/Sydney')::date END,
+            final_drive_time = CASE WHEN NEW.status <> 'cancelled' THEN (NEW.starts_at AT TIME ZONE 'Australia/Sydney')::time END,
+            final_drive_location = CASE WHEN NEW.status <> 'cancelled' THEN NEW.pickup_location END
+        WHERE id = NEW.student_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_sync_final_drive
+    AFTER INSERT OR UPDATE OF status, starts_at, pickup_location, lesson_type ON lessons
+    FOR EACH ROW EXECUTE FUNCTION sync_final_drive();
+
+CREATE TRIGGER audit_lessons
+    AFTER INSERT OR UPDATE OR DELETE ON lessons
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change('updated_at', 'sequence');
+
+-- New secret for the caller's calendar feed - returns the plain token; earlier feed URLs stop working
+CREATE OR REPLACE FUNCTION reset_calendar_feed_token()
+RETURNS TEXT AS $$
+DECLARE
+    v_token TEXT := encode(gen_random_bytes(24), 'hex');
+BEGIN
+    UPDATE users SET calendar_token_hash = encode(digest(v_token, 'sha256'), 'hex')
+    WHERE clerk_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+    AND role IN ('instructor', 'admin');
+    
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Only instructors have a lesson calendar' USING ERRCODE = '42501';
+    END IF;
+    RETURN v_token;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- PostgREST serves functions returning this domain with a text/calendar content type
+CREATE DOMAIN "text/calendar" AS TEXT;
+
+CREATE OR REPLACE FUNCTION ics_text(p_value TEXT)
+RETURNS TEXT AS $$
+    SELECT replace(replace(replace(replace(replace(p_value, '\', '\\'), ';', '\;'), ',', '\,'), E'\r', ''), E'\n', '\n');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Lines longer than 75 octets continue on the next line after a space (LessonCalendar.fold)
+CREATE OR REPLACE FUNCTION ics_fold(p_line TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_result TEXT := '';
+    v_octets INTEGER := 0;
+    v_char TEXT;
+BEGIN
+    FOREACH v_char IN ARRAY regexp_split_to_array(p_line, '') LOOP
+        IF v_octets + octet_length(v_char) > 75 THEN
+            v_result := v_result || E'\r\n ';
+            v_octets := 1;
+        END IF;
+        v_result := v_result || v_char;
+        v_octets := v_octets + octet_length(v_char);
+    END LOOP;
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE STRICT;
+
+-- Subscribable lesson calendar, for phones that can't send a sign-in token
+-- GET <SUPABASE_URL>/rest/v1/rpc/lesson_calendar_feed?token=<token>&apikey=<anon key>
+-- Mirrors LessonCalendar in lesson-schedule.js (student first name and initial only, no lesson notes)
+CREATE OR REPLACE FUNCTION lesson_calendar_feed(token TEXT)
+RETURNS "text/calendar" AS $$
+DECLARE
+    v_user_id UUID;
+    v_stamp TEXT := to_char(NOW() AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS"Z"');
+BEGIN
+    SELECT id INTO v_user_id FROM users
+    WHERE calendar_token_hash = encode(digest(token, 'sha256'), 'hex') AND is_active;
+    
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'Calendar feed not found' USING ERRCODE = 'P0002';
+    END IF;
+    
+    RETURN concat_ws(E'\r\n',
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//APEX//Lesson Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:APEX lessons',
+        (
+            SELECT string_agg(concat_ws(E'\r\n',
+                'BEGIN:VEVENT',
+                'UID:' || l.id || '@apex-lessons',
+                'DTSTAMP:' || v_stamp,
+                'DTSTART:' || to_char(l.starts_at AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS"Z"'),
+                'DTEND:' || to_char(l.ends_at AT TIME ZONE 'UTC', 'YYYYMMDD"T"HH24MISS"Z"'),
+                'SEQUENCE:' || l.sequence,
+                ics_fold('SUMMARY:' || ics_text(
+                    CASE WHEN l.lesson_type = 'final_drive' THEN 'Final drive' ELSE 'Lesson' END
+                    || ' - ' || s.first_name || ' ' || left(s.last_name, 1) || '.'
+                )),
+                'STATUS:' || CASE WHEN l.status = 'cancelled' THEN 'CANCELLED' ELSE 'CONFIRMED' END,
+                ics_fold('LOCATION:' || ics_text(l.pickup_location)),
+                'END:VEVENT'
+            ), E'\r\n' ORDER BY l.starts_at)
+            FROM lessons l JOIN students s ON s.id = l.student_id
+            WHERE l.user_id = v_user_id AND l.starts_at > NOW() - INTERVAL '60 days'
+        ),
+        'END:VCALENDAR'
+    ) || E'\r\n';
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ============================================
+-- SUPERVISOR REGISTRY
+-- ============================================
+
+-- Comparison forms - SupervisorRegistry.normaliseName()/normaliseLicence() in supervisor-registry.js match these
+CREATE OR REPLACE FUNCTION normalise_supervisor_name(p_name TEXT)
+RETURNS TEXT AS $$
+    SELECT NULLIF(btrim(regexp_replace(regexp_replace(lower(p_name), '[^a-z ]', '', 'g'), ' +', ' ', 'g')), '');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION normalise_licence(p_licence TEXT)
+RETURNS TEXT AS $$
+    SELECT NULLIF(regexp_replace(upper(p_licence), '[^A-Z0-9]', '', 'g'), '');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Link each saved session to a registry identity, adding one the first time a supervisor is seen.
+-- Only exact (normalised) matches link here; near matches are left for an instructor to merge.
+CREATE OR REPLACE FUNCTION link_session_supervisor()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_kind supervisor_kind := CASE WHEN NEW.page_type IN ('GREEN_ADI', 'ADI_STAMP') THEN 'adi' ELSE 'supervisor' END;
+    v_name TEXT := normalise_supervisor_name(NEW.supervisor_name);
+    v_licence TEXT := normalise_licence(NEW.licence_number);
+    v_id UUID;
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.supervisor_id IS DISTINCT FROM OLD.supervisor_id THEN
+        RETURN NEW;  -- Set on purpose (merge)
+    END IF;
+    IF v_name IS NULL AND v_licence IS NULL THEN
+        NEW.supervisor_id := NULL;
+        RETURN NEW;
+    END IF;
+    
+    -- A licence number identifies a person better than a handwritten name
+    IF v_licence IS NOT NULL THEN
+        SELECT id INTO v_id FROM student_supervisors
+        WHERE student_id = NEW.student_id AND kind = v_kind AND v_licence = ANY(licence_variants)
+        ORDER BY confirmed_at NULLS LAST, created_at
+        LIMIT 1;
+    END IF;
+    IF v_id IS NULL AND v_name IS NOT NULL THEN
+        SELECT id INTO v_id FROM student_supervisors
+        WHERE student_id = NEW.student_id AND kind = v_kind AND v_name = ANY(name_variants)
+        AND (v_licence IS NULL OR licence_variants = '{}')
+        ORDER BY confirmed_at NULLS LAST, created_at
+        LIMIT 1;
+    END IF;
+    
+    IF v_id IS NULL THEN
+        INSERT INTO student_supervisors (student_id, kind, name, licence_number, name_variants, licence_variants, adi_user_id)
+        VALUES (
+            NEW.student_id,
+            v_kind,
+            NULLIF(btrim(NEW.supervisor_name), ''),
+            NULLIF(btrim(NEW.licence_number), ''),
+            array_remove(ARRAY[v_name], NULL),
+            array_remove(ARRAY[v_licence], NULL),
+            CASE WHEN v_kind = 'adi' AND v_licence IS NOT NULL THEN (
+                SELECT id FROM users
+                WHERE role = 'instructor' AND normalise_licence(adi_number) = v_licence
+                LIMIT 1
+            ) END
+        )
+        RETURNING id INTO v_id;
+    ELSE
+        -- Fill in a licence number first seen on a later session
+        UPDATE student_supervisors SET
+            licence_number = COALESCE(licence_number, NULLIF(btrim(NEW.licence_number), '')),
+            licence_variants = CASE
+                WHEN v_licence IS NULL OR v_licence = ANY(licence_variants) THEN licence_variants
+                ELSE array_append(licence_variants, v_licence)
+            END,
+            name_variants = CASE
+                WHEN v_name IS NULL OR v_name = ANY(name_variants) THEN name_variants
+                ELSE array_append(name_variants, v_name)
+            END
+        WHERE id = v_id AND (licence_variants = '{}' OR name_variants = '{}');
+    END IF;
+    
+    NEW.supervisor_id := v_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trigger_link_session_supervisor
+    BEFORE INSERT OR UPDATE OF supervisor_name, licence_number, page_type, supervisor_id ON logbook_sessions
+    FOR EACH ROW EXECUTE FUNCTION link_session_supervisor();
+
+CREATE TRIGGER audit_student_supervisors
+    AFTER INSERT OR UPDATE OR DELETE ON student_supervisors
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- A sign-off added, corrected or removed re-runs calculate_eligibility() for the student
+CREATE OR REPLACE FUNCTION refresh_cbta_progress()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE students SET updated_at = NOW()
+    WHERE id = COALESCE(NEW.student_id, OLD.student_id);
+    
+    IF TG_OP = 'UPDATE' AND OLD.student_id <> NEW.student_id THEN
+        UPDATE students SET updated_at = NOW() WHERE id = OLD.student_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER trigger_refresh_cbta_progress
+    AFTER INSERT OR UPDATE OR DELETE ON cbta_task_attempts
+    FOR EACH ROW EXECUTE FUNCTION refresh_cbta_progress();
+
+CREATE TRIGGER audit_cbta_task_attempts
+    AFTER INSERT OR UPDATE OR DELETE ON cbta_task_attempts
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- Active APEX instructors' ADI numbers, so GREEN_ADI pages can be checked against real ADIs
+CREATE OR REPLACE FUNCTION known_adis()
+RETURNS TABLE (user_id UUID, instructor_name TEXT, adi_number TEXT) AS $$
+BEGIN
+    IF (current_app_user()).id IS NULL THEN
+        RAISE EXCEPTION 'Sign in to check ADI numbers' USING ERRCODE = '42501';
+    END IF;
+    
+    RETURN QUERY
+    SELECT u.id, u.instructor_name, u.adi_number FROM users u
+    WHERE u.role = 'instructor' AND u.is_active AND u.adi_number IS NOT NULL;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Fold one identity into another: its sessions and spellings move across, then it is removed.
+-- Runs as the caller, so row level security decides whose registry can be merged.
+CREATE OR REPLACE FUNCTION merge_supervisors(p_keep UUID, p_merge UUID)
+RETURNS student_supervisors AS $$
+DECLARE
+    v_keep student_supervisors%ROWTYPE;
+    v_merge student_supervisors%ROWTYPE;
+BEGIN
+    SELECT * INTO v_keep FROM student_supervisors WHERE id = p_keep;
+    SELECT * INTO v_merge FROM student_supervisors WHERE id = p_merge;
+    
+    IF v_keep.id IS NULL OR v_merge.id IS NULL THEN
+        RAISE EXCEPTION 'Supervisor not found' USING ERRCODE = 'P0002';
+    END IF;
+    IF v_keep.id = v_merge.id OR v_keep.student_id <> v_merge.student_id OR v_keep.kind <> v_merge.kind THEN
+        RAISE EXCEPTION 'Only two different supervisors of the same kind for one student can be merged' USING ERRCODE = '22023';
+    END IF;
+    
+    UPDATE logbook_sessions SET supervisor_id = v_keep.id WHERE supervisor_id = v_merge.id;
+    
+    UPDATE student_supervisors SET
+        name = COALESCE(name, v_merge.name),
+        licence_number = COALESCE(licence_number, v_merge.licence_number),
+        name_variants = ARRAY(SELECT DISTINCT unnest(name_variants || v_merge.name_variants)),
+        licence_variants = ARRAY(SELECT DISTINCT unnest(licence_variants || v_merge.licence_variants)),
+        adi_user_id = COALESCE(adi_user_id, v_merge.adi_user_id),
+        confirmed_at = NOW(),
+        confirmed_by = (current_app_user()).id
+    WHERE id = v_keep.id
+    RETURNING * INTO v_keep;
+    
+    DELETE FROM student_supervisors WHERE id = v_merge.id;
+    RETURN v_keep;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- PRIVACY REQUESTS AND RETENTION
+-- ============================================
+
+CREATE OR REPLACE FUNCTION set_request_due_date()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.due_date := COALESCE(NEW.due_date, NEW.received_at + 30);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trigger_set_request_due_date
+    BEFORE INSERT ON data_access_requests
+    FOR EACH ROW EXECUTE FUNCTION set_request_due_date();
+
+CREATE TRIGGER audit_data_access_requests
+    AFTER INSERT OR UPDATE OR DELETE ON data_access_requests
+    FOR EACH ROW EXECUTE FUNCTION audit_row_change();
+
+-- Privacy functions below are for signed-in admins. Every caller of this is SECURITY DEFINER, so
+-- current_user is always the owner - the app role is the only check. pg_cron uses the unchecked
+-- *_record/run_* functions, which only the owner can execute (grants at the end of this section)
+CREATE OR REPLACE FUNCTION require_admin()
+RETURNS VOID AS $$
+BEGIN
+    IF (current_app_user()).role IS DISTINCT FROM 'admin' THEN
+        RAISE EXCEPTION 'Only an admin can do this' USING ERRCODE = '42501';
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Stored licence and CBT&A originals live at <users.id>/<student id>/<file> in the student-documents
+-- bucket. Storage only removes files through its API, so the app (or the data-retention Edge
+-- Function) removes them first and the erasure functions refuse while any are still there
+CREATE OR REPLACE FUNCTION student_documents_stored(p_student_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM storage.objects o
+        JOIN cbta_documents d ON d.file_path = o.name
+        WHERE o.bucket_id = 'student-documents' AND d.student_id = p_student_id
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Everything held about one student, for an APP 12 access request
+CREATE OR REPLACE FUNCTION student_personal_data(p_student_id UUID)
+RETURNS JSONB AS $$
+BEGIN
+    PERFORM require_admin();
+    
+    IF NOT EXISTS (SELECT 1 FROM students WHERE id = p_student_id) THEN
+        RAISE EXCEPTION 'Student not found' USING ERRCODE = 'P0002';
+    END IF;
+    
+    RETURN jsonb_build_object(
+        'student', (SELECT to_jsonb(s) - 'ocr_raw_data' FROM students s WHERE s.id = p_student_id),
+        'instructor', (
+            SELECT jsonb_build_object('name', u.instructor_name, 'email', u.email, 'adi_number', u.adi_number)
+            FROM students s JOIN users u ON u.id = s.user_id WHERE s.id = p_student_id
+        ),
+        'logbook_sessions', COALESCE((
+            SELECT jsonb_agg(to_jsonb(l) ORDER BY l.session_date, l.start_time)
+            FROM logbook_sessions l WHERE l.student_id = p_student_id
+        ), '[]'::jsonb),
+        'supervisors', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('kind', r.kind, 'name', r.name, 'licence_number', r.licence_number, 'confirmed_at', r.confirmed_at))
+            FROM student_supervisors r WHERE r.student_id = p_student_id
+        ), '[]'::jsonb),
+        'cbta_tasks', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('task_number', t.task_number, 'outcome', t.outcome, 'assessed_on', t.assessed_on, 'adi_name', t.adi_name, 'adi_number', t.adi_number, 'notes', t.notes) ORDER BY t.task_number, t.assessed_on)
+            FROM cbta_task_attempts t WHERE t.student_id = p_student_id
+        ), '[]'::jsonb),
+        'documents', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('document_type', d.document_type, 'file_name', d.file_name, 'uploaded_at', d.uploaded_at, 'ocr_extracted_data', d.ocr_extracted_data))
+            FROM cbta_documents d WHERE d.student_id = p_student_id
+        ), '[]'::jsonb),
+        'consent', COALESCE((
+            SELECT jsonb_agg(to_jsonb(c) ORDER BY c.created_at)
+            FROM consent_log c WHERE c.student_id = p_student_id
+        ), '[]'::jsonb),
+        -- Who has viewed, exported or changed the record (APP 12 covers disclosures)
+        'access_history', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('at', a.created_at, 'action', a.action, 'by', a.user_email, 'summary', a.changes_summary) ORDER BY a.chain_position)
+            FROM audit_log a WHERE a.student_id = p_student_id
+        ), '[]'::jsonb)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Remove a student's personal details, keeping de-identified hours and sessions for reporting
+-- Audit entries for this change record which fields were cleared, not their values
+CREATE OR REPLACE FUNCTION anonymise_student(p_student_id UUID)
+RETURNS students AS $$
+BEGIN
+    PERFORM require_admin();
+    RETURN anonymise_student_record(p_student_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION anonymise_student_record(p_student_id UUID)
+RETURNS students AS $$
+DECLARE
+    v_student students%ROWTYPE;
+BEGIN
+    IF student_documents_stored(p_student_id) THEN
+        RAISE EXCEPTION 'Remove the stored documents before anonymising this student' USING ERRCODE = '55000';
+    END IF;
+    PERFORM set_config('apex.audit_redact', 'on', true);
+    
+    UPDATE students SET
+        first_name = 'Anonymised',
+        last_name = 'Student',
+        date_of_birth = date_trunc('year', date_of_birth)::date,
+        email = NULL,
+        phone = NULL,
+        address_line1 = NULL,
+        address_line2 = NULL,
+        suburb = NULL,
+        postcode = NULL,
+        licence_number = NULL,
+        hpt_certificate_number = NULL,
+        consent_ip_address = NULL,
+        consent_user_agent = NULL,
+        consent_parent_guardian = NULL,
+        ocr_raw_data = NULL,
+        notes = NULL,
+        student_user_id = NULL,
+        is_archived = TRUE,
+        archived_at = COALESCE(archived_at, NOW()),
+        marked_for_deletion = FALSE,
+        anonymised_at = NOW()
+    WHERE id = p_student_id
+    RETURNING * INTO v_student;
+    
+    IF v_student.id IS NULL THEN
+        RAISE EXCEPTION 'Student not found' USING ERRCODE = 'P0002';
+    END IF;
+    
+    -- Supervisors are people too
+    UPDATE logbook_sessions SET
+        supervisor_name = NULL,
+        licence_number = NULL,
+        raw_entry = NULL,
+        corrections = '[]'::jsonb,
+        notes = NULL
+    WHERE student_id = p_student_id;
+    DELETE FROM student_supervisors WHERE student_id = p_student_id;
+    -- Sign-offs stay so 1-22 still holds; the assessing ADI's number is kept, their name and notes go
+    UPDATE cbta_task_attempts SET adi_name = NULL, notes = NULL WHERE student_id = p_student_id;
+    
+    DELETE FROM cbta_documents WHERE student_id = p_student_id;
+    DELETE FROM student_link_codes WHERE student_id = p_student_id;
+    UPDATE consent_log SET ip_address = NULL, user_agent = NULL, parent_guardian_name = NULL
+    WHERE student_id = p_student_id;
+    UPDATE audit_log SET student_name = NULL WHERE student_id = p_student_id AND student_name IS NOT NULL;
+    
+    PERFORM set_config('apex.audit_redact', 'off', true);
+    RETURN v_student;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Delete a student and everything that cascades from them; privacy requests keep a NULL student_id
+CREATE OR REPLACE FUNCTION delete_student_data(p_student_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    PERFORM require_admin();
+    PERFORM set_config('apex.audit_redact', 'on', true);
+    
+    IF student_documents_stored(p_student_id) THEN
+        RAISE EXCEPTION 'Remove the stored documents before deleting this student' USING ERRCODE = '55000';
+    END IF;
+    DELETE FROM students WHERE id = p_student_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Student not found' USING ERRCODE = 'P0002';
+    END IF;
+    UPDATE audit_log SET student_name = NULL WHERE student_id = p_student_id AND student_name IS NOT NULL;
+    
+    PERFORM set_config('apex.audit_redact', 'off', true);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Retention (APP 11.2): flag students whose data_retention_until has passed;
+-- with p_purge, also anonymise those flagged on an earlier run
+CREATE OR REPLACE FUNCTION apply_data_retention(p_purge BOOLEAN DEFAULT FALSE)
+RETURNS TABLE (student_id UUID, outcome TEXT) AS $$
+BEGIN
+    PERFORM require_admin();
+    RETURN QUERY SELECT * FROM run_data_retention(p_purge);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Owner-only entry point for jobs with no signed-in user. A purge needs the stored documents removed
+-- first, so pg_cron calls the data-retention Edge Function (supabase/functions/data-retention, whose
+-- header has the schedule) rather than this directly. Students whose documents are still stored are
+-- reported, not purged
+CREATE OR REPLACE FUNCTION run_data_retention(p_purge BOOLEAN DEFAULT FALSE)
+RETURNS TABLE (student_id UUID, outcome TEXT) AS $$
+BEGIN
+    IF p_purge THEN
+        FOR student_id IN
+            SELECT s.id FROM students s
+            WHERE s.marked_for_deletion AND s.anonymised_at IS NULL
+            AND s.data_retention_until < CURRENT_DATE
+        LOOP
+            IF student_documents_stored(student_id) THEN
+                outcome := 'documents still stored';
+            ELSE
+                PERFORM anonymise_student_record(student_id);
+                outcome := 'anonymised';
+            END IF;
+            RETURN NEXT;
+        END LOOP;
+    END IF;
+    
+    FOR student_id IN
+        UPDATE students s SET
+            marked_for_deletion = TRUE,
+            deletion_requested_at = NOW(),
+            deletion_requested_by = 'retention policy'
+        WHERE s.data_retention_until < CURRENT_DATE
+        AND NOT s.marked_for_deletion AND s.anonymised_at IS NULL
+        RETURNING s.id
+    LOOP
+        outcome := 'flagged';
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Supabase grants EXECUTE on new functions to everyone. The admin RPCs stay callable by signed-in
+-- users (require_admin() turns away non-admins); the unchecked functions are owner-only
+REVOKE EXECUTE ON FUNCTION
+    require_admin(),
+    student_personal_data(UUID),
+    anonymise_student(UUID),
+    anonymise_student_record(UUID),
+    student_documents_stored(UUID),
+    delete_student_data(UUID),
+    apply_data_retention(BOOLEAN),
+    run_data_retention(BOOLEAN)
+FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION
+    student_personal_data(UUID),
+    anonymise_student(UUID),
+    delete_student_data(UUID),
+    apply_data_retention(BOOLEAN)
+TO authenticated;
+
+GRANT EXECUTE ON FUNCTION run_data_retention(BOOLEAN) TO service_role;
+
 -- ============================================
 -- VIEWS
 -- ============================================
@@ -0,0 +1,61 @@
+/**
+ * APEX Data Retention Edge Function
+ * Version: 1.0.0
+ *
+ * Nightly retention run (APP 11.2). Removes the stored licence and CBT&A
+ * originals of every flagged student past their retention date through the
+ * Storage API, then calls run_data_retention(true) to anonymise them and
+ * flag the next lot. Storage files cannot be removed from SQL, which is why
+ * pg_cron calls this rather than the database function.
+ *
+ * Usage:
+ *   supabase functions deploy data-retention
+ *
+ *   -- needs the pg_net extension
+ *   SELECT cron.schedule('apex-retention', '0 3 * * *', $$
+ *       SELECT net.http_post(
+ *           url := '<project url>/functions/v1/data-retention',
+ *           headers := jsonb_build_object('Authorization', 'Bearer <service role key>')
+ *       )
+ *   $$);
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const DOCUMENTS_BUCKET = 'student-documents';
+
+Deno.serve(async (request) => {
+    const serviceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
+    if (request.headers.get('Authorization') !== `Bearer ${serviceKey}`) {
+        return new Response('Unauthorised', { status: 401 });
+    }
+
+    const supabase = createClient(Deno.env.get('SUPABASE_URL'), serviceKey);
+
+    try {
+        const { data: due, error: dueError } = await supabase
+            .from('students')
+            .select('id, cbta_documents(file_path)')
+            .eq('marked_for_deletion', true)
+            .is('anonymised_at', null)
+            .lt('data_retention_until', new Date().toISOString().slice(0, 10));
+        if (dueError) throw dueError;
+
+        // A failed removal leaves that student for the next run - run_data_retention skips them
+        const failures = [];
+        for (const student of due) {
+            const paths = student.cbta_documents.map(d => d.file_path);
+            if (paths.length === 0) continue;
+            const { error } = await supabase.storage.from(DOCUMENTS_BUCKET).remove(paths);
+            if (error) failures.push({ student_id: student.id, error: error.message });
+        }
+
+        const { data, error } = await supabase.rpc('run_data_retention', { p_purge: true });
+        if (error) throw error;
+
+        return Response.json({ results: data, failures }, { status: failures.length ? 207 : 200 });
+    } catch (error) {
+        console.error('Retention run failed:', error);
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+});
@@ -0,0 +1,371 @@
+/**
+ * APEX Supervisor Registry Module
+ * Version: 1.0.0
+ *
+ * Checks the supervising driver and ADI on each logbook entry against the
+ * people who have signed the student's logbook before (student_supervisors)
+ * and the ADI numbers of APEX instructors. Names are fuzzy-matched, and
+ * licence numbers are compared allowing for the characters OCR confuses
+ * (0/O, 1/I, 5/S...), so a misread number is told apart from a new person.
+ *
+ * Usage:
+ *   const registry = new SupervisorRegistry({ supervisors: rows, adis: knownAdis });
+ *   const scanner = new LogbookScanner({ extractor, supervisorRegistry: registry });
+ *   registry.match('Jane Smith', 'ACT1234567', 'supervisor');
+ *   // { status: 'misread', supervisor, message: 'Licence ACT1234S67 looks like a misread of ...' }
+ *   registry.suggestMerges();   // Identities that are probably the same person
+ */
+
+class SupervisorRegistry {
+    constructor(options = {}) {
+        this.supervisors = (options.supervisors || []).map(row => SupervisorRegistry.toIdentity(row));
+        this.adis = options.adis || null;             // known_adis() rows - null when ADI numbers can't be checked
+        this.nameThreshold = options.nameThreshold ?? 0.88; // Jaro-Winkler score treated as the same name
+    }
+
+    /**
+     * Registry row (or a plain { kind, name, licence_number }) with its comparison forms
+     */
+    static toIdentity(row) {
+        const names = row.name_variants && row.name_variants.length ? row.name_variants : [SupervisorRegistry.normaliseName(row.name)];
+        const licences = row.licence_variants && row.licence_variants.length ? row.licence_variants : [SupervisorRegistry.normaliseLicence(row.licence_number)];
+        return {
+            ...row,
+            kind: row.kind || 'supervisor',
+            names: names.filter(Boolean),
+            licences: licences.filter(Boolean)
+        };
+    }
+
+    /**
+     * Registry built from saved sessions, for when student_supervisors isn't available
+     * @param {Array} sessions - logbook_sessions rows
+     */
+    static fromSessions(sessions, options = {}) {
+        const registry = new SupervisorRegistry(options);
+        sessions.forEach(session => {
+            const kind = SupervisorRegistry.kindFor(session.page_type);
+            if (registry.match(session.supervisor_name, session.licence_number, kind).status !== 'known') {
+                registry.add({ kind, name: session.supervisor_name, licence_number: session.licence_number });
+            }
+        });
+        return registry;
+    }
+
+    /**
+     * Same as normalise_supervisor_name() in supabase-schema.sql
+     */
+    static normaliseName(name) {
+        if (!name || name === 'UNCLEAR') return null;
+        const normalised = String(name).toLowerCase().replace(/[^a-z ]/g, '').replace(/ +/g, ' ').trim();
+        return normalised || null;
+    }
+
+    /**
+     * Same as normalise_licence() in supabase-schema.sql
+     */
+    static normaliseLicence(licence) {
+        if (!licence || licence === 'UNCLEAR') return null;
+        const normalised = String(licence).toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return normalised || null;
+    }
+
+    static kindFor(pageType) {
+        return pageType === 'GREEN_ADI' || pageType === 'ADI_STAMP' ? 'adi' : 'supervisor';
+    }
+
+    add(row) {
+        const identity = SupervisorRegistry.toIdentity(row);
+        if (identity.names.length || identity.licences.length) this.supervisors.push(identity);
+        return identity;
+    }
+
+    /**
+     * Find who wrote an entry
+     * @param {string} name - Supervisor name as written (may be empty on ADI pages)
+     * @param {string} licence - Licence or ADI number as written
+     * @param {string} kind - 'supervisor' or 'adi'
+     * @returns {{ status: string, supervisor: Object|null, message: string|null }}
+     *          status - known: matches an identity exactly
+     *                   misread: licence is an OCR slip away from a known one
+     *                   inconsistent: name known but the licence differs (or the reverse)
+     *                   similar: name close to a known one, nothing to confirm it
+     *                   unknown: first time this supervisor has been seen
+     *                   missing: no name or licence to check
+     */
+    match(name, licence, kind = 'supervisor') {
+        const normalName = SupervisorRegistry.normaliseName(name);
+        const normalLicence = SupervisorRegistry.normaliseLicence(licence);
+        if (!normalName && !normalLicence) {
+            return { status: 'missing', supervisor: null, message: null };
+        }
+
+        const candidates = this.supervisors.filter(s => s.kind === kind);
+        const nameScore = s => normalName ? Math.max(0, ...s.names.map(n => this.nameSimilarity(normalName, n))) : null;
+        const licenceMatch = s => normalLicence ? this.bestLicenceMatch(normalLicence, s.licences) : null;
+        const label = s => s.name || s.licence_number || 'a known supervisor';
+
+        // 1. Licence number written exactly as before
+        const byLicence = normalLicence && candidates.find(s => s.licences.includes(normalLicence));
+        if (byLicence) {
+            const score = nameScore(byLicence);
+            if (score !== null && byLicence.names.length && score < this.nameThreshold && !this.initialsMatch(normalName, byLicence.names)) {
+                return {
+                    status: 'inconsistent',
+                    supervisor: byLicence,
+                    message: `Licence ${licence} belongs to ${label(byLicence)} on earlier pages, but the name here is "${name}"`
+                };
+            }
+            return { status: 'known', supervisor: byLicence, message: null };
+        }
+
+        // 2. Name written as before
+        const byName = normalName && candidates.find(s => s.names.includes(normalName));
+        if (byName && (!normalLicence || !byName.licences.length)) {
+            return { status: 'known', supervisor: byName, message: null };
+        }
+
+        // 3. A licence an OCR slip away from a known one
+        for (const s of candidates) {
+            const close = licenceMatch(s);
+            if (close && close.kind === 'misread') {
+                const score = nameScore(s);
+                if (score === null || !s.names.length || score >= this.nameThreshold || this.initialsMatch(normalName, s.names)) {
+                    return {
+                        status: 'misread',
+                        supervisor: s,
+                        message: `Licence ${licence} looks like a misread of ${s.licence_number || close.licence}${s.name ? ` (${s.name})` : ''}`
+                    };
+                }
+            }
+        }
+
+        // 4. Same name, different licence
+        if (byName) {
+            return {
+                status: 'inconsistent',
+                supervisor: byName,
+                message: `${name} used licence ${byName.licence_number || byName.licences[0]} on earlier pages, not ${licence}`
+            };
+        }
+
+        // 5. A close spelling of a known name
+        if (normalName) {
+            const scored = candidates
+                .map(s => ({ s, score: nameScore(s) }))
+                .filter(c => c.score >= this.nameThreshold || this.initialsMatch(normalName, c.s.names))
+                .sort((a, b) => b.score - a.score);
+            if (scored.length) {
+                const s = scored[0].s;
+                return {
+                    status: normalLicence && s.licences.length ? 'inconsistent' : 'similar',
+                    supervisor: s,
+                    message: normalLicence && s.licences.length
+                        ? `"${name}" looks like ${label(s)}, but the licence ${licence} doesn't match ${s.licence_number || s.licences[0]}`
+                        : `"${name}" looks like ${label(s)} - same person?`
+                };
+            }
+        }
+
+        return {
+            status: 'unknown',
+            supervisor: null,
+            message: kind === 'adi'
+                ? `ADI ${licence || name} hasn't signed this logbook before`
+                : `${name || `Licence ${licence}`} hasn't supervised this learner before`
+        };
+    }
+
+    /**
+     * ADI number against APEX instructors
+     * @returns {{ status: 'known'|'misread'|'unknown'|'unchecked', adi: Object|null, message: string|null }}
+     */
+    checkAdiNumber(adiNumber) {
+        const normalised = SupervisorRegistry.normaliseLicence(adiNumber);
+        if (!this.adis || !normalised) return { status: 'unchecked', adi: null, message: null };
+
+        const exact = this.adis.find(a => SupervisorRegistry.normaliseLicence(a.adi_number) === normalised);
+        if (exact) return { status: 'known', adi: exact, message: null };
+
+        const close = this.adis.find(a => {
+            const match = this.bestLicenceMatch(normalised, [SupervisorRegistry.normaliseLicence(a.adi_number)]);
+            return match && match.kind === 'misread';
+        });
+        if (close) {
+            return {
+                status: 'misread',
+                adi: close,
+                message: `ADI number ${adiNumber} isn't registered - did the scan misread ${close.adi_number} (${close.instructor_name || 'APEX instructor'})?`
+            };
+        }
+        return { status: 'unknown', adi: null, message: `ADI number ${adiNumber} doesn't belong to an APEX instructor` };
+    }
+
+    /**
+     * Warnings for one logbook entry, in LogbookScanner's { field, message } shape
+     */
+    checkEntry(entry, pageType) {
+        const kind = SupervisorRegistry.kindFor(pageType);
+        const warnings = [];
+
+        const result = this.match(entry.supervisorName, entry.licenceNumber, kind);
+        if (result.message && (this.supervisors.length || result.status !== 'unknown')) {
+            warnings.push({
+                field: 'supervisor',
+                check: result.status,
+                message: result.message,
+                supervisorId: result.supervisor ? result.supervisor.id || null : null
+            });
+        }
+
+        if (kind === 'adi' && entry.licenceNumber && entry.licenceNumber !== 'UNCLEAR') {
+            const adi = this.checkAdiNumber(entry.licenceNumber);
+            if (adi.message) warnings.push({ field: 'licenceNumber', check: `adi_${adi.status}`, message: adi.message });
+        }
+        return warnings;
+    }
+
+    /**
+     * Pairs of identities that are probably the same person, for an instructor to merge
+     * @returns {Array<{ keep: Object, merge: Object, reason: string }>}
+     */
+    suggestMerges() {
+        const suggestions = [];
+        for (let a = 0; a < this.supervisors.length; a++) {
+            for (let b = a + 1; b < this.supervisors.length; b++) {
+                const first = this.supervisors[a];
+                const second = this.supervisors[b];
+                if (first.kind !== second.kind) continue;
+
+                const reason = this.sameIdentityReason(first, second);
+                if (!reason) continue;
+
+                // Keep the confirmed identity, or the older one
+                const keepFirst = Boolean(first.confirmed_at) || (!second.confirmed_at && (first.created_at || '') <= (second.created_at || ''));
+                suggestions.push({ keep: keepFirst ? first : second, merge: keepFirst ? second : first, reason });
+            }
+        }
+        return suggestions;
+    }
+
+    sameIdentityReason(first, second) {
+        const licence = first.licences.map(l => this.bestLicenceMatch(l, second.licences)).find(Boolean);
+        const names = Math.max(0, ...first.names.flatMap(n => second.names.map(m => this.nameSimilarity(n, m))));
+        const namesAgree = names >= this.nameThreshold || first.names.some(n => this.initialsMatch(n, second.names));
+
+        if (licence && licence.kind === 'same') return 'Same licence number';
+        if (licence && licence.kind === 'misread' && (namesAgree || !first.names.length || !second.names.length)) {
+            return 'Licence numbers differ by a likely misread';
+        }
+        if (namesAgree && (!first.licences.length || !second.licences.length)) return 'Similar names';
+        return null;
+    }
+
+    // ---------- comparison ----------
+
+    /**
+     * Closest licence in a list - same, or a misread (equal once OCR look-alikes are folded,
+     * or one character different in a number of the same length)
+     */
+    bestLicenceMatch(licence, licences) {
+        if (licences.includes(licence)) return { kind: 'same', licence };
+
+        const folded = this.foldLookalikes(licence);
+        for (const other of licences) {
+            if (this.foldLookalikes(other) === folded) return { kind: 'misread', licence: other };
+        }
+        for (const other of licences) {
+            if (other.length === licence.length && other.length >= 6 && this.editDistance(licence, other) === 1) {
+                return { kind: 'misread', licence: other };
+            }
+        }
+        return null;
+    }
+
+    foldLookalikes(licence) {
+        return licence.replace(/[A-Z0-9]/g, c => SupervisorRegistry.LOOKALIKES[c] || c);
+    }
+
+    /**
+     * "J Smith" and "John Smith" - same surname, first initials agree
+     */
+    initialsMatch(name, names) {
+        if (!name) return false;
+        const [first, ...rest] = name.split(' ');
+        const surname = rest.join(' ');
+        if (!surname) return false;
+
+        return names.some(other => {
+            const [otherFirst, ...otherRest] = other.split(' ');
+            return otherRest.join(' ') === surname && (first.length === 1 || otherFirst.length === 1) && first[0] === otherFirst[0];
+        });
+    }
+
+    /**
+     * Jaro-Winkler similarity, 0-1
+     */
+    nameSimilarity(a, b) {
+        if (a === b) return 1;
+        if (!a || !b) return 0;
+
+        const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+        const aMatched = new Array(a.length).fill(false);
+        const bMatched = new Array(b.length).fill(false);
+        let matches = 0;
+
+        for (let i = 0; i < a.length; i++) {
+            for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+                if (bMatched[j] || a[i] !== b[j]) continue;
+                aMatched[i] = bMatched[j] = true;
+                matches++;
+                break;
+            }
+        }
+        if (matches === 0) return 0;
+
+        let transpositions = 0;
+        for (let i = 0, j = 0; i < a.length; i++) {
+            if (!aMatched[i]) continue;
+            while (!bMatched[j]) j++;
+            if (a[i] !== b[j]) transpositions++;
+            j++;
+        }
+
+        const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+        let prefix = 0;
+        while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+        return jaro + prefix * 0.1 * (1 - jaro);
+    }
+
+    editDistance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+                previous = current;
+            }
+        }
+        return row[b.length];
+    }
+}
+
+// Characters OCR and handwriting mix up, folded to one representative
+SupervisorRegistry.LOOKALIKES = {
+    O: '0', D: '0', Q: '0',
+    I: '1', L: '1', T: '1',
+    Z: '2',
+    S: '5',
+    G: '6',
+    B: '8'
+};
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SupervisorRegistry;
+}
+if (typeof window !== 'undefined') {
+    window.SupervisorRegistry = SupervisorRegistry;
+}
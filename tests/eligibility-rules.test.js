@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EligibilityRules = require('../eligibility-rules.js');
+
+const rules = new EligibilityRules({ now: () => new Date(2026, 9, 18) });
+
+// 18 at issue, licence held 16 months, 90 credited hours, HPT passed in August
+const learner = {
+    dateOfBirth: '2008-03-14',
+    licenceIssueDate: '2025-06-01',
+    dayHours: 60, nightHours: 12, adiHours: 6,
+    hptCompleted: true, hptCertificateNumber: 'HPT123456', hptDate: '2026-08-01',
+    cbtaCompleted: true, assessment122Completed: true
+};
+
+test('a learner who meets every requirement is eligible', () => {
+    const verdict = rules.evaluate({ ...learner, dayHours: 70 });
+    assert.equal(verdict.eligible, true);
+    assert.equal(verdict.pathway.code, 'P1_RED');
+    assert.equal(verdict.hours.credited, 100);
+    assert.deepEqual(verdict.missing, []);
+});
+
+test('short hours are reported with what is still needed', () => {
+    const verdict = rules.evaluate(learner);
+    assert.equal(verdict.eligible, false);
+    assert.equal(verdict.status, 'PENDING_HOURS');
+    assert.equal(verdict.hours.remaining, 10);
+    assert.deepEqual(verdict.missing, ['Need 10 more hours (90 of 100 credited)']);
+});
+
+test('night hours are required on top of the total', () => {
+    const verdict = rules.evaluate({ ...learner, dayHours: 80, nightHours: 4 });
+    assert.equal(verdict.hours.met, true);
+    assert.equal(verdict.night.met, false);
+    assert.equal(verdict.eligible, false);
+});
+
+test('ADI hours count three times for the first ten only', () => {
+    assert.deepEqual(rules.calculateAdiCredit(12), { actualHours: 12, creditHours: 32, first10Credit: 30, extraCredit: 2 });
+});
+
+test('learners 25 or over at issue follow the P2 Green pathway', () => {
+    const verdict = rules.evaluate({ ...learner, dateOfBirth: '1990-01-01', dayHours: 40, adiHours: 0 });
+    assert.equal(verdict.pathway.code, 'P2_GREEN');
+    assert.equal(verdict.requirements.hoursRequired, 50);
+    assert.equal(verdict.eligible, true);
+});
+
+test('tenure not yet served holds back an otherwise complete learner', () => {
+    const verdict = rules.evaluate({ ...learner, dayHours: 70, licenceIssueDate: '2026-01-01' });
+    assert.equal(verdict.tenure.met, false);
+    assert.equal(verdict.eligible, false);
+    assert.equal(verdict.earliestEligibleDate.reason, '1 Jan 2027 (tenure completes)');
+});
+
+test('an HPT pass older than its validity no longer counts', () => {
+    const verdict = rules.evaluate({ ...learner, dayHours: 70, hptDate: '2025-09-01' });
+    assert.equal(verdict.assessments.met, false);
+    assert.equal(verdict.eligible, false);
+});
+
+test('the default rule set passes its own validation', () => {
+    assert.deepEqual(EligibilityRules.validateRuleSet(EligibilityRules.DEFAULT_RULE_SET.rules), []);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LessonScheduler, LessonCalendar } = require('../lesson-schedule.js');
+
+const scheduler = new LessonScheduler();
+
+test('wall-clock times convert with the offset in force that day', () => {
+    assert.equal(scheduler.toInstant('2026-07-01', '09:00').toISOString(), '2026-06-30T23:00:00.000Z');
+    assert.equal(scheduler.toInstant('2026-01-15', '09:00').toISOString(), '2026-01-14T22:00:00.000Z');
+});
+
+test('a time skipped when daylight saving starts moves past the gap', () => {
+    const instant = scheduler.toInstant('2026-10-04', '02:30');
+    assert.equal(scheduler.localParts(instant).time, '03:30');
+    assert.equal(scheduler.toInstant('2026-10-04', '01:30').toISOString(), '2026-10-03T15:30:00.000Z');
+});
+
+test('a time repeated when daylight saving ends reads back as itself', () => {
+    const instant = scheduler.toInstant('2026-04-05', '02:30');
+    assert.deepEqual(
+        { date: scheduler.localParts(instant).date, time: scheduler.localParts(instant).time },
+        { date: '2026-04-05', time: '02:30' }
+    );
+});
+
+test('calendar lines fold at 75 octets without splitting characters', () => {
+    const line = 'LOCATION:' + 'Café '.repeat(30);
+    const folded = LessonCalendar.fold(line);
+    for (const part of folded.split('\r\n')) {
+        assert.ok(Buffer.byteLength(part) <= 75);
+    }
+    assert.equal(folded.replace(/\r\n /g, ''), line);
+});
+
+test('calendar events leave out lesson notes', () => {
+    const ics = LessonCalendar.build([{
+        id: 'lesson-1', starts_at: '2026-03-01T22:00:00Z', ends_at: '2026-03-01T23:00:00Z',
+        notes: 'Anxious about roundabouts', student: { first_name: 'Ann', last_name: 'Lee' }
+    }], { now: new Date('2026-02-01T00:00:00Z') });
+
+    assert.match(ics, /SUMMARY:Lesson - Ann L\./);
+    assert.doesNotMatch(ics, /roundabouts/);
+});
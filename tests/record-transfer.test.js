@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CsvFormat, RecordImporter, RecordExporter } = require('../record-transfer.js');
+const LogbookScanner = require('../logbook-scanner.js');
+
+const ruleSets = [{ jurisdiction: 'ACT' }];
+const student = {
+    id: 'student-1', user_id: 'user-1',
+    first_name: 'Ann', last_name: "O'Neil, Jr", date_of_birth: '2008-03-14',
+    email: 'ann@example.com', phone: '=0412 345 678',
+    licence_number: 'L123456', licence_jurisdiction: 'ACT',
+    hpt_completed: true, hpt_certificate_number: 'HPT123456', vru_credit: false,
+    notes: 'Prefers "early" lessons\nNo motorway yet'
+};
+const session = {
+    id: 'session-1', student_id: 'student-1', session_date: '2026-03-01', page_type: 'BLUE_DAY',
+    start_time: '09:00:00', finish_time: '10:30:00', duration_minutes: 90,
+    supervisor_name: 'Bob Smith', licence_number: 'S999', has_signature: true, source: 'scan', is_valid: true
+};
+
+function preview(importer, csv, fields, kind) {
+    const { headers, rows } = CsvFormat.parseWithHeaders(csv);
+    const mapping = RecordImporter.suggestMapping(headers, fields);
+    return kind === 'students' ? importer.previewStudents(rows, mapping) : importer.previewSessions(rows, mapping);
+}
+
+test('exported students import back unchanged', () => {
+    const files = new RecordExporter().exportCsv({ students: [student], sessions: [] });
+    const importer = new RecordImporter({ scanner: new LogbookScanner(), ruleSets });
+    const result = preview(importer, files.students, RecordImporter.STUDENT_FIELDS, 'students');
+
+    assert.equal(result.importable, 1);
+    const [record] = importer.toStudentRecords(result, { userId: 'user-1' });
+    for (const field of ['first_name', 'last_name', 'date_of_birth', 'email', 'phone', 'licence_number',
+        'licence_jurisdiction', 'hpt_completed', 'hpt_certificate_number', 'vru_credit', 'notes']) {
+        assert.equal(record[field], student[field], field);
+    }
+});
+
+test('blank import columns take the database defaults', () => {
+    const importer = new RecordImporter({ scanner: new LogbookScanner(), ruleSets });
+    const result = preview(importer, 'First name,Last name,DOB,VRU\nAnn,Lee,2008-01-02,\n', RecordImporter.STUDENT_FIELDS, 'students');
+    const [record] = importer.toStudentRecords(result, { userId: 'user-1' });
+
+    assert.equal(record.vru_credit, false);
+    assert.equal(record.hpt_completed, false);
+    assert.equal(record.licence_jurisdiction, 'ACT');
+});
+
+test('students are turned away without a rule set for their jurisdiction', () => {
+    const importer = new RecordImporter({ scanner: new LogbookScanner(), ruleSets: [] });
+    const result = preview(importer, 'First name,Last name,DOB\nAnn,Lee,2008-01-02\n', RecordImporter.STUDENT_FIELDS, 'students');
+    assert.equal(result.importable, 0);
+    assert.equal(result.rows[0].errors[0].field, 'licence_jurisdiction');
+});
+
+test('exported sessions import back against the same student', () => {
+    const files = new RecordExporter().exportCsv({ students: [student], sessions: [session] });
+    const importer = new RecordImporter({ scanner: new LogbookScanner(), students: [student], ruleSets });
+    const result = preview(importer, files.sessions, RecordImporter.SESSION_FIELDS, 'sessions');
+
+    assert.equal(result.importable, 1);
+    const [record] = importer.toSessionRecords(result, { createdBy: 'user-1' });
+    assert.equal(record.student_id, 'student-1');
+    assert.equal(record.session_date, '2026-03-01');
+    assert.equal(record.page_type, 'BLUE_DAY');
+    assert.equal(record.duration_minutes, 90);
+    assert.equal(record.supervisor_name, 'Bob Smith');
+    assert.equal(record.is_valid, true);
+});
+
+test('sessions already recorded are skipped as duplicates', () => {
+    const files = new RecordExporter().exportCsv({ students: [student], sessions: [session] });
+    const importer = new RecordImporter({ scanner: new LogbookScanner(), students: [student], sessions: [session], ruleSets });
+    const result = preview(importer, files.sessions, RecordImporter.SESSION_FIELDS, 'sessions');
+
+    assert.equal(result.importable, 0);
+    assert.equal(result.rows[0].errors[0].field, 'duplicate');
+});